@@ -436,7 +436,24 @@ class CompleteIndexer {
             $stmt = $this->pdo->prepare("
                 SELECT p.*, 
                        COALESCE(b.name, '') AS brand_name,
-                       COALESCE(s.name, '') AS series_name
+                       COALESCE(s.name, '') AS series_name,
+                       (SELECT pr.price FROM prices pr
+                         WHERE pr.product_id = p.product_id AND pr.is_base = 1
+                           AND (pr.valid_to IS NULL OR pr.valid_to >= CURDATE())
+                         ORDER BY pr.valid_from DESC LIMIT 1) AS base_price,
+                       (SELECT GROUP_CONCAT(c.category_id ORDER BY c.category_id SEPARATOR ',')
+                          FROM product_categories pc JOIN categories c ON c.category_id = pc.category_id
+                         WHERE pc.product_id = p.product_id) AS category_id_list,
+                       (SELECT GROUP_CONCAT(c.name ORDER BY c.category_id SEPARATOR '\n')
+                          FROM product_categories pc JOIN categories c ON c.category_id = pc.category_id
+                         WHERE pc.product_id = p.product_id) AS category_name_list,
+                       (SELECT GROUP_CONCAT(pi.url ORDER BY pi.is_main DESC, pi.sort_order, pi.image_id SEPARATOR '\n')
+                          FROM product_images pi
+                         WHERE pi.product_id = p.product_id) AS image_url_list,
+                       (SELECT GROUP_CONCAT(DISTINCT cwm.city_id ORDER BY cwm.city_id SEPARATOR ',')
+                          FROM stock_balances sb
+                          JOIN city_warehouse_mapping cwm ON cwm.warehouse_id = sb.warehouse_id
+                         WHERE sb.product_id = p.product_id AND sb.quantity > sb.reserved) AS stock_city_list
                 FROM products p
                 LEFT JOIN brands b ON p.brand_id = b.brand_id
                 LEFT JOIN series s ON p.series_id = s.series_id
@@ -531,9 +548,17 @@ class CompleteIndexer {
         $product['min_sale'] = max(1, (int)($product['min_sale'] ?? 1));
         $product['weight'] = max(0, (float)($product['weight'] ?? 0));
         
-        // Инициализация массивов
-        $product['categories'] = [];
-        $product['category_ids'] = [];
+        // Цена и категории - для фасетов поиска (см. SearchService::buildAggregations)
+        $product['base_price'] = isset($product['base_price']) ? round((float)$product['base_price'], 2) : null;
+        $product['categories'] = array_values(array_filter(array_map(
+            [$this, 'normalizeText'],
+            explode("\n", (string)($product['category_name_list'] ?? ''))
+        )));
+        $product['category_ids'] = array_values(array_filter(array_map(
+            'intval',
+            explode(',', (string)($product['category_id_list'] ?? ''))
+        )));
+        unset($product['category_name_list'], $product['category_id_list']);
     }
 
     /**
@@ -577,14 +602,25 @@ class CompleteIndexer {
         
         // Дефолтные значения для дополнительных полей
         $product['attributes'] = [];
-        $product['images'] = [];
+        // Сначала основное изображение: images[0] - превью в подсказках поиска
+        $product['images'] = array_values(array_filter(
+            array_map('trim', explode("\n", (string)($product['image_url_list'] ?? ''))),
+            'strlen'
+        ));
+        unset($product['image_url_list']);
         $product['documents'] = [
             'certificates' => 0,
             'manuals' => 0,
             'drawings' => 0
         ];
         $product['popularity_score'] = 0.0;
-        $product['in_stock'] = false;
+        // Города, на складах которых есть товар: фильтр «В наличии» - по выбранному городу
+        $product['stock_city_ids'] = array_values(array_map('intval', array_filter(
+            explode(',', (string)($product['stock_city_list'] ?? '')),
+            'strlen'
+        )));
+        $product['in_stock'] = !empty($product['stock_city_ids']);
+        unset($product['stock_city_list']);
         
         // Удаляем пустые значения для экономии места
         $product = array_filter($product, function($value) {
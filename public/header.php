@@ -77,7 +77,7 @@ $current_path = $_SERVER['REQUEST_URI'] ?? '/';
     <!-- jQuery для совместимости -->
     <script src="https://cdnjs.cloudflare.com/ajax/libs/jquery/3.7.1/jquery.min.js" integrity="sha512-v2CJ7UaYy4JwqLDIrZUI/4hqeoQieOmAZNXBeQyjo21dadnwR+8ZaIJVT8EE2iyI61OV8e6M8PP2/4hpQINQ/g==" crossorigin="anonymous" referrerpolicy="no-referrer"></script>
     
-    <!-- УБИРАЕМ ColResizable - замена встроена в main.js -->
+    <!-- Изменение ширины и настройка колонок - columnManager.js, без jQuery -->
     
     <!-- Динамическое подключение CSS от Vite -->
     <?php
@@ -273,13 +273,13 @@ $current_path = $_SERVER['REQUEST_URI'] ?? '/';
                             </svg>
                         </button>
                         
-                        <!-- Быстрая корзина -->
-                        <button class="btn btn-primary btn-sm" onclick="window.location.href='/cart'">
+                        <!-- Быстрая корзина: открывает мини-корзину (miniCart.js), без JS - ссылка на /cart -->
+                        <a href="/cart" class="btn btn-primary btn-sm" id="miniCartButton">
                             <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z"></path>
                             </svg>
                             <span>Корзина</span>
-                        </button>
+                        </a>
                     </div>
                 </div>
             </header>
@@ -291,13 +291,8 @@ $current_path = $_SERVER['REQUEST_URI'] ?? '/';
 <script>
     window.CSRF_TOKEN = <?= json_encode(CSRF::token(), JSON_HEX_TAG) ?>;
     window.USER_LOGGED_IN = <?= AuthService::check() ? 'true' : 'false' ?>;
-    
-    // Простая замена для ColResizable функциональности
-    window.initTableResize = function() {
-        console.log('Table resize functionality loaded');
-        // Здесь можно добавить свою реализацию изменения размера колонок
-        // или просто оставить пустой функцией если функция не критична
-    };
+    window.USER_ID = <?= AuthService::check() ? (int)AuthService::user()['id'] : 'null' ?>;
+    window.AVAILABILITY_STREAM = <?= \App\Core\Config::get('app.availability_stream', false) ? 'true' : 'false' ?>;
     
     // Восстановление состояния сайдбара
     document.addEventListener('DOMContentLoaded', function() {
@@ -325,33 +320,6 @@ $current_path = $_SERVER['REQUEST_URI'] ?? '/';
             });
         }
         
-        // Обновление количества в корзине
-        updateCartBadge();
-        
-        // Инициализация таблиц
-        if (typeof window.initTableResize === 'function') {
-            window.initTableResize();
-        }
+        // Бейдж корзины обновляет main.js (cartStore)
     });
-    
-    // Функция обновления бейджа корзины
-    function updateCartBadge() {
-        fetch('/cart/json')
-            .then(res => res.json())
-            .then(data => {
-                const cartBadge = document.getElementById('cartBadge');
-                const cart = data.cart || {};
-                const totalItems = Object.values(cart).reduce((sum, item) => sum + (item.quantity || 0), 0);
-                
-                if (totalItems > 0) {
-                    cartBadge.textContent = totalItems;
-                    cartBadge.style.display = 'block';
-                } else {
-                    cartBadge.style.display = 'none';
-                }
-            })
-            .catch(() => {
-                // Игнорируем ошибки
-            });
-    }
 </script>
\ No newline at end of file
@@ -57,8 +57,14 @@ $router = new Router();
 $apiController = new ApiController();
 $router->get('/api/test', [$apiController, 'testAction']);
 $router->get('/api/availability', [$apiController, 'availabilityAction']);
+$router->get('/api/availability/stream', [$apiController, 'availabilityStreamAction']);
 $router->get('/api/search', [$apiController, 'searchAction']);
 $router->get('/api/autocomplete', [$apiController, 'autocompleteAction']);
+$router->match(['GET', 'POST'], '/api/products/batch', [$apiController, 'productsBatchAction']);
+$router->get('/api/search-history', [$apiController, 'searchHistoryAction']);
+$router->post('/api/search-history', [$apiController, 'saveSearchHistoryAction']);
+$router->get('/api/user-settings', [$apiController, 'userSettingsAction']);
+$router->post('/api/user-settings', [$apiController, 'saveUserSettingsAction']);
 
 // Авторизация
 $loginController = new LoginController();
@@ -82,16 +88,26 @@ $router->get('/admin', function() use ($adminController) {
 // Корзина
 $cartController = new CartController();
 $router->match(['GET', 'POST'], '/cart/add', [$cartController, 'addAction']);
+$router->post('/cart/add-batch', [$cartController, 'addBatchAction']);
 $router->get('/cart', [$cartController, 'viewAction']);
 $router->post('/cart/clear', [$cartController, 'clearAction']);
 $router->post('/cart/remove', [$cartController, 'removeAction']);
+$router->post('/cart/update', [$cartController, 'updateAction']);
 $router->get('/cart/json', [$cartController, 'getJsonAction']);
+$router->get('/cart/saved', [$cartController, 'savedListAction']);
+$router->post('/cart/saved/save', [$cartController, 'savedSaveAction']);
+$router->post('/cart/saved/open', [$cartController, 'savedOpenAction']);
+$router->post('/cart/saved/duplicate', [$cartController, 'savedDuplicateAction']);
+$router->post('/cart/saved/delete', [$cartController, 'savedDeleteAction']);
 
 // Спецификации
 $specController = new SpecificationController();
 $router->match(['GET', 'POST'], '/specification/create', [$specController, 'createAction']);
 $router->get('/specification/{id}', [$specController, 'viewAction']);
+$router->get('/specification/{id}/export', [$specController, 'exportDataAction']);
 $router->get('/specifications', [$specController, 'listAction']);
+$router->get('/specifications/data', [$specController, 'listDataAction']);
+$router->post('/specification/{id}/status', [$specController, 'statusAction']);
 
 // Товары
 $productController = new ProductController();
@@ -0,0 +1,152 @@
+/**
+ * Service worker каталога: app shell и офлайн-доступ к результатам поиска и наличию
+ * Лежит в корне сайта (public/), чтобы область действия охватывала все страницы.
+ * Собирается не Vite, поэтому написан без import и зависимостей.
+ */
+
+const VERSION = 'v2';
+const SHELL_CACHE = `vdestor-shell-${VERSION}`;
+const DATA_CACHE = `vdestor-data-${VERSION}`;
+
+// Страницы app shell: только они сохраняются при переходах и доступны офлайн
+const SHELL_URLS = ['/shop'];
+
+// Ответы API, которые сохраняем для работы без сети
+const DATA_PATHS = ['/api/search', '/api/availability', '/api/autocomplete'];
+const MAX_DATA_ENTRIES = 150;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_URLS))
+            .catch(error => console.warn('SW: не удалось закешировать app shell', error))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('vdestor-') && ![SHELL_CACHE, DATA_CACHE].includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // Цены, наличие и страницы персональные - при выходе удаляем сохраненные ответы
+    if (url.pathname === '/logout') {
+        event.waitUntil(Promise.all([caches.delete(DATA_CACHE), caches.delete(SHELL_CACHE)]));
+        return;
+    }
+
+    if (DATA_PATHS.includes(url.pathname)) {
+        event.respondWith(networkFirst(request, DATA_CACHE, event.clientId));
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(navigate(request, url.pathname));
+        return;
+    }
+
+    if (url.pathname.startsWith('/assets/') || url.pathname.startsWith('/images/')) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Сначала сеть, при ошибке сети - сохраненный ответ
+ * Ошибки сервера (5xx) отдаем как есть: их обрабатывает ProductService
+ */
+async function networkFirst(request, cacheName, clientId) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, await stampResponse(response.clone()));
+            if (cacheName === DATA_CACHE) trimCache(cache, MAX_DATA_ENTRIES);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (!cached) return Response.error();
+
+        notifyClient(clientId, cached);
+        return cached;
+    }
+}
+
+/**
+ * Переход по страницам: в кеш попадают только страницы SHELL_URLS (одна запись на страницу,
+ * без учета параметров запроса). Корзина, спецификации и админка персональные и не сохраняются;
+ * без сети вместо них открывается каталог
+ */
+async function navigate(request, pathname) {
+    const cache = await caches.open(SHELL_CACHE);
+    const isShell = SHELL_URLS.includes(pathname);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && isShell) {
+            await cache.put(pathname, await stampResponse(response.clone()));
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(isShell ? pathname : SHELL_URLS[0])) || Response.error();
+    }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    return cached || (await network) || Response.error();
+}
+
+/**
+ * Копия ответа с временем сохранения - для баннера «данные от ...»
+ */
+async function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-SW-Cached-At', String(Date.now()));
+
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+async function notifyClient(clientId, response) {
+    if (!clientId) return;
+
+    const client = await self.clients.get(clientId);
+    client?.postMessage({
+        type: 'offline-response',
+        cachedAt: Number(response.headers.get('X-SW-Cached-At')) || null
+    });
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    // Записи удаляются в порядке добавления - сначала самые старые
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
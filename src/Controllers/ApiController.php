@@ -2,63 +2,36 @@
 namespace App\Controllers;
 
 use App\Services\SearchService;
+use App\Services\SearchHistoryService;
+use App\Services\UserSettingsService;
+use App\Services\ProductLookupService;
 use App\Services\DynamicProductDataService;
 use App\DTO\ProductAvailabilityDTO;
 use App\Services\AuthService;
 use App\Core\Logger;
+use App\Core\CSRF;
+use App\Core\Config;
 
 class ApiController extends BaseController
 {
+    // Живое обновление наличия (Server-Sent Events). Поток включается настройкой app.availability_stream:
+    // каждое соединение занимает PHP-процесс, поэтому по умолчанию клиент опрашивает /api/availability
+    private const STREAM_INTERVAL = 20;
+    private const STREAM_DURATION = 55;
+    private const STREAM_RETRY_MS = 15000;
+    private const STREAM_MAX_PRODUCTS = 500;
+
     /**
      * GET /api/availability - Получение данных о наличии товаров
+     * fresh=1 - в обход серверного кеша (опрос при живом обновлении)
      */
     public function availabilityAction(): void
     {
         try {
-            // Простая валидация параметров
-            $cityId = (int)($_GET['city_id'] ?? 1);
-            $productIdsStr = trim($_GET['product_ids'] ?? '');
-            
-            if ($cityId < 1) {
-                $this->error('Неверный city_id', 400);
-                return;
-            }
-            
-            if (empty($productIdsStr)) {
-                $this->error('Параметр product_ids обязателен', 400);
-                return;
-            }
-            
-            // Парсим и валидируем product_ids
-            $productIds = array_map('intval', explode(',', $productIdsStr));
-            $productIds = array_filter($productIds, fn($id) => $id > 0);
-            $productIds = array_unique($productIds);
-            
-            if (empty($productIds)) {
-                $this->error('Нет валидных product_ids', 400);
-                return;
-            }
-            
-            if (count($productIds) > 1000) {
-                $this->error('Слишком много товаров, максимум 1000', 400);
-                return;
-            }
-            
-            // Получаем динамические данные
-            $dynamicService = new DynamicProductDataService();
-            $userId = AuthService::check() ? AuthService::user()['id'] : null;
-            
-            $dynamicData = $dynamicService->getProductsDynamicData($productIds, $cityId, $userId);
-            
-            // Преобразуем в DTO формат
-            $result = [];
-            foreach ($productIds as $productId) {
-                $data = $dynamicData[$productId] ?? [];
-                $dto = ProductAvailabilityDTO::fromDynamicData($productId, $data);
-                $result[$productId] = $dto->toArray();
-            }
-            
-            $this->success($result);
+            [$cityId, $productIds] = $this->readAvailabilityRequest(1000);
+            $fresh = ($_GET['fresh'] ?? '') === '1';
+
+            $this->success($this->getAvailabilityData($productIds, $cityId, $fresh));
             
         } catch (\Exception $e) {
             Logger::error('API Availability error', [
@@ -69,6 +42,82 @@ class ApiController extends BaseController
             $this->error('Ошибка получения данных о наличии', 500);
         }
     }
+
+    /**
+     * GET /api/availability/stream - Наличие в реальном времени (Server-Sent Events)
+     * Параметры те же, что у /api/availability. Первое событие availability - все товары,
+     * следующие - только товары, у которых изменились остаток или срок поставки.
+     * Через STREAM_DURATION секунд поток закрывается, браузер переподключается сам (retry).
+     * При ошибке чтения наличия отправляется событие stream-error и поток закрывается
+     */
+    public function availabilityStreamAction(): void
+    {
+        if (!Config::get('app.availability_stream', false)) {
+            $this->error('Поток наличия отключен', 404);
+        }
+
+        [$cityId, $productIds] = $this->readAvailabilityRequest(self::STREAM_MAX_PRODUCTS);
+
+        // Сессия не нужна до конца потока; открытая блокирует остальные запросы пользователя
+        if (session_status() === PHP_SESSION_ACTIVE) {
+            session_write_close();
+        }
+
+        set_time_limit(self::STREAM_DURATION + 30);
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+
+        header('Content-Type: text/event-stream; charset=utf-8');
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no');
+
+        echo 'retry: ' . self::STREAM_RETRY_MS . "\n\n";
+        flush();
+
+        $known = [];
+        $startedAt = time();
+
+        while (true) {
+            // Заголовки уже отправлены: ответ об ошибке в формате JSON попал бы в поток
+            try {
+                $availability = $this->getAvailabilityData($productIds, $cityId, true);
+            } catch (\Exception $e) {
+                Logger::error('API Availability stream error', [
+                    'error' => $e->getMessage(),
+                    'request' => $_GET
+                ]);
+                echo "event: stream-error\n";
+                echo "data: {}\n\n";
+                flush();
+                break;
+            }
+
+            $changed = [];
+            foreach ($availability as $productId => $info) {
+                $fingerprint = $info['quantity'] . '|' . $info['delivery_date'] . '|' . $info['delivery_text'];
+                if (($known[$productId] ?? null) !== $fingerprint) {
+                    $known[$productId] = $fingerprint;
+                    $changed[$productId] = $info;
+                }
+            }
+
+            if ($changed) {
+                echo "event: availability\n";
+                echo 'data: ' . json_encode(['city_id' => $cityId, 'data' => $changed], JSON_UNESCAPED_UNICODE) . "\n\n";
+            } else {
+                // Комментарий держит соединение и позволяет заметить, что клиент ушел
+                echo ": ping\n\n";
+            }
+            flush();
+
+            if (connection_aborted() || time() - $startedAt + self::STREAM_INTERVAL >= self::STREAM_DURATION) {
+                break;
+            }
+            sleep(self::STREAM_INTERVAL);
+        }
+        exit;
+    }
     
     /**
      * GET /api/search - Поиск товаров
@@ -96,10 +145,10 @@ class ApiController extends BaseController
                 $params['user_id'] = AuthService::user()['id'];
             }
             
-            // Добавляем фильтры если они есть
-            $filters = ['brand_name', 'series_name', 'category'];
+            // Добавляем фильтры фасетов если они есть (несколько значений - через запятую, см. SearchService::parseFilters)
+            $filters = ['brand_name', 'series_name', 'category', 'in_stock', 'price_range'];
             foreach ($filters as $filter) {
-                if (!empty($_GET[$filter])) {
+                if (isset($_GET[$filter]) && is_string($_GET[$filter]) && trim($_GET[$filter]) !== '') {
                     $params[$filter] = trim($_GET[$filter]);
                 }
             }
@@ -172,6 +221,146 @@ class ApiController extends BaseController
         }
     }
     
+    /**
+     * GET|POST /api/products/batch - Товары списком: ids=1,2,3 или codes=A1,B2 (external_id / SKU)
+     * К каждому товару добавляется наличие и цена для city_id
+     */
+    public function productsBatchAction(): void
+    {
+        try {
+            // Длинные списки кодов приходят POST-запросом
+            $input = $_SERVER['REQUEST_METHOD'] === 'POST' ? $_POST : $_GET;
+            $cityId = max(1, (int)($input['city_id'] ?? 1));
+            $ids = array_filter(explode(',', trim($input['ids'] ?? '')), 'strlen');
+            $codes = array_filter(array_map('trim', explode(',', $input['codes'] ?? '')), 'strlen');
+            
+            if (empty($ids) && empty($codes)) {
+                $this->error('Параметр ids или codes обязателен', 400);
+                return;
+            }
+            
+            if (count($ids) + count($codes) > ProductLookupService::MAX_ITEMS) {
+                $this->error('Слишком много товаров, максимум ' . ProductLookupService::MAX_ITEMS, 400);
+                return;
+            }
+            
+            $products = $ids
+                ? ProductLookupService::findByIds($ids)
+                : ProductLookupService::findByCodes($codes);
+            
+            if ($products) {
+                $productIds = array_column($products, 'product_id');
+                $userId = AuthService::check() ? AuthService::user()['id'] : null;
+                $dynamicData = (new DynamicProductDataService())->getProductsDynamicData($productIds, $cityId, $userId);
+                
+                foreach ($products as &$product) {
+                    $data = $dynamicData[$product['product_id']] ?? [];
+                    $product['availability'] = ProductAvailabilityDTO::fromDynamicData($product['product_id'], $data)->toArray();
+                }
+                unset($product);
+            }
+            
+            $this->success($products);
+            
+        } catch (\Exception $e) {
+            Logger::error('API Products batch error', [
+                'error' => $e->getMessage(),
+                'request' => $input ?? $_GET
+            ]);
+            $this->error('Ошибка получения товаров', 500);
+        }
+    }
+    
+    /**
+     * GET /api/search-history - История поиска текущего пользователя
+     */
+    public function searchHistoryAction(): void
+    {
+        $user = $this->requireAuth();
+        
+        $this->success([
+            'entries' => SearchHistoryService::get((int)$user['user_id'])
+        ]);
+    }
+    
+    /**
+     * POST /api/search-history - Сохранение истории поиска (полный список записей)
+     */
+    public function saveSearchHistoryAction(): void
+    {
+        $user = $this->requireAuth();
+        
+        if (!CSRF::validate($_POST['csrf_token'] ?? '')) {
+            $this->error('Недоступно', 403);
+        }
+        
+        $entries = json_decode($_POST['entries'] ?? '', true);
+        if (!is_array($entries)) {
+            $this->error('Некорректный формат истории поиска', 400);
+        }
+        
+        try {
+            $saved = SearchHistoryService::save((int)$user['user_id'], $entries);
+            $this->success(['entries' => $saved]);
+        } catch (\Exception $e) {
+            Logger::error('API Search history error', [
+                'user_id' => $user['user_id'],
+                'error' => $e->getMessage()
+            ]);
+            $this->error('Не удалось сохранить историю поиска', 500);
+        }
+    }
+    
+    /**
+     * GET /api/user-settings?key=... - Настройка интерфейса текущего пользователя
+     */
+    public function userSettingsAction(): void
+    {
+        $user = $this->requireAuth();
+        
+        $key = trim($_GET['key'] ?? '');
+        if (!UserSettingsService::isAllowedKey($key)) {
+            $this->error('Неизвестная настройка', 400);
+        }
+        
+        $this->success([
+            'key' => $key,
+            'value' => UserSettingsService::get((int)$user['user_id'], $key)
+        ]);
+    }
+    
+    /**
+     * POST /api/user-settings - Сохранение настройки интерфейса (key, value в JSON)
+     */
+    public function saveUserSettingsAction(): void
+    {
+        $user = $this->requireAuth();
+        
+        if (!CSRF::validate($_POST['csrf_token'] ?? '')) {
+            $this->error('Недоступно', 403);
+        }
+        
+        $key = trim($_POST['key'] ?? '');
+        $value = json_decode($_POST['value'] ?? '', true);
+        if (json_last_error() !== JSON_ERROR_NONE) {
+            $this->error('Некорректное значение настройки', 400);
+        }
+        
+        try {
+            UserSettingsService::save((int)$user['user_id'], $key, $value);
+            $this->success(['key' => $key, 'value' => $value]);
+        } catch (\InvalidArgumentException $e) {
+            $this->error($e->getMessage(), 400);
+        } catch (\Exception $e) {
+            Logger::error('API User settings error', [
+                'user_id' => $user['user_id'],
+                'key' => $key,
+                'error' => $e->getMessage()
+            ]);
+            $this->error('Не удалось сохранить настройку', 500);
+        }
+    }
+    
     /**
      * GET /api/test - Тестовый endpoint
      */
@@ -201,4 +390,58 @@ class ApiController extends BaseController
             return false;
         }
     }
+
+    /**
+     * Параметры запроса наличия: [city_id, product_ids]; при ошибке отвечает 400
+     */
+    private function readAvailabilityRequest(int $maxProducts): array
+    {
+        // Простая валидация параметров
+        $cityId = (int)($_GET['city_id'] ?? 1);
+        $productIdsStr = trim($_GET['product_ids'] ?? '');
+        
+        if ($cityId < 1) {
+            $this->error('Неверный city_id', 400);
+        }
+        
+        if (empty($productIdsStr)) {
+            $this->error('Параметр product_ids обязателен', 400);
+        }
+        
+        // Парсим и валидируем product_ids
+        $productIds = array_map('intval', explode(',', $productIdsStr));
+        $productIds = array_filter($productIds, fn($id) => $id > 0);
+        $productIds = array_unique($productIds);
+        
+        if (empty($productIds)) {
+            $this->error('Нет валидных product_ids', 400);
+        }
+        
+        if (count($productIds) > $maxProducts) {
+            $this->error("Слишком много товаров, максимум $maxProducts", 400);
+        }
+
+        return [$cityId, $productIds];
+    }
+
+    /**
+     * Наличие в формате ProductAvailabilityDTO, ключ - product_id
+     */
+    private function getAvailabilityData(array $productIds, int $cityId, bool $fresh = false): array
+    {
+        $dynamicService = new DynamicProductDataService();
+        $userId = AuthService::check() ? AuthService::user()['id'] : null;
+        
+        $dynamicData = $dynamicService->getProductsDynamicData($productIds, $cityId, $userId, $fresh);
+        
+        // Преобразуем в DTO формат
+        $result = [];
+        foreach ($productIds as $productId) {
+            $data = $dynamicData[$productId] ?? [];
+            $dto = ProductAvailabilityDTO::fromDynamicData($productId, $data);
+            $result[$productId] = $dto->toArray();
+        }
+
+        return $result;
+    }
 }
\ No newline at end of file
@@ -2,9 +2,12 @@
 namespace App\Controllers;
 
 use App\Services\CartService;
+use App\Services\SavedCartService;
 use App\Services\AuthService;
+use App\Exceptions\CartException;
 use App\Core\CSRF;
 use App\Core\Layout;
+use App\Core\Logger;
 
 class CartController
 {
@@ -33,6 +36,47 @@ class CartController
         }
     }
 
+    /**
+     * POST /cart/add-batch — добавить несколько товаров одним запросом
+     * items - JSON [{product_id, quantity}, ...]; ошибки возвращаются по каждому товару
+     */
+    public function addBatchAction(): string
+    {
+        header('Content-Type: application/json; charset=utf-8');
+        if ($_SERVER['REQUEST_METHOD'] !== 'POST' || !CSRF::validate($_POST['csrf_token'] ?? '')) {
+            http_response_code(403);
+            return json_encode(['success' => false, 'message' => 'Недоступно']);
+        }
+
+        $items = json_decode($_POST['items'] ?? '', true);
+        if (!is_array($items) || empty($items)) {
+            http_response_code(400);
+            return json_encode(['success' => false, 'message' => 'Некорректные данные']);
+        }
+
+        $userId = AuthService::check() ? AuthService::user()['id'] : null;
+
+        try {
+            $result = CartService::addMany($items, $userId);
+        } catch (\Exception $e) {
+            http_response_code(400);
+            return json_encode(['success' => false, 'message' => $e->getMessage()]);
+        }
+
+        $failed = [];
+        foreach ($result['failed'] as $productId => $message) {
+            $failed[] = ['product_id' => $productId, 'message' => $message];
+        }
+
+        return json_encode([
+            'success' => !empty($result['added']),
+            'message' => empty($result['added']) ? 'Не удалось добавить товары' : 'Товары добавлены в корзину',
+            'added' => $result['added'],
+            'failed' => $failed,
+            'cart' => $result['cart']
+        ], JSON_UNESCAPED_UNICODE);
+    }
+
     /**
      * GET /cart — страница корзины
      */
@@ -85,6 +129,35 @@ class CartController
         return json_encode(['success' => true, 'message' => 'Товар удален из корзины']);
     }
 
+    /**
+     * POST /cart/update — изменить количество товара (0 — удалить)
+     */
+    public function updateAction(): string
+    {
+        header('Content-Type: application/json; charset=utf-8');
+        if ($_SERVER['REQUEST_METHOD'] !== 'POST' || !CSRF::validate($_POST['csrf_token'] ?? '')) {
+            http_response_code(403);
+            return json_encode(['success' => false, 'message' => 'Недоступно']);
+        }
+
+        $productId = (int)($_POST['productId'] ?? $_POST['product_id'] ?? 0);
+        $quantity  = (int)($_POST['quantity'] ?? -1);
+        if ($productId <= 0 || $quantity < 0) {
+            http_response_code(400);
+            return json_encode(['success' => false, 'message' => 'Некорректные данные']);
+        }
+
+        $userId = AuthService::check() ? AuthService::user()['id'] : null;
+
+        try {
+            CartService::update($productId, $quantity, $userId);
+            return json_encode(['success' => true, 'message' => 'Количество обновлено']);
+        } catch (\Exception $e) {
+            http_response_code(400);
+            return json_encode(['success' => false, 'message' => $e->getMessage()]);
+        }
+    }
+
     /**
      * POST /cart/clear — очистить корзину
      */
@@ -112,4 +185,96 @@ class CartController
         $cart = CartService::get($userId);
         return json_encode(['cart' => $cart]);
     }
+
+    /**
+     * GET /cart/saved — сохраненные корзины пользователя
+     */
+    public function savedListAction(): string
+    {
+        return $this->savedCartsResponse(false, fn() => null);
+    }
+
+    /**
+     * POST /cart/saved/save — сохранить текущую корзину (name; id — перезаписать черновик)
+     */
+    public function savedSaveAction(): string
+    {
+        return $this->savedCartsResponse(true, function (int $userId) {
+            $id = (int)($_POST['id'] ?? 0);
+            SavedCartService::saveCurrent($userId, (string)($_POST['name'] ?? ''), $id > 0 ? $id : null);
+            return ['message' => 'Корзина сохранена'];
+        });
+    }
+
+    /**
+     * POST /cart/saved/open — заменить текущую корзину сохраненной (id)
+     */
+    public function savedOpenAction(): string
+    {
+        return $this->savedCartsResponse(true, function (int $userId) {
+            $cart = SavedCartService::open($userId, (int)($_POST['id'] ?? 0));
+            return ['message' => 'Корзина открыта', 'cart' => $cart];
+        });
+    }
+
+    /**
+     * POST /cart/saved/duplicate — копия сохраненной корзины (id)
+     */
+    public function savedDuplicateAction(): string
+    {
+        return $this->savedCartsResponse(true, function (int $userId) {
+            SavedCartService::duplicate($userId, (int)($_POST['id'] ?? 0));
+            return ['message' => 'Копия создана'];
+        });
+    }
+
+    /**
+     * POST /cart/saved/delete — удалить сохраненную корзину (id)
+     */
+    public function savedDeleteAction(): string
+    {
+        return $this->savedCartsResponse(true, function (int $userId) {
+            SavedCartService::delete($userId, (int)($_POST['id'] ?? 0));
+            return ['message' => 'Сохраненная корзина удалена'];
+        });
+    }
+
+    /**
+     * Общая обвязка для сохраненных корзин: только для вошедших пользователей,
+     * изменения — POST с CSRF; в ответ всегда актуальный список (carts) и активный черновик (active_id)
+     */
+    private function savedCartsResponse(bool $modifies, callable $action): string
+    {
+        header('Content-Type: application/json; charset=utf-8');
+        if ($modifies && ($_SERVER['REQUEST_METHOD'] !== 'POST' || !CSRF::validate($_POST['csrf_token'] ?? ''))) {
+            http_response_code(403);
+            return json_encode(['success' => false, 'message' => 'Недоступно']);
+        }
+
+        $userId = AuthService::check() ? (int)AuthService::user()['id'] : 0;
+        if ($userId <= 0) {
+            http_response_code(401);
+            return json_encode(['success' => false, 'message' => 'Войдите, чтобы сохранять корзины'], JSON_UNESCAPED_UNICODE);
+        }
+
+        try {
+            $result = $action($userId) ?? [];
+
+            return json_encode(array_merge([
+                'success' => true,
+                'carts' => SavedCartService::list($userId),
+                'active_id' => SavedCartService::getActiveId()
+            ], $result), JSON_UNESCAPED_UNICODE);
+        } catch (CartException $e) {
+            http_response_code(400);
+            return json_encode(['success' => false, 'message' => $e->getMessage()], JSON_UNESCAPED_UNICODE);
+        } catch (\Exception $e) {
+            Logger::error('Ошибка сохраненных корзин', [
+                'user_id' => $userId,
+                'error' => $e->getMessage()
+            ]);
+            http_response_code(500);
+            return json_encode(['success' => false, 'message' => 'Не удалось выполнить действие'], JSON_UNESCAPED_UNICODE);
+        }
+    }
 }
\ No newline at end of file
@@ -3,14 +3,29 @@ namespace App\Controllers;
 
 use App\Core\Layout;
 use App\Core\CSRF;
+use App\Core\Config;
 use App\Services\CartService;
+use App\Services\SpecificationService;
 use App\Core\Database;
 use App\Services\AuthService;
+use App\Exceptions\ValidationException;
 
 class SpecificationController
 {
+    /**
+     * Реквизиты спецификации: поле => [название для сообщений, максимальная длина]
+     */
+    const META_FIELDS = [
+        'project_name' => ['Название проекта', 200],
+        'customer' => ['Заказчик', 200],
+        'delivery_address' => ['Адрес доставки', 500],
+        'delivery_date' => ['Желаемая дата поставки', 10],
+        'comment' => ['Комментарий', 2000],
+    ];
+
     /**
      * POST /specification/create — создание спецификации из корзины
+     * Реквизиты (META_FIELDS) проверяются до создания; ошибки возвращаются по полям (422, errors)
      */
     public function createAction(): void
     {
@@ -28,7 +43,10 @@ class SpecificationController
                 return;
             }
 
-            // 2. Получаем корзину
+            // 2. Проверяем реквизиты
+            $meta = $this->validateMeta($_POST);
+
+            // 3. Получаем корзину
             $userId = AuthService::check() ? (int)AuthService::user()['id'] : null;
             $cart = CartService::get($userId);
             if (!$cart || !is_array($cart) || count($cart) === 0) {
@@ -36,7 +54,7 @@ class SpecificationController
                 return;
             }
 
-            // 3. Формируем массив товаров для спецификации
+            // 4. Формируем массив товаров для спецификации
             $items = [];
             foreach ($cart as $item) {
                 $productId = (int)($item['product_id'] ?? 0);
@@ -45,7 +63,6 @@ class SpecificationController
             
                 // Ищем цену в таблице prices
                 $price = 0;
-                $price = 0;
                 $stmt = Database::query(
                     "SELECT price FROM prices WHERE product_id = ? AND is_base = 1 ORDER BY valid_from DESC LIMIT 1",
                     [$productId]
@@ -64,14 +81,24 @@ class SpecificationController
                 return;
             }
 
-            // 4. Сохраняем спецификацию
+            // 5. Сохраняем спецификацию
             if (AuthService::check()) {
                 $pdo = Database::getConnection();
                 $userId = (int)AuthService::user()['id'];
 
                 // Создаём заголовок спецификации
-                $stmt = $pdo->prepare("INSERT INTO specifications (user_id, created_at) VALUES (?, NOW())");
-                $stmt->execute([$userId]);
+                $stmt = $pdo->prepare(
+                    "INSERT INTO specifications (user_id, project_name, customer, delivery_address, delivery_date, comment, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, NOW())"
+                );
+                $stmt->execute([
+                    $userId,
+                    $meta['project_name'],
+                    $meta['customer'],
+                    $meta['delivery_address'],
+                    $meta['delivery_date'],
+                    $meta['comment']
+                ]);
                 $specId = $pdo->lastInsertId();
 
                 // Вставляем товары одним запросом
@@ -97,18 +124,59 @@ class SpecificationController
                 $specId = uniqid('guest_', true);
                 $_SESSION['guest_specifications'][$specId] = [
                     'created_at' => date('Y-m-d H:i:s'),
+                    'meta' => $meta,
                     'items' => $items
                 ];
                 CartService::clear(); // очищаем корзину
                 echo json_encode(['success' => true, 'specification_id' => $specId, 'guest' => true]);
                 return;
             }
+        } catch (ValidationException $e) {
+            http_response_code(422);
+            echo json_encode($e->toResponse(), JSON_UNESCAPED_UNICODE);
         } catch (\Throwable $e) {
             http_response_code(500);
             echo json_encode(['success' => false, 'message' => 'Ошибка сервера', 'error' => $e->getMessage()]);
         }
     }
 
+    /**
+     * Проверить реквизиты из формы мастера
+     * Возвращает нормализованные значения (пустые - null) или выбрасывает ValidationException
+     */
+    private function validateMeta(array $input): array
+    {
+        $meta = [];
+        $errors = [];
+
+        foreach (self::META_FIELDS as $field => [$label, $maxLength]) {
+            $value = trim((string)($input[$field] ?? ''));
+            if (mb_strlen($value) > $maxLength) {
+                $errors[$field][] = "Поле «{$label}» должно содержать не более {$maxLength} символов";
+            }
+            $meta[$field] = $value === '' ? null : $value;
+        }
+
+        if ($meta['project_name'] === null) {
+            $errors['project_name'][] = 'Укажите название проекта';
+        }
+
+        if ($meta['delivery_date'] !== null && !isset($errors['delivery_date'])) {
+            $date = \DateTime::createFromFormat('!Y-m-d', $meta['delivery_date']);
+            if (!$date || $date->format('Y-m-d') !== $meta['delivery_date']) {
+                $errors['delivery_date'][] = 'Некорректная дата';
+            } elseif ($date < new \DateTime('today')) {
+                $errors['delivery_date'][] = 'Дата поставки не может быть в прошлом';
+            }
+        }
+
+        if ($errors) {
+            throw new ValidationException('Проверьте данные спецификации', $errors);
+        }
+
+        return $meta;
+    }
+
     /**
      * GET /specification/{id} — просмотр одной спецификации
      */
@@ -123,7 +191,10 @@ class SpecificationController
                 return;
             }
             Layout::render('specification/view', [
-                'specification' => ['specification_id' => $id, 'created_at' => $spec['created_at']],
+                'specification' => array_merge(
+                    $spec['meta'] ?? [],
+                    ['specification_id' => $id, 'created_at' => $spec['created_at']]
+                ),
                 'items' => $spec['items'],
                 'guest' => true
             ]);
@@ -148,8 +219,116 @@ class SpecificationController
         }
     }
 
+    /**
+     * GET /specification/{id}/export — данные для выгрузки в PDF/XLSX и повтора в корзину
+     * (specificationExport.js, specificationReorder.js)
+     * Реквизиты, строки с товарами, данные компании и ставка НДС
+     */
+    public function exportDataAction(string $id): string
+    {
+        header('Content-Type: application/json; charset=utf-8');
+
+        if (strpos($id, 'guest_') === 0) {
+            if (session_status() !== PHP_SESSION_ACTIVE) session_start();
+            $spec = $_SESSION['guest_specifications'][$id] ?? null;
+            if (!$spec) {
+                http_response_code(404);
+                return json_encode(['success' => false, 'message' => 'Спецификация не найдена'], JSON_UNESCAPED_UNICODE);
+            }
+            $specification = array_merge($spec['meta'] ?? [], ['specification_id' => $id, 'created_at' => $spec['created_at']]);
+            $items = $spec['items'];
+        } else {
+            $stmt = Database::query("SELECT * FROM specifications WHERE specification_id = ?", [$id]);
+            $specification = $stmt->fetch();
+
+            // Выгрузка - только своих спецификаций (администратор - любых)
+            $user = AuthService::user();
+            $isOwner = $specification && $user
+                && ((int)$specification['user_id'] === (int)$user['id'] || $user['role'] === 'admin');
+            if (!$isOwner) {
+                http_response_code(404);
+                return json_encode(['success' => false, 'message' => 'Спецификация не найдена'], JSON_UNESCAPED_UNICODE);
+            }
+
+            $stmt = Database::query(
+                "SELECT product_id, quantity, price FROM specification_items WHERE specification_id = ?",
+                [$id]
+            );
+            $items = $stmt->fetchAll();
+        }
+
+        // Названия и коды товаров - одним запросом
+        $productIds = array_values(array_unique(array_map(fn($item) => (int)$item['product_id'], $items)));
+        $products = [];
+        if ($productIds) {
+            $placeholders = implode(',', array_fill(0, count($productIds), '?'));
+            $stmt = Database::query(
+                "SELECT p.product_id, p.external_id, p.sku, p.name, p.unit, b.name AS brand_name
+                 FROM products p
+                 LEFT JOIN brands b ON p.brand_id = b.brand_id
+                 WHERE p.product_id IN ($placeholders)",
+                $productIds
+            );
+            while ($row = $stmt->fetch()) {
+                $products[(int)$row['product_id']] = $row;
+            }
+        }
+
+        $lines = array_map(function ($item) use ($products) {
+            $product = $products[(int)$item['product_id']] ?? [];
+            return [
+                'product_id' => (int)$item['product_id'],
+                'external_id' => $product['external_id'] ?? null,
+                'sku' => $product['sku'] ?? null,
+                'name' => $product['name'] ?? null,
+                'brand_name' => $product['brand_name'] ?? null,
+                'unit' => $product['unit'] ?? null,
+                'quantity' => (int)$item['quantity'],
+                'price' => round((float)$item['price'], 2),
+            ];
+        }, $items);
+
+        $meta = ['specification_id' => $specification['specification_id'], 'created_at' => $specification['created_at']];
+        foreach (array_keys(self::META_FIELDS) as $field) {
+            $meta[$field] = $specification[$field] ?? null;
+        }
+
+        return json_encode([
+            'success' => true,
+            'specification' => $meta,
+            'items' => $lines,
+            'company' => $this->getCompanyDetails(),
+            'vat' => [
+                'rate' => (float)Config::get('app.company.vat_rate', 20),
+                // Цены прайса указаны с НДС
+                'included' => (bool)Config::get('app.company.vat_included', true),
+            ],
+        ], JSON_UNESCAPED_UNICODE);
+    }
+
+    /**
+     * Реквизиты компании для шапки документов: секция [company] в app.ini
+     */
+    private function getCompanyDetails(): array
+    {
+        $defaults = [
+            'name' => 'VDestor B2B',
+            'legal_name' => '',
+            'inn' => '',
+            'kpp' => '',
+            'address' => '',
+            'phone' => '',
+            'email' => 'vde76ru@yandex.ru',
+            'site' => 'vdestor.ru',
+        ];
+
+        $company = Config::get('app.company', []);
+        return array_intersect_key(array_merge($defaults, is_array($company) ? $company : []), $defaults);
+    }
+
     /**
      * GET /specifications — список спецификаций пользователя
+     * Поиск, фильтры, сортировку и пагинацию выполняет specificationsList.js через /specifications/data
      */
     public function listAction(): void
     {
@@ -157,39 +336,71 @@ class SpecificationController
             header('Location: /login');
             exit;
         }
-        
-        $user = AuthService::user();
-        $page = max(1, (int)($_GET['page'] ?? 1));
-        $perPage = 20;
-        $offset = ($page - 1) * $perPage;
-        
-        $pdo = Database::getConnection();
-        
-        // Получаем общее количество
-        $countStmt = $pdo->prepare("SELECT COUNT(*) FROM specifications WHERE user_id = ?");
-        $countStmt->execute([$user['id']]);
-        $total = (int)$countStmt->fetchColumn();
-        
-        // Получаем спецификации с пагинацией
-        $stmt = $pdo->prepare("
-            SELECT s.*, 
-                   COUNT(si.product_id) as items_count,
-                   SUM(si.quantity * si.price) as total_amount
-            FROM specifications s
-            LEFT JOIN specification_items si ON s.specification_id = si.specification_id
-            WHERE s.user_id = ?
-            GROUP BY s.specification_id
-            ORDER BY s.created_at DESC
-            LIMIT ? OFFSET ?
-        ");
-        $stmt->execute([$user['id'], $perPage, $offset]);
-        $specs = $stmt->fetchAll();
-    
+
         Layout::render('specification/index', [
-            'specs' => $specs,
-            'currentPage' => $page,
-            'totalPages' => ceil($total / $perPage),
-            'total' => $total
+            'statuses' => SpecificationService::STATUSES
         ]);
     }
-}
\ No newline at end of file
+
+    /**
+     * GET /specifications/data — страница списка в JSON (q, status, date_from, date_to, sort, dir, page, per_page)
+     */
+    public function listDataAction(): string
+    {
+        header('Content-Type: application/json; charset=utf-8');
+        if (!AuthService::check()) {
+            http_response_code(401);
+            return json_encode(['success' => false, 'message' => 'Требуется авторизация'], JSON_UNESCAPED_UNICODE);
+        }
+
+        $userId = (int)AuthService::user()['id'];
+        $filters = array_intersect_key($_GET, array_flip(['q', 'status', 'date_from', 'date_to', 'sort', 'dir', 'page', 'per_page']));
+
+        try {
+            $result = SpecificationService::search($userId, array_map('strval', $filters));
+            return json_encode(['success' => true] + $result, JSON_UNESCAPED_UNICODE);
+        } catch (\Exception $e) {
+            http_response_code(500);
+            return json_encode(['success' => false, 'message' => 'Не удалось загрузить спецификации'], JSON_UNESCAPED_UNICODE);
+        }
+    }
+
+    /**
+     * POST /specification/{id}/status — смена статуса (status, csrf_token)
+     */
+    public function statusAction(string $id): string
+    {
+        header('Content-Type: application/json; charset=utf-8');
+        if (!CSRF::validate($_POST['csrf_token'] ?? '')) {
+            http_response_code(403);
+            return json_encode(['success' => false, 'message' => 'Недоступно'], JSON_UNESCAPED_UNICODE);
+        }
+        if (!AuthService::check()) {
+            http_response_code(401);
+            return json_encode(['success' => false, 'message' => 'Требуется авторизация'], JSON_UNESCAPED_UNICODE);
+        }
+
+        $status = (string)($_POST['status'] ?? '');
+
+        try {
+            if (!SpecificationService::setStatus((int)AuthService::user()['id'], (int)$id, $status)) {
+                http_response_code(404);
+                return json_encode(['success' => false, 'message' => 'Спецификация не найдена'], JSON_UNESCAPED_UNICODE);
+            }
+            return json_encode(['success' => true, 'status' => $status], JSON_UNESCAPED_UNICODE);
+        } catch (ValidationException $e) {
+            http_response_code(422);
+            return json_encode($e->toResponse(), JSON_UNESCAPED_UNICODE);
+        }
+    }
+}
+
+// SQL для реквизитов спецификации:
+/*
+ALTER TABLE `specifications`
+  ADD COLUMN `project_name` varchar(200) DEFAULT NULL AFTER `user_id`,
+  ADD COLUMN `customer` varchar(200) DEFAULT NULL AFTER `project_name`,
+  ADD COLUMN `delivery_address` varchar(500) DEFAULT NULL AFTER `customer`,
+  ADD COLUMN `delivery_date` date DEFAULT NULL AFTER `delivery_address`,
+  ADD COLUMN `comment` text AFTER `delivery_date`;
+*/
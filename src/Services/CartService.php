@@ -32,36 +32,9 @@ class CartService
      */
     public static function add(int $productId, int $quantity = 1, ?int $userId = null): array
     {
-        if ($productId <= 0 || $quantity <= 0) {
-            throw new CartException('Некорректные данные товара');
-        }
-        
-        if ($quantity > self::MAX_QUANTITY) {
-            throw new CartException('Превышено максимальное количество товара');
-        }
-        
         $cart = self::get($userId);
-        
-        // Проверяем лимит товаров
-        if (count($cart) >= self::MAX_ITEMS && !isset($cart[$productId])) {
-            throw new CartException('Достигнут лимит товаров в корзине');
-        }
-        
-        // Добавляем или обновляем товар
-        if (isset($cart[$productId])) {
-            $newQuantity = $cart[$productId]['quantity'] + $quantity;
-            if ($newQuantity > self::MAX_QUANTITY) {
-                throw new CartException('Превышено максимальное количество товара');
-            }
-            $cart[$productId]['quantity'] = $newQuantity;
-        } else {
-            $cart[$productId] = [
-                'product_id' => $productId,
-                'quantity' => $quantity,
-                'added_at' => date('Y-m-d H:i:s')
-            ];
-        }
-        
+        $saleSteps = self::getSaleSteps([$productId]);
+        self::addToCartArray($cart, $productId, $quantity, $saleSteps[$productId] ?? 1);
         self::save($cart, $userId);
         
         // Логируем добавление
@@ -74,6 +47,48 @@ class CartService
         return $cart;
     }
     
+    /**
+     * Добавить несколько товаров одним сохранением корзины
+     * $items - [['product_id' => int, 'quantity' => int], ...]
+     * Ошибка по одному товару не мешает добавить остальные:
+     * возвращает ['cart' => ..., 'added' => [product_id, ...], 'failed' => [product_id => сообщение]]
+     */
+    public static function addMany(array $items, ?int $userId = null): array
+    {
+        if (count($items) > self::MAX_ITEMS) {
+            throw new CartException('Слишком много товаров в одном запросе');
+        }
+        
+        $cart = self::get($userId);
+        $saleSteps = self::getSaleSteps(array_column($items, 'product_id'));
+        $added = [];
+        $failed = [];
+        
+        foreach ($items as $item) {
+            $productId = (int)($item['product_id'] ?? 0);
+            $quantity = (int)($item['quantity'] ?? 1);
+            
+            try {
+                self::addToCartArray($cart, $productId, $quantity, $saleSteps[$productId] ?? 1);
+                $added[] = $productId;
+            } catch (CartException $e) {
+                $failed[$productId] = $e->getMessage();
+            }
+        }
+        
+        if ($added) {
+            self::save($cart, $userId);
+            
+            Logger::info('Товары добавлены в корзину', [
+                'product_ids' => $added,
+                'failed' => count($failed),
+                'user_id' => $userId
+            ]);
+        }
+        
+        return ['cart' => $cart, 'added' => $added, 'failed' => $failed];
+    }
+    
     /**
      * Обновить количество товара
      */
@@ -87,6 +102,9 @@ class CartService
             throw new CartException('Превышено максимальное количество товара');
         }
         
+        $saleSteps = self::getSaleSteps([$productId]);
+        self::assertSaleStep($quantity, $saleSteps[$productId] ?? 1);
+        
         $cart = self::get($userId);
         
         if (isset($cart[$productId])) {
@@ -125,6 +143,52 @@ class CartService
         Logger::info('Корзина очищена', ['user_id' => $userId]);
     }
     
+    /**
+     * Заменить содержимое корзины (открытие сохраненной корзины)
+     * Товары, которых больше нет в каталоге, пропускаются; количество округляется вверх
+     * до кратности min_sale (кратность могла измениться после сохранения) и ограничивается MAX_QUANTITY
+     */
+    public static function replace(array $items, ?int $userId = null): array
+    {
+        $saleSteps = self::getSaleSteps(array_keys($items));
+        $cart = [];
+        $adjusted = 0;
+        
+        foreach ($items as $productId => $item) {
+            $productId = (int)$productId;
+            $quantity = (int)($item['quantity'] ?? 0);
+            if (!isset($saleSteps[$productId]) || $quantity <= 0 || count($cart) >= self::MAX_ITEMS) {
+                continue;
+            }
+            
+            $normalized = self::normalizeQuantity($quantity, $saleSteps[$productId]);
+            if ($normalized <= 0) {
+                continue;
+            }
+            if ($normalized !== $quantity) {
+                $adjusted++;
+                $quantity = $normalized;
+            }
+            
+            $cart[$productId] = [
+                'product_id' => $productId,
+                'quantity' => $quantity,
+                'added_at' => $item['added_at'] ?? date('Y-m-d H:i:s')
+            ];
+        }
+        
+        self::save($cart, $userId);
+        
+        Logger::info('Корзина заменена', [
+            'user_id' => $userId,
+            'items' => count($cart),
+            'skipped' => count($items) - count($cart),
+            'adjusted' => $adjusted
+        ]);
+        
+        return $cart;
+    }
+    
     /**
      * Получить корзину с полной информацией о товарах
      * Оптимизированная версия без N+1 запросов
@@ -193,6 +257,91 @@ class CartService
         ]);
     }
     
+    /**
+     * Проверки и добавление товара в массив корзины (без сохранения)
+     */
+    private static function addToCartArray(array &$cart, int $productId, int $quantity, int $saleStep = 1): void
+    {
+        if ($productId <= 0 || $quantity <= 0) {
+            throw new CartException('Некорректные данные товара');
+        }
+        
+        if ($quantity > self::MAX_QUANTITY) {
+            throw new CartException('Превышено максимальное количество товара');
+        }
+        
+        self::assertSaleStep($quantity, $saleStep);
+        
+        // Проверяем лимит товаров
+        if (count($cart) >= self::MAX_ITEMS && !isset($cart[$productId])) {
+            throw new CartException('Достигнут лимит товаров в корзине');
+        }
+        
+        // Добавляем или обновляем товар
+        if (isset($cart[$productId])) {
+            $newQuantity = $cart[$productId]['quantity'] + $quantity;
+            if ($newQuantity > self::MAX_QUANTITY) {
+                throw new CartException('Превышено максимальное количество товара');
+            }
+            $cart[$productId]['quantity'] = $newQuantity;
+        } else {
+            $cart[$productId] = [
+                'product_id' => $productId,
+                'quantity' => $quantity,
+                'added_at' => date('Y-m-d H:i:s')
+            ];
+        }
+    }
+    
+    /**
+     * Кратность продажи (min_sale) товаров: [product_id => шаг]
+     * Товар продается партиями по min_sale единиц, пустое значение - поштучно
+     */
+    private static function getSaleSteps(array $productIds): array
+    {
+        $productIds = array_values(array_unique(array_filter(array_map('intval', $productIds), fn($id) => $id > 0)));
+        if (empty($productIds)) {
+            return [];
+        }
+        
+        $placeholders = implode(',', array_fill(0, count($productIds), '?'));
+        $stmt = Database::query(
+            "SELECT product_id, min_sale FROM products WHERE product_id IN ($placeholders)",
+            $productIds
+        );
+        
+        $steps = [];
+        while ($row = $stmt->fetch()) {
+            $steps[(int)$row['product_id']] = max(1, (int)ceil((float)$row['min_sale']));
+        }
+        
+        return $steps;
+    }
+    
+    /**
+     * Количество должно быть кратно min_sale
+     */
+    private static function assertSaleStep(int $quantity, int $saleStep): void
+    {
+        if ($saleStep > 1 && $quantity % $saleStep !== 0) {
+            throw new CartException("Количество должно быть кратно {$saleStep}");
+        }
+    }
+    
+    /**
+     * Количество, кратное min_sale: округление вверх, как normalizeQuantity на клиенте,
+     * но не больше MAX_QUANTITY (0 - если даже одна партия превышает лимит)
+     */
+    private static function normalizeQuantity(int $quantity, int $saleStep): int
+    {
+        $quantity = (int)ceil($quantity / $saleStep) * $saleStep;
+        if ($quantity > self::MAX_QUANTITY) {
+            $quantity = intdiv(self::MAX_QUANTITY, $saleStep) * $saleStep;
+        }
+        
+        return $quantity;
+    }
+    
     /**
      * Загрузить корзину из БД
      */
@@ -16,8 +16,9 @@ class DynamicProductDataService
     
     /**
      * Получить динамические данные с улучшенной обработкой ошибок
+     * $fresh - читать из базы в обход кеша (живое обновление наличия), результат все равно кешируется
      */
-    public function getProductsDynamicData(array $productIds, int $cityId, ?int $userId = null): array
+    public function getProductsDynamicData(array $productIds, int $cityId, ?int $userId = null, bool $fresh = false): array
     {
         try {
             // Валидация
@@ -35,7 +36,7 @@ class DynamicProductDataService
 
             // Кеш
             $cacheKey = $this->getCacheKey($productIds, $cityId, $userId);
-            $cached = Cache::get($cacheKey);
+            $cached = $fresh ? null : Cache::get($cacheKey);
             if ($cached !== null) {
                 return $cached;
             }
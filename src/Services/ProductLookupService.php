@@ -0,0 +1,79 @@
+<?php
+namespace App\Services;
+
+use App\Core\Database;
+use App\Core\Logger;
+
+/**
+ * Пакетная выборка товаров по ID или по кодам (external_id / SKU)
+ * Используется /api/products/batch: карточки в корзине, быстрый заказ по списку кодов
+ */
+class ProductLookupService
+{
+    const MAX_ITEMS = 500;
+
+    private const SELECT = "SELECT p.product_id, p.external_id, p.sku, p.name, p.unit, p.min_sale,
+                   p.brand_id, p.series_id, b.name as brand_name, s.name as series_name,
+                   pr.price as base_price
+            FROM products p
+            LEFT JOIN prices pr ON pr.product_id = p.product_id AND pr.is_base = 1
+            LEFT JOIN brands b ON p.brand_id = b.brand_id
+            LEFT JOIN series s ON p.series_id = s.series_id";
+
+    /**
+     * Товары по product_id (порядок не гарантируется)
+     */
+    public static function findByIds(array $ids): array
+    {
+        $ids = array_values(array_unique(array_filter(array_map('intval', $ids), fn($id) => $id > 0)));
+        if (empty($ids)) {
+            return [];
+        }
+
+        $placeholders = implode(',', array_fill(0, count($ids), '?'));
+
+        return self::fetch(self::SELECT . " WHERE p.product_id IN ($placeholders)", $ids);
+    }
+
+    /**
+     * Товары, у которых external_id или SKU совпадает с одним из кодов
+     * На один код может найтись несколько товаров (одинаковый SKU у разных брендов) -
+     * сопоставление кодов и товаров выполняет клиент
+     */
+    public static function findByCodes(array $codes): array
+    {
+        $codes = array_values(array_unique(array_filter(array_map('trim', $codes), 'strlen')));
+        if (empty($codes)) {
+            return [];
+        }
+
+        $placeholders = implode(',', array_fill(0, count($codes), '?'));
+
+        return self::fetch(
+            self::SELECT . " WHERE p.external_id IN ($placeholders) OR p.sku IN ($placeholders)",
+            array_merge($codes, $codes)
+        );
+    }
+
+    private static function fetch(string $sql, array $params): array
+    {
+        try {
+            $stmt = Database::query($sql, $params);
+
+            $products = [];
+            while ($row = $stmt->fetch()) {
+                $row['product_id'] = (int)$row['product_id'];
+                $row['base_price'] = $row['base_price'] !== null ? (float)$row['base_price'] : null;
+                $products[$row['product_id']] = $row;
+            }
+
+            return array_values($products);
+        } catch (\Exception $e) {
+            Logger::error('Ошибка пакетной выборки товаров', [
+                'error' => $e->getMessage(),
+                'count' => count($params)
+            ]);
+            throw $e;
+        }
+    }
+}
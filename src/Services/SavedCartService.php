@@ -0,0 +1,252 @@
+<?php
+namespace App\Services;
+
+use App\Core\Database;
+use App\Core\Logger;
+use App\Exceptions\CartException;
+
+/**
+ * Сохраненные корзины (черновики заказов) пользователя
+ * Черновик - снимок текущей корзины под именем; текущая корзина остается одна (CartService),
+ * переключение заменяет ее содержимым черновика.
+ * Черновик, открытый последним, запоминается в сессии: «сохранить» обновляет его, а не создает новый
+ */
+class SavedCartService
+{
+    const SESSION_KEY = 'saved_cart_id';
+    const MAX_CARTS = 50;
+    const MAX_NAME_LENGTH = 100;
+
+    /**
+     * Черновики пользователя с количеством позиций и суммой по базовым ценам
+     */
+    public static function list(int $userId): array
+    {
+        $stmt = Database::query(
+            "SELECT saved_cart_id, name, payload, created_at, updated_at
+             FROM saved_carts
+             WHERE user_id = ?
+             ORDER BY updated_at DESC",
+            [$userId]
+        );
+
+        $carts = [];
+        $productIds = [];
+        while ($row = $stmt->fetch()) {
+            $items = self::decodePayload($row['payload']);
+            $productIds = array_merge($productIds, array_keys($items));
+            $carts[] = ['row' => $row, 'items' => $items];
+        }
+
+        // Цены всех черновиков - одним запросом
+        $prices = self::getBasePrices($productIds);
+
+        return array_map(function ($cart) use ($prices) {
+            $total = 0;
+            $quantity = 0;
+            foreach ($cart['items'] as $productId => $item) {
+                $quantity += (int)$item['quantity'];
+                $total += ($prices[$productId] ?? 0) * (int)$item['quantity'];
+            }
+
+            return [
+                'id' => (int)$cart['row']['saved_cart_id'],
+                'name' => $cart['row']['name'],
+                'items_count' => count($cart['items']),
+                'quantity' => $quantity,
+                'total' => round($total, 2),
+                'created_at' => $cart['row']['created_at'],
+                'updated_at' => $cart['row']['updated_at']
+            ];
+        }, $carts);
+    }
+
+    /**
+     * Сохранить текущую корзину: в черновик $savedCartId или в новый
+     * Возвращает id черновика; он становится активным
+     */
+    public static function saveCurrent(int $userId, string $name, ?int $savedCartId = null): int
+    {
+        $name = self::normalizeName($name);
+        $cart = CartService::get($userId);
+        if (empty($cart)) {
+            throw new CartException('Корзина пуста');
+        }
+
+        $payload = json_encode($cart, JSON_UNESCAPED_UNICODE);
+
+        if ($savedCartId) {
+            self::find($userId, $savedCartId);
+            Database::query(
+                "UPDATE saved_carts SET name = ?, payload = ?, updated_at = NOW()
+                 WHERE saved_cart_id = ? AND user_id = ?",
+                [$name, $payload, $savedCartId, $userId]
+            );
+        } else {
+            $savedCartId = self::insert($userId, $name, $payload);
+        }
+
+        self::setActiveId($savedCartId);
+
+        Logger::info('Корзина сохранена', [
+            'user_id' => $userId,
+            'saved_cart_id' => $savedCartId,
+            'items' => count($cart)
+        ]);
+
+        return $savedCartId;
+    }
+
+    /**
+     * Сделать черновик текущей корзиной
+     */
+    public static function open(int $userId, int $savedCartId): array
+    {
+        $row = self::find($userId, $savedCartId);
+        $cart = CartService::replace(self::decodePayload($row['payload']), $userId);
+        self::setActiveId($savedCartId);
+
+        Logger::info('Открыта сохраненная корзина', [
+            'user_id' => $userId,
+            'saved_cart_id' => $savedCartId
+        ]);
+
+        return $cart;
+    }
+
+    /**
+     * Копия черновика с пометкой «(копия)» в имени; возвращает id копии
+     */
+    public static function duplicate(int $userId, int $savedCartId): int
+    {
+        $row = self::find($userId, $savedCartId);
+        $name = mb_substr($row['name'], 0, self::MAX_NAME_LENGTH - 8) . ' (копия)';
+
+        return self::insert($userId, $name, $row['payload']);
+    }
+
+    public static function delete(int $userId, int $savedCartId): void
+    {
+        self::find($userId, $savedCartId);
+        Database::query(
+            "DELETE FROM saved_carts WHERE saved_cart_id = ? AND user_id = ?",
+            [$savedCartId, $userId]
+        );
+
+        if (self::getActiveId() === $savedCartId) {
+            self::setActiveId(null);
+        }
+    }
+
+    /**
+     * Черновик, открытый или сохраненный последним в этой сессии
+     */
+    public static function getActiveId(): ?int
+    {
+        if (session_status() !== PHP_SESSION_ACTIVE) {
+            session_start();
+        }
+
+        return isset($_SESSION[self::SESSION_KEY]) ? (int)$_SESSION[self::SESSION_KEY] : null;
+    }
+
+    private static function setActiveId(?int $savedCartId): void
+    {
+        if (session_status() !== PHP_SESSION_ACTIVE) {
+            session_start();
+        }
+
+        if ($savedCartId) {
+            $_SESSION[self::SESSION_KEY] = $savedCartId;
+        } else {
+            unset($_SESSION[self::SESSION_KEY]);
+        }
+        session_write_close();
+    }
+
+    private static function insert(int $userId, string $name, string $payload): int
+    {
+        $stmt = Database::query("SELECT COUNT(*) AS cnt FROM saved_carts WHERE user_id = ?", [$userId]);
+        if ((int)$stmt->fetch()['cnt'] >= self::MAX_CARTS) {
+            throw new CartException('Достигнут лимит сохраненных корзин (' . self::MAX_CARTS . ')');
+        }
+
+        Database::query(
+            "INSERT INTO saved_carts (user_id, name, payload, created_at, updated_at)
+             VALUES (?, ?, ?, NOW(), NOW())",
+            [$userId, $name, $payload]
+        );
+
+        return (int)Database::getConnection()->lastInsertId();
+    }
+
+    /**
+     * Черновик пользователя; чужой или несуществующий - CartException
+     */
+    private static function find(int $userId, int $savedCartId): array
+    {
+        $stmt = Database::query(
+            "SELECT * FROM saved_carts WHERE saved_cart_id = ? AND user_id = ? LIMIT 1",
+            [$savedCartId, $userId]
+        );
+
+        $row = $stmt->fetch();
+        if (!$row) {
+            throw new CartException('Сохраненная корзина не найдена');
+        }
+
+        return $row;
+    }
+
+    private static function normalizeName(string $name): string
+    {
+        $name = trim(preg_replace('/\s+/u', ' ', $name));
+        if ($name === '') {
+            throw new CartException('Укажите название корзины');
+        }
+
+        return mb_substr($name, 0, self::MAX_NAME_LENGTH);
+    }
+
+    private static function decodePayload(?string $payload): array
+    {
+        $items = json_decode($payload ?? '', true);
+        return is_array($items) ? $items : [];
+    }
+
+    private static function getBasePrices(array $productIds): array
+    {
+        $productIds = array_values(array_unique(array_map('intval', $productIds)));
+        if (empty($productIds)) {
+            return [];
+        }
+
+        $placeholders = implode(',', array_fill(0, count($productIds), '?'));
+        $stmt = Database::query(
+            "SELECT product_id, price FROM prices WHERE is_base = 1 AND product_id IN ($placeholders)",
+            $productIds
+        );
+
+        $prices = [];
+        while ($row = $stmt->fetch()) {
+            $prices[(int)$row['product_id']] = (float)$row['price'];
+        }
+
+        return $prices;
+    }
+}
+
+// SQL для таблицы сохраненных корзин:
+/*
+CREATE TABLE `saved_carts` (
+  `saved_cart_id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `payload` json NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`saved_cart_id`),
+  KEY `idx_saved_carts_user` (`user_id`, `updated_at`),
+  CONSTRAINT `fk_saved_carts_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+*/
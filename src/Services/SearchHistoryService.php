@@ -0,0 +1,142 @@
+<?php
+namespace App\Services;
+
+use App\Core\Database;
+use App\Core\Logger;
+
+/**
+ * История поиска авторизованных пользователей
+ * Хранится одним JSON-документом на пользователя, как корзина в таблице carts
+ */
+class SearchHistoryService
+{
+    const MAX_ENTRIES = 20;
+    const MAX_PINNED = 10;
+    const MAX_REMOVED = 50;
+    const MAX_QUERY_LENGTH = 200;
+
+    /**
+     * Получить историю пользователя
+     */
+    public static function get(int $userId): array
+    {
+        if ($userId <= 0) {
+            return [];
+        }
+
+        try {
+            $stmt = Database::query(
+                "SELECT payload FROM user_search_history WHERE user_id = ? LIMIT 1",
+                [$userId]
+            );
+
+            $row = $stmt->fetch();
+            if ($row && $row['payload']) {
+                $entries = json_decode($row['payload'], true);
+                if (json_last_error() === JSON_ERROR_NONE && is_array($entries)) {
+                    return self::normalize($entries);
+                }
+            }
+        } catch (\Exception $e) {
+            Logger::error('Ошибка загрузки истории поиска', [
+                'user_id' => $userId,
+                'error' => $e->getMessage()
+            ]);
+        }
+
+        return [];
+    }
+
+    /**
+     * Сохранить историю пользователя целиком
+     * Возвращает нормализованный список, который фактически сохранен
+     */
+    public static function save(int $userId, array $entries): array
+    {
+        $entries = self::normalize($entries);
+        $payload = json_encode($entries, JSON_UNESCAPED_UNICODE);
+
+        Database::query(
+            "INSERT INTO user_search_history (user_id, payload, updated_at)
+             VALUES (?, ?, NOW())
+             ON DUPLICATE KEY UPDATE
+             payload = VALUES(payload),
+             updated_at = NOW()",
+            [$userId, $payload]
+        );
+
+        return $entries;
+    }
+
+    /**
+     * Привести записи к формату { query, pinned, used_at, changed_at[, removed] }
+     * Из дубликатов остается запись с более поздним changed_at (used_at - наибольший),
+     * закрепленные идут первыми, лимиты применяются отдельно.
+     * removed - отметка об удалении: хранится, чтобы удаление не отменила копия с другого устройства
+     */
+    public static function normalize(array $entries): array
+    {
+        $unique = [];
+
+        foreach ($entries as $entry) {
+            if (!is_array($entry)) {
+                continue;
+            }
+
+            $query = trim((string)($entry['query'] ?? ''));
+            if ($query === '') {
+                continue;
+            }
+            $query = mb_substr($query, 0, self::MAX_QUERY_LENGTH);
+            $key = mb_strtolower($query);
+
+            $usedAt = max(0, (int)($entry['used_at'] ?? 0));
+            $normalized = [
+                'query' => $query,
+                'pinned' => empty($entry['removed']) && !empty($entry['pinned']),
+                'used_at' => $usedAt,
+                // Записи старого формата без changed_at
+                'changed_at' => max(0, (int)($entry['changed_at'] ?? 0)) ?: $usedAt
+            ];
+            if (!empty($entry['removed'])) {
+                $normalized['removed'] = true;
+            }
+
+            if (isset($unique[$key])) {
+                $previous = $unique[$key];
+                if ($previous['changed_at'] > $normalized['changed_at']) {
+                    $normalized = $previous;
+                }
+                $normalized['used_at'] = max($usedAt, $previous['used_at']);
+            }
+            $unique[$key] = $normalized;
+        }
+
+        $active = array_filter($unique, fn($e) => empty($e['removed']));
+        $pinned = array_values(array_filter($active, fn($e) => $e['pinned']));
+        $recent = array_values(array_filter($active, fn($e) => !$e['pinned']));
+        $removed = array_values(array_filter($unique, fn($e) => !empty($e['removed'])));
+
+        $byUsage = fn($a, $b) => $b['used_at'] <=> $a['used_at'];
+        usort($pinned, $byUsage);
+        usort($recent, $byUsage);
+        usort($removed, fn($a, $b) => $b['changed_at'] <=> $a['changed_at']);
+
+        return array_merge(
+            array_slice($pinned, 0, self::MAX_PINNED),
+            array_slice($recent, 0, self::MAX_ENTRIES),
+            array_slice($removed, 0, self::MAX_REMOVED)
+        );
+    }
+}
+
+// SQL для таблицы истории поиска:
+/*
+CREATE TABLE `user_search_history` (
+  `user_id` int NOT NULL,
+  `payload` json NOT NULL,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`user_id`),
+  CONSTRAINT `fk_search_history_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+*/
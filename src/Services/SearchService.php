@@ -9,6 +9,29 @@ use OpenSearch\ClientBuilder;
 class SearchService
 {
     private static ?\OpenSearch\Client $client = null;
+
+    /**
+     * Фасеты со списком значений: параметр запроса => поле индекса
+     */
+    const TERM_FACETS = [
+        'brand_name' => 'brand_name.keyword',
+        'series_name' => 'series_name.keyword',
+        'category' => 'categories.keyword',
+    ];
+
+    /**
+     * Диапазоны цены; key - значение фильтра price_range («от-до», граница может быть пустой)
+     */
+    const PRICE_RANGES = [
+        ['key' => '0-500', 'to' => 500],
+        ['key' => '500-2000', 'from' => 500, 'to' => 2000],
+        ['key' => '2000-10000', 'from' => 2000, 'to' => 10000],
+        ['key' => '10000-50000', 'from' => 10000, 'to' => 50000],
+        ['key' => '50000-', 'from' => 50000],
+    ];
+
+    const FACET_BUCKETS = 50;
+    const MAX_FILTER_VALUES = 50;
     
     public static function search(array $params): array
     {
@@ -276,7 +299,7 @@ class SearchService
                 ],
                 // Дополнительно ищем по обычным полям
                 'size' => $limit,
-                '_source' => ['name', 'external_id', 'brand_name'],
+                '_source' => ['product_id', 'name', 'external_id', 'sku', 'brand_name', 'categories', 'images'],
                 'query' => [
                     'bool' => [
                         'should' => [
@@ -316,24 +339,35 @@ class SearchService
             }
             
             // Добавляем результаты из обычного поиска
+            $facetSuggestions = [];
             foreach ($response['hits']['hits'] ?? [] as $hit) {
                 $source = $hit['_source'];
                 $text = $source['name'];
                 $key = mb_strtolower($text);
                 
-                if (!isset($seen[$key])) {
+                // Бренды и категории, совпадающие с запросом, предлагаем как фильтры
+                $facetSuggestions = self::collectFacetSuggestions($source, $query, $hit['_score'], $facetSuggestions);
+                
+                if (!isset($seen[$key]) && count($suggestions) < $limit) {
                     $suggestions[] = [
                         'text' => $text,
                         'type' => 'product',
                         'score' => $hit['_score'],
-                        'external_id' => $source['external_id'] ?? null
+                        'product_id' => $source['product_id'] ?? null,
+                        'external_id' => $source['external_id'] ?? null,
+                        'sku' => $source['sku'] ?? null,
+                        'brand_name' => $source['brand_name'] ?? null,
+                        'image' => $source['images'][0] ?? null
                     ];
                     $seen[$key] = true;
-                    
-                    if (count($suggestions) >= $limit) break;
                 }
             }
             
+            // Подсказки-фильтры: не больше трех
+            foreach (array_slice(array_values($facetSuggestions), 0, 3) as $facet) {
+                $suggestions[] = $facet;
+            }
+            
             // Сортируем по score
             usort($suggestions, function($a, $b) {
                 return ($b['score'] ?? 0) <=> ($a['score'] ?? 0);
@@ -347,6 +381,34 @@ class SearchService
         }
     }
     
+    /**
+     * Подсказки-фильтры (бренд, категория) из найденного товара
+     */
+    private static function collectFacetSuggestions(array $source, string $query, $score, array $collected): array
+    {
+        $candidates = [];
+        if (!empty($source['brand_name'])) {
+            $candidates[] = ['brand', $source['brand_name']];
+        }
+        foreach ((array)($source['categories'] ?? []) as $category) {
+            $candidates[] = ['category', $category];
+        }
+        
+        foreach ($candidates as [$type, $text]) {
+            $key = $type . ':' . mb_strtolower($text);
+            if (isset($collected[$key]) || mb_strpos(mb_strtolower($text), $query) === false) {
+                continue;
+            }
+            $collected[$key] = [
+                'text' => $text,
+                'type' => $type,
+                'score' => $score
+            ];
+        }
+        
+        return $collected;
+    }
+    
     /**
      * Определение является ли запрос артикулом
      */
@@ -424,7 +486,8 @@ class SearchService
             'total' => $response['hits']['total']['value'] ?? 0,
             'page' => $params['page'],
             'limit' => $params['limit'],
-            'max_score' => $response['hits']['max_score'] ?? 0
+            'max_score' => $response['hits']['max_score'] ?? 0,
+            'aggregations' => self::extractAggregations($response['aggregations'] ?? [])
         ];
     }
     
@@ -479,6 +542,10 @@ class SearchService
                 $bindParams['prefix_q'] = $query . '%';
                 $bindParams['search_q'] = '%' . $query . '%';
             }
+
+            [$filterSql, $filterParams] = self::buildMySQLFilters($params['filters'], (int)$params['city_id']);
+            $sql .= $filterSql;
+            $bindParams = array_merge($bindParams, $filterParams);
             
             // Сортировка
             switch ($params['sort']) {
@@ -510,11 +577,13 @@ class SearchService
             $products = $stmt->fetchAll();
             $total = $pdo->query("SELECT FOUND_ROWS()")->fetchColumn();
             
+            // Агрегаций в MySQL-режиме нет - панель фасетов скрыта, но выбранные фильтры применяются
             return [
                 'products' => $products,
                 'total' => (int)$total,
                 'page' => $page,
-                'limit' => $limit
+                'limit' => $limit,
+                'aggregations' => []
             ];
             
         } catch (\Exception $e) {
@@ -528,6 +597,67 @@ class SearchService
         }
     }
     
+    /**
+     * Фильтры фасетов для MySQL: [SQL-условия, именованные параметры]
+     */
+    private static function buildMySQLFilters(array $filters, int $cityId): array
+    {
+        $sql = '';
+        $bind = [];
+
+        $inList = function (string $prefix, array $values) use (&$bind): string {
+            $names = [];
+            foreach (array_values($values) as $i => $value) {
+                $names[] = ":{$prefix}_{$i}";
+                $bind["{$prefix}_{$i}"] = $value;
+            }
+            return implode(',', $names);
+        };
+
+        if (!empty($filters['brand_name'])) {
+            $sql .= ' AND b.name IN (' . $inList('f_brand', $filters['brand_name']) . ')';
+        }
+        if (!empty($filters['series_name'])) {
+            $sql .= ' AND s.name IN (' . $inList('f_series', $filters['series_name']) . ')';
+        }
+        if (!empty($filters['category'])) {
+            $sql .= ' AND EXISTS (SELECT 1 FROM product_categories pc
+                        JOIN categories c ON c.category_id = pc.category_id
+                        WHERE pc.product_id = p.product_id
+                          AND c.name IN (' . $inList('f_category', $filters['category']) . '))';
+        }
+
+        // Наличие - по складам выбранного города, как в DynamicProductDataService
+        if (isset($filters['in_stock'])) {
+            $sql .= ($filters['in_stock'] ? ' AND' : ' AND NOT') . ' EXISTS (SELECT 1 FROM stock_balances sb
+                        JOIN city_warehouse_mapping cwm ON cwm.warehouse_id = sb.warehouse_id
+                        WHERE sb.product_id = p.product_id AND cwm.city_id = :f_city AND sb.quantity > sb.reserved)';
+            $bind['f_city'] = $cityId;
+        }
+
+        if (!empty($filters['price_range'])) {
+            $ranges = [];
+            foreach ($filters['price_range'] as $i => [$from, $to]) {
+                $conditions = [];
+                if ($from !== null) {
+                    $conditions[] = "pr.price >= :f_price_from_$i";
+                    $bind["f_price_from_$i"] = $from;
+                }
+                if ($to !== null) {
+                    $conditions[] = "pr.price < :f_price_to_$i";
+                    $bind["f_price_to_$i"] = $to;
+                }
+                $ranges[] = '(' . implode(' AND ', $conditions) . ')';
+            }
+            $sql .= ' AND EXISTS (SELECT 1 FROM prices pr
+                        WHERE pr.product_id = p.product_id AND pr.is_base = 1
+                          AND (pr.valid_to IS NULL OR pr.valid_to >= CURDATE())
+                          AND (' . implode(' OR ', $ranges) . '))';
+        }
+
+        return [$sql, $bind];
+    }
+    
     private static function autocompleteMysql(string $query, int $limit): array
     {
         try {
@@ -535,7 +665,7 @@ class SearchService
             
             // Используем SOUNDEX для поиска похожих по звучанию слов
             $stmt = $pdo->prepare("
-                SELECT DISTINCT p.name, p.external_id,
+                SELECT DISTINCT p.product_id, p.name, p.external_id, p.sku, b.name as brand_name,
                     CASE 
                         WHEN p.external_id LIKE :exact THEN 100
                         WHEN p.external_id LIKE :prefix THEN 90
@@ -562,11 +692,27 @@ class SearchService
             $stmt->execute();
             
             $suggestions = [];
+            
+            // Бренды, совпадающие с запросом - подсказки-фильтры
+            $brandStmt = $pdo->prepare("SELECT name FROM brands WHERE name LIKE :prefix ORDER BY name LIMIT 3");
+            $brandStmt->bindValue(':prefix', $query . '%');
+            $brandStmt->execute();
+            while ($brand = $brandStmt->fetchColumn()) {
+                $suggestions[] = [
+                    'text' => $brand,
+                    'type' => 'brand',
+                    'score' => 100
+                ];
+            }
+            
             while ($row = $stmt->fetch()) {
                 $suggestions[] = [
                     'text' => $row['name'],
                     'type' => 'product',
+                    'product_id' => $row['product_id'],
                     'external_id' => $row['external_id'],
+                    'sku' => $row['sku'],
+                    'brand_name' => $row['brand_name'],
                     'score' => $row['score']
                 ];
             }
@@ -587,9 +733,141 @@ class SearchService
             'limit' => min(100, max(1, (int)($params['limit'] ?? 20))),
             'city_id' => (int)($params['city_id'] ?? 1),
             'sort' => $params['sort'] ?? 'relevance',
-            'user_id' => $params['user_id'] ?? null
+            'user_id' => $params['user_id'] ?? null,
+            'filters' => self::parseFilters($params)
         ];
     }
+
+    /**
+     * Фильтры фасетов: значения приходят через запятую (brand_name=ABB,Legrand)
+     * Возвращает только непустые: [brand_name => [...], in_stock => bool, price_range => [[from, to], ...]]
+     */
+    private static function parseFilters(array $params): array
+    {
+        $filters = [];
+
+        foreach (array_keys(self::TERM_FACETS) as $key) {
+            $values = self::splitFilterValues($params[$key] ?? '');
+            if ($values) {
+                $filters[$key] = $values;
+            }
+        }
+
+        // Выбраны оба варианта наличия - фильтра нет
+        $stock = array_unique(array_map(
+            fn($value) => in_array($value, ['true', '1'], true),
+            array_filter(self::splitFilterValues($params['in_stock'] ?? ''), fn($value) => in_array($value, ['true', '1', 'false', '0'], true))
+        ));
+        if (count($stock) === 1) {
+            $filters['in_stock'] = reset($stock);
+        }
+
+        $ranges = [];
+        foreach (self::splitFilterValues($params['price_range'] ?? '') as $value) {
+            if (preg_match('/^(\d+(?:\.\d+)?)?-(\d+(?:\.\d+)?)?$/', $value, $matches) && $value !== '-') {
+                $ranges[] = [
+                    isset($matches[1]) && $matches[1] !== '' ? (float)$matches[1] : null,
+                    isset($matches[2]) && $matches[2] !== '' ? (float)$matches[2] : null,
+                ];
+            }
+        }
+        if ($ranges) {
+            $filters['price_range'] = $ranges;
+        }
+
+        return $filters;
+    }
+
+    private static function splitFilterValues($value): array
+    {
+        $values = array_map('trim', explode(',', is_array($value) ? implode(',', $value) : (string)$value));
+        $values = array_values(array_unique(array_filter($values, fn($item) => $item !== '')));
+        return array_slice($values, 0, self::MAX_FILTER_VALUES);
+    }
+
+    /**
+     * Условия фильтров для OpenSearch, по одному на фасет
+     * Наличие - по складам выбранного города, как в таблице товаров и в MySQL-фолбэке
+     */
+    private static function buildFilterClauses(array $filters, int $cityId): array
+    {
+        $clauses = [];
+
+        foreach (self::TERM_FACETS as $key => $field) {
+            if (!empty($filters[$key])) {
+                $clauses[$key] = ['terms' => [$field => $filters[$key]]];
+            }
+        }
+
+        if (isset($filters['in_stock'])) {
+            $clauses['in_stock'] = self::buildStockClause($cityId, $filters['in_stock']);
+        }
+
+        if (!empty($filters['price_range'])) {
+            $should = [];
+            foreach ($filters['price_range'] as [$from, $to]) {
+                $range = [];
+                if ($from !== null) $range['gte'] = $from;
+                if ($to !== null) $range['lt'] = $to;
+                $should[] = ['range' => ['base_price' => $range]];
+            }
+            $clauses['price_range'] = ['bool' => ['should' => $should, 'minimum_should_match' => 1]];
+        }
+
+        return $clauses;
+    }
+
+    /**
+     * Агрегации для панели фасетов
+     * Фильтры применяются через post_filter, а каждая агрегация считается с фильтрами остальных фасетов -
+     * так в выбранном фасете остаются видны другие значения (выбор нескольких брендов и т.п.)
+     */
+    private static function buildAggregations(array $clauses, int $cityId): array
+    {
+        $aggs = [];
+        foreach (self::TERM_FACETS as $key => $field) {
+            $aggs[$key] = ['terms' => ['field' => $field, 'size' => self::FACET_BUCKETS]];
+        }
+        // Корзины с ключами true/false - как у terms по булеву полю
+        $aggs['in_stock'] = ['filters' => ['filters' => [
+            'true' => self::buildStockClause($cityId, true),
+            'false' => self::buildStockClause($cityId, false)
+        ]]];
+        $aggs['price_range'] = ['range' => ['field' => 'base_price', 'ranges' => self::PRICE_RANGES]];
+
+        foreach ($aggs as $key => $agg) {
+            $others = array_values(array_diff_key($clauses, [$key => true]));
+            if ($others) {
+                $aggs[$key] = [
+                    'filter' => ['bool' => ['filter' => $others]],
+                    'aggs' => [$key => $agg]
+                ];
+            }
+        }
+
+        return $aggs;
+    }
+
+    /**
+     * Товар есть (или нет) на складах города: stock_city_ids заполняет индексатор
+     */
+    private static function buildStockClause(int $cityId, bool $inStock): array
+    {
+        $term = ['term' => ['stock_city_ids' => $cityId]];
+        return $inStock ? $term : ['bool' => ['must_not' => [$term]]];
+    }
+
+    /**
+     * Ответ агрегаций в виде { фасет: { buckets: [...] } } - без обертки filter
+     */
+    private static function extractAggregations(array $aggregations): array
+    {
+        $result = [];
+        foreach ($aggregations as $key => $agg) {
+            $result[$key] = ['buckets' => $agg[$key]['buckets'] ?? $agg['buckets'] ?? []];
+        }
+        return $result;
+    }
     
     private static function isOpenSearchAvailable(): bool
     {
@@ -732,6 +1010,13 @@ class SearchService
 
             $body['sort'] = self::buildSort($params['sort'], !empty($params['q']));
 
+            // Фасеты: фильтры не сужают агрегации своего фасета, поэтому post_filter
+            $clauses = self::buildFilterClauses($params['filters'], $params['city_id']);
+            if ($clauses) {
+                $body['post_filter'] = ['bool' => ['filter' => array_values($clauses)]];
+            }
+            $body['aggs'] = self::buildAggregations($clauses, $params['city_id']);
+
             // Запрос с timeout'ами на всех уровнях
             $response = self::getClient()->search([
                 'index' => 'products_current',
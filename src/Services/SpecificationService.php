@@ -0,0 +1,164 @@
+<?php
+namespace App\Services;
+
+use App\Core\Database;
+use App\Core\Logger;
+use App\Exceptions\ValidationException;
+
+/**
+ * Список спецификаций пользователя: поиск, фильтры, сортировка, статусы
+ */
+class SpecificationService
+{
+    const STATUSES = [
+        'draft' => 'Черновик',
+        'sent' => 'Отправлена',
+        'confirmed' => 'Подтверждена',
+        'expired' => 'Истекла',
+    ];
+
+    const SORT_COLUMNS = [
+        'date' => 's.created_at',
+        'total' => 'total_amount',
+    ];
+
+    const MAX_PER_PAGE = 100;
+
+    /**
+     * Страница списка
+     * $filters: q (проект, заказчик или номер), status, date_from, date_to (Y-m-d),
+     * sort (date|total), dir (asc|desc), page, per_page
+     */
+    public static function search(int $userId, array $filters): array
+    {
+        $where = ['s.user_id = ?'];
+        $params = [$userId];
+
+        $query = trim((string)($filters['q'] ?? ''));
+        if ($query !== '') {
+            $like = '%' . addcslashes($query, '%_\\') . '%';
+            $condition = 's.project_name LIKE ? OR s.customer LIKE ?';
+            $params[] = $like;
+            $params[] = $like;
+            // «15» или «№15» - поиск и по номеру спецификации
+            if (preg_match('/^№?\s*(\d+)$/u', $query, $matches)) {
+                $condition .= ' OR s.specification_id = ?';
+                $params[] = (int)$matches[1];
+            }
+            $where[] = "($condition)";
+        }
+
+        $status = $filters['status'] ?? '';
+        if ($status !== '' && isset(self::STATUSES[$status])) {
+            $where[] = 's.status = ?';
+            $params[] = $status;
+        }
+
+        $dateFrom = self::parseDate($filters['date_from'] ?? '');
+        if ($dateFrom) {
+            $where[] = 's.created_at >= ?';
+            $params[] = $dateFrom . ' 00:00:00';
+        }
+
+        $dateTo = self::parseDate($filters['date_to'] ?? '');
+        if ($dateTo) {
+            $where[] = 's.created_at < ? + INTERVAL 1 DAY';
+            $params[] = $dateTo . ' 00:00:00';
+        }
+
+        $whereSql = implode(' AND ', $where);
+
+        $stmt = Database::query("SELECT COUNT(*) FROM specifications s WHERE $whereSql", $params);
+        $total = (int)$stmt->fetchColumn();
+
+        $sort = self::SORT_COLUMNS[$filters['sort'] ?? 'date'] ?? self::SORT_COLUMNS['date'];
+        $dir = strtolower($filters['dir'] ?? 'desc') === 'asc' ? 'ASC' : 'DESC';
+        $perPage = min(self::MAX_PER_PAGE, max(1, (int)($filters['per_page'] ?? 20)));
+        $totalPages = max(1, (int)ceil($total / $perPage));
+        $page = min($totalPages, max(1, (int)($filters['page'] ?? 1)));
+        $offset = ($page - 1) * $perPage;
+
+        // LIMIT/OFFSET - уже приведенные числа, подставляем напрямую
+        $stmt = Database::query(
+            "SELECT s.specification_id, s.project_name, s.customer, s.delivery_date, s.status, s.created_at,
+                    COUNT(si.product_id) AS items_count,
+                    COALESCE(SUM(si.quantity * si.price), 0) AS total_amount
+             FROM specifications s
+             LEFT JOIN specification_items si ON s.specification_id = si.specification_id
+             WHERE $whereSql
+             GROUP BY s.specification_id
+             ORDER BY $sort $dir, s.specification_id $dir
+             LIMIT $perPage OFFSET $offset",
+            $params
+        );
+
+        $items = array_map(fn($row) => [
+            'id' => (int)$row['specification_id'],
+            'project_name' => $row['project_name'],
+            'customer' => $row['customer'],
+            'delivery_date' => $row['delivery_date'],
+            'status' => $row['status'] ?: 'draft',
+            'created_at' => $row['created_at'],
+            'items_count' => (int)$row['items_count'],
+            'total' => round((float)$row['total_amount'], 2),
+        ], $stmt->fetchAll());
+
+        return [
+            'items' => $items,
+            'total' => $total,
+            'page' => $page,
+            'per_page' => $perPage,
+            'total_pages' => $totalPages,
+        ];
+    }
+
+    /**
+     * Сменить статус спецификации пользователя; false - спецификация не найдена
+     */
+    public static function setStatus(int $userId, int $specificationId, string $status): bool
+    {
+        if (!isset(self::STATUSES[$status])) {
+            throw new ValidationException('Неизвестный статус', ['status' => ['Неизвестный статус']]);
+        }
+
+        $stmt = Database::query(
+            "UPDATE specifications SET status = ?, status_changed_at = NOW()
+             WHERE specification_id = ? AND user_id = ?",
+            [$status, $specificationId, $userId]
+        );
+
+        // Статус не изменился - это тоже успех; различаем по существованию спецификации
+        if ($stmt->rowCount() === 0) {
+            $check = Database::query(
+                "SELECT 1 FROM specifications WHERE specification_id = ? AND user_id = ?",
+                [$specificationId, $userId]
+            );
+            if (!$check->fetchColumn()) {
+                return false;
+            }
+        }
+
+        Logger::info('Статус спецификации изменен', [
+            'user_id' => $userId,
+            'specification_id' => $specificationId,
+            'status' => $status
+        ]);
+
+        return true;
+    }
+
+    private static function parseDate(string $value): ?string
+    {
+        $date = \DateTime::createFromFormat('!Y-m-d', $value);
+        return $date && $date->format('Y-m-d') === $value ? $value : null;
+    }
+}
+
+// SQL для статусов и поиска:
+/*
+ALTER TABLE `specifications`
+  ADD COLUMN `status` enum('draft','sent','confirmed','expired') NOT NULL DEFAULT 'draft' AFTER `comment`,
+  ADD COLUMN `status_changed_at` datetime DEFAULT NULL AFTER `status`,
+  ADD KEY `idx_specifications_user_created` (`user_id`, `created_at`),
+  ADD KEY `idx_specifications_user_status` (`user_id`, `status`);
+*/
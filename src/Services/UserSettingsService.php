@@ -0,0 +1,89 @@
+<?php
+namespace App\Services;
+
+use App\Core\Database;
+use App\Core\Logger;
+
+/**
+ * Пользовательские настройки интерфейса (раскладка колонок таблицы и т.п.)
+ * Значение хранится как JSON; допустимы только ключи из ALLOWED_KEYS
+ */
+class UserSettingsService
+{
+    const ALLOWED_KEYS = ['catalog_columns'];
+    const MAX_PAYLOAD_SIZE = 16384;
+
+    public static function isAllowedKey(string $key): bool
+    {
+        return in_array($key, self::ALLOWED_KEYS, true);
+    }
+
+    /**
+     * Получить значение настройки или null, если она не сохранена
+     */
+    public static function get(int $userId, string $key)
+    {
+        if ($userId <= 0 || !self::isAllowedKey($key)) {
+            return null;
+        }
+
+        try {
+            $stmt = Database::query(
+                "SELECT payload FROM user_settings WHERE user_id = ? AND setting_key = ? LIMIT 1",
+                [$userId, $key]
+            );
+
+            $row = $stmt->fetch();
+            if ($row && $row['payload']) {
+                $value = json_decode($row['payload'], true);
+                if (json_last_error() === JSON_ERROR_NONE) {
+                    return $value;
+                }
+            }
+        } catch (\Exception $e) {
+            Logger::error('Ошибка загрузки настроек пользователя', [
+                'user_id' => $userId,
+                'key' => $key,
+                'error' => $e->getMessage()
+            ]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Сохранить значение настройки
+     */
+    public static function save(int $userId, string $key, $value): void
+    {
+        if (!self::isAllowedKey($key)) {
+            throw new \InvalidArgumentException('Неизвестная настройка');
+        }
+
+        $payload = json_encode($value, JSON_UNESCAPED_UNICODE);
+        if ($payload === false || strlen($payload) > self::MAX_PAYLOAD_SIZE) {
+            throw new \InvalidArgumentException('Некорректное значение настройки');
+        }
+
+        Database::query(
+            "INSERT INTO user_settings (user_id, setting_key, payload, updated_at)
+             VALUES (?, ?, ?, NOW())
+             ON DUPLICATE KEY UPDATE
+             payload = VALUES(payload),
+             updated_at = NOW()",
+            [$userId, $key, $payload]
+        );
+    }
+}
+
+// SQL для таблицы настроек:
+/*
+CREATE TABLE `user_settings` (
+  `user_id` int NOT NULL,
+  `setting_key` varchar(64) NOT NULL,
+  `payload` json NOT NULL,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`user_id`, `setting_key`),
+  CONSTRAINT `fk_user_settings_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+*/
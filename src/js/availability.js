@@ -1,4 +1,5 @@
 import { showToast } from "./utils.js";
+import { getCachedRow } from "./infiniteScroll.js";
 
 /**
  * Сервис для работы с наличием товаров
@@ -21,7 +22,18 @@ class AvailabilityService {
             return {};
         }
 
-        const cityId = this.getCurrentCityId();
+        const allData = await this.getAvailability(productIds);
+        
+        // Обновляем UI
+        this.updateUI(allData);
+        
+        return allData;
+    }
+
+    /**
+     * Получить данные о наличии без обновления таблицы (кеш + догрузка недостающих)
+     */
+    async getAvailability(productIds, cityId = this.getCurrentCityId()) {
         const uniqueIds = [...new Set(productIds)];
         
         // Проверяем кеш
@@ -29,7 +41,6 @@ class AvailabilityService {
         const idsToLoad = cached.missing;
         
         if (!idsToLoad.length) {
-            this.updateUI(cached.data);
             return cached.data;
         }
 
@@ -37,21 +48,29 @@ class AvailabilityService {
         const loadedData = await this.fetchBatched(idsToLoad, cityId);
         
         // Объединяем с кешированными
-        const allData = { ...cached.data, ...loadedData };
-        
-        // Обновляем UI
-        this.updateUI(allData);
-        
-        return allData;
+        return { ...cached.data, ...loadedData };
+    }
+
+    /**
+     * Наличие одного товара во всех городах: запросы по городам идут параллельно,
+     * ответы кешируются по каждому городу отдельно.
+     * Возвращает [{ city, info }], info = null - данных по городу нет
+     */
+    async getAvailabilityByCity(productId, cities = this.getCities()) {
+        return Promise.all(cities.map(async city => {
+            const data = await this.getAvailability([productId], city.id);
+            return { city, info: data[productId] || null };
+        }));
     }
 
     /**
      * Загрузка с разбивкой на батчи
+     * fresh - в обход кеша сервера (живое обновление, см. liveAvailability.js)
      */
-    async fetchBatched(productIds, cityId) {
+    async fetchBatched(productIds, cityId, fresh = false) {
         const batches = this.createBatches(productIds);
         const results = await Promise.all(
-            batches.map(batch => this.fetchBatch(batch, cityId))
+            batches.map(batch => this.fetchBatch(batch, cityId, fresh))
         );
         
         return Object.assign({}, ...results);
@@ -60,13 +79,14 @@ class AvailabilityService {
     /**
      * Загрузка одного батча
      */
-    async fetchBatch(productIds, cityId) {
+    async fetchBatch(productIds, cityId, fresh = false) {
         try {
             // Создаем параметры URL
             const params = new URLSearchParams({
                 city_id: cityId,
                 product_ids: productIds.join(',')
             });
+            if (fresh) params.set('fresh', '1');
             
             // Формируем URL с параметрами
             const url = `${this.apiUrl}?${params.toString()}`;
@@ -104,15 +124,26 @@ class AvailabilityService {
      * Обновление UI элементов
      */
     updateUI(data) {
+        const products = new Map((window.productsData || []).map(p => [String(p.product_id), p]));
+
         Object.entries(data).forEach(([productId, info]) => {
-            const row = document.querySelector(`tr[data-product-id="${productId}"]`);
+            // Сохраняем в данных товара: в режиме ленты строка может быть создана позже
+            const product = products.get(String(productId));
+            if (product) {
+                product.stock = { ...product.stock, quantity: info.quantity || 0 };
+                product.delivery = { ...product.delivery, date: info.delivery_date, text: info.delivery_text };
+            }
+
+            const row = document.querySelector(`tr[data-product-id="${productId}"]`) || getCachedRow(productId);
             if (!row) return;
     
             // Наличие - используем единый формат
             const availCell = row.querySelector('.availability-cell, .col-availability span');
             if (availCell) {
                 availCell.textContent = info.availability_text || (info.quantity > 0 ? `${info.quantity} шт.` : 'Нет');
-                availCell.className = info.quantity > 10 ? 'text-success' : info.quantity > 0 ? 'text-warning' : 'text-danger';
+                // Заменяем только класс цвета: на странице корзины сама ячейка - .availability-cell
+                availCell.classList.remove('text-success', 'text-warning', 'text-danger', 'in-stock', 'out-of-stock');
+                availCell.classList.add(info.quantity > 10 ? 'text-success' : info.quantity > 0 ? 'text-warning' : 'text-danger');
             }
     
             // Дата доставки
@@ -145,6 +176,13 @@ class AvailabilityService {
         return { data, missing };
     }
 
+    /**
+     * Последние известные данные о товаре независимо от срока кеша (для сравнения при обновлении)
+     */
+    peekCache(productId, cityId = this.getCurrentCityId()) {
+        return this.cache.get(`${cityId}_${productId}`)?.data || null;
+    }
+
     saveToCache(data, cityId) {
         const now = Date.now();
         Object.entries(data).forEach(([productId, info]) => {
@@ -173,6 +211,19 @@ class AvailabilityService {
         return document.getElementById('citySelect')?.value || '1';
     }
 
+    /**
+     * Города из списка выбора в шапке: [{ id, name }]
+     */
+    getCities() {
+        const select = document.getElementById('citySelect');
+        if (!select) return [{ id: this.getCurrentCityId(), name: 'Текущий город' }];
+
+        return Array.from(select.options).map(option => ({
+            id: option.value,
+            name: option.textContent.trim()
+        }));
+    }
+
     createBatches(items) {
         const batches = [];
         for (let i = 0; i < items.length; i += this.batchSize) {
@@ -0,0 +1,251 @@
+import { showToast } from "./utils.js";
+import { getProductRows } from "./renderProducts.js";
+import { cartStore } from "./services/CartStore.js";
+import { Modal } from "./components/Modal.js";
+import { correctQuantityInput } from "./quantityRules.js";
+
+/**
+ * Панель действий с отмеченными строками таблицы:
+ * добавить в корзину (одним запросом), скопировать коды, сравнить
+ */
+
+const MAX_COMPARE = 4;
+// Сколько товаров с ошибкой перечислять в уведомлении
+const MAX_REPORTED = 3;
+
+let bar = null;
+
+export function initBulkActions() {
+    const table = document.querySelector('.product-table');
+    if (!table) return;
+
+    bar = createBar();
+    document.body.appendChild(bar);
+
+    // #selectAll тоже в таблице: его обработчик в main.js срабатывает раньше всплытия
+    table.addEventListener('change', (e) => {
+        if (e.target.matches('.product-checkbox, #selectAll')) updateBulkBar();
+    });
+}
+
+/**
+ * Отмеченные строки, в режиме ленты - включая убранные из DOM при прокрутке
+ */
+export function getSelectedRows() {
+    return getProductRows().filter(row => row.querySelector('.product-checkbox')?.checked);
+}
+
+/**
+ * Пересчитать выбор: вызывается при отметке строк и после перерисовки таблицы
+ */
+export function updateBulkBar() {
+    const rows = getProductRows();
+    const selected = rows.filter(row => row.querySelector('.product-checkbox')?.checked).length;
+
+    const selectAll = document.getElementById('selectAll');
+    if (selectAll) {
+        selectAll.checked = selected > 0 && selected === rows.length;
+        selectAll.indeterminate = selected > 0 && selected < rows.length;
+    }
+
+    if (!bar) return;
+    bar.hidden = selected === 0;
+    bar.querySelector('.bulk-count').textContent = `Выбрано: ${selected}`;
+}
+
+function createBar() {
+    const element = document.createElement('div');
+    element.className = 'bulk-action-bar';
+    element.setAttribute('role', 'toolbar');
+    element.setAttribute('aria-label', 'Действия с выбранными товарами');
+    element.hidden = true;
+
+    const count = document.createElement('span');
+    count.className = 'bulk-count';
+    count.setAttribute('aria-live', 'polite');
+    element.appendChild(count);
+
+    element.appendChild(createButton('В корзину', 'fa-shopping-cart', addSelectedToCart, 'bulk-action-primary'));
+    element.appendChild(createButton('Копировать коды', 'fa-copy', copySelectedCodes));
+    element.appendChild(createButton('Сравнить', 'fa-balance-scale', compareSelected));
+    element.appendChild(createButton('Снять выбор', 'fa-times', clearSelection));
+
+    return element;
+}
+
+function createButton(text, icon, onClick, extraClass = '') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `bulk-action ${extraClass}`.trim();
+    button.innerHTML = `<i class="fas ${icon}"></i> `;
+    button.appendChild(document.createTextNode(text));
+    button.addEventListener('click', () => onClick(button));
+    return button;
+}
+
+async function addSelectedToCart(button) {
+    const rows = getSelectedRows();
+    if (!rows.length) return;
+
+    const items = rows.map(row => {
+        const input = row.querySelector('.quantity-input');
+        return {
+            product_id: row.dataset.productId,
+            quantity: input ? correctQuantityInput(input) : 1
+        };
+    });
+
+    button.disabled = true;
+    try {
+        const result = await cartStore.addMany(items);
+
+        if (result.queued) {
+            showToast(`Нет связи: товары (${items.length}) будут добавлены в корзину при подключении`);
+            clearSelection();
+            return;
+        }
+
+        const failed = result.failed || [];
+        // Отметка остается только на строках, которые не удалось добавить
+        const failedIds = new Set(failed.map(item => String(item.product_id)));
+        rows.forEach(row => {
+            if (!failedIds.has(row.dataset.productId)) {
+                row.querySelector('.product-checkbox').checked = false;
+            }
+        });
+        updateBulkBar();
+
+        showToast(`Добавлено в корзину: ${result.added?.length || 0}`);
+        if (failed.length) reportFailures(failed);
+    } catch (err) {
+        if (err.details?.failed?.length) {
+            reportFailures(err.details.failed);
+        } else {
+            showToast(err.message || 'Ошибка при добавлении в корзину', true);
+        }
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function reportFailures(failed) {
+    const lines = failed.slice(0, MAX_REPORTED).map(({ product_id, message }) => {
+        const product = findProduct(product_id);
+        return `${product?.name || product?.external_id || `#${product_id}`}: ${message}`;
+    });
+    if (failed.length > MAX_REPORTED) {
+        lines.push(`и еще ${failed.length - MAX_REPORTED}`);
+    }
+    showToast(`Не добавлено товаров: ${failed.length}. ${lines.join('; ')}`, true);
+}
+
+async function copySelectedCodes() {
+    const codes = getSelectedRows()
+        .map(row => findProduct(row.dataset.productId)?.external_id)
+        .filter(Boolean);
+
+    if (!codes.length) {
+        showToast('Нечего копировать', true);
+        return;
+    }
+    if (!navigator.clipboard) {
+        showToast('Clipboard API не поддерживается', true);
+        return;
+    }
+
+    try {
+        await navigator.clipboard.writeText(codes.join('\n'));
+        showToast(`Скопировано кодов: ${codes.length}`);
+    } catch (e) {
+        showToast('Не удалось скопировать', true);
+    }
+}
+
+function clearSelection() {
+    getProductRows().forEach(row => {
+        const checkbox = row.querySelector('.product-checkbox');
+        if (checkbox) checkbox.checked = false;
+    });
+    updateBulkBar();
+}
+
+/* ---------- Сравнение ---------- */
+
+const COMPARE_FIELDS = [
+    { title: 'Код', value: p => p.external_id },
+    { title: 'Артикул', value: p => p.sku },
+    { title: 'Бренд', value: p => p.brand_name },
+    { title: 'Серия', value: p => p.series_name },
+    { title: 'Цена', value: p => formatPrice(p) },
+    { title: 'Наличие', value: p => p.stock ? (p.stock.quantity > 0 ? `${p.stock.quantity} шт.` : 'Нет') : null },
+    { title: 'Доставка', value: p => p.delivery?.date || p.delivery?.text },
+    { title: 'Кратность', value: p => p.min_sale },
+    { title: 'Ед. изм.', value: p => p.unit }
+];
+
+function compareSelected() {
+    const products = getSelectedRows()
+        .map(row => findProduct(row.dataset.productId))
+        .filter(Boolean);
+
+    if (products.length < 2) {
+        showToast('Выберите хотя бы два товара для сравнения', true);
+        return;
+    }
+    if (products.length > MAX_COMPARE) {
+        showToast(`Сравнить можно не более ${MAX_COMPARE} товаров`, true);
+        return;
+    }
+
+    openCompareModal(products);
+}
+
+function openCompareModal(products) {
+    new Modal({
+        title: 'Сравнение товаров',
+        body: createCompareTable(products),
+        className: 'compare-modal'
+    }).open();
+}
+
+function createCompareTable(products) {
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+
+    const headRow = table.createTHead().insertRow();
+    headRow.appendChild(document.createElement('th'));
+    products.forEach(product => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = product.name || '';
+        headRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    COMPARE_FIELDS.forEach(field => {
+        const values = products.map(product => field.value(product) ?? '—');
+        const row = tbody.insertRow();
+        // Строки с различающимися значениями выделяем
+        row.classList.toggle('compare-diff', new Set(values.map(String)).size > 1);
+
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.textContent = field.title;
+        row.appendChild(th);
+
+        values.forEach(value => {
+            row.insertCell().textContent = value === '' ? '—' : value;
+        });
+    });
+
+    return table;
+}
+
+function formatPrice(product) {
+    const price = product.price?.final || product.base_price;
+    return price ? `${Number(price).toFixed(2)} руб.` : null;
+}
+
+function findProduct(productId) {
+    return window.productsData.find(p => String(p.product_id) === String(productId));
+}
\ No newline at end of file
@@ -1,11 +1,9 @@
 import { showToast } from "./utils.js";
+import { cartStore } from "./services/CartStore.js";
 
 export async function fetchCart() {
     try {
-        const res = await fetch("/cart/json");
-        if (!res.ok) throw new Error("Ошибка загрузки корзины");
-        const data = await res.json();
-        window.cart = data.cart || {};
+        await cartStore.load();
     } catch (err) {
         showToast("Ошибка при загрузке корзины", true);
     }
@@ -13,75 +11,161 @@ export async function fetchCart() {
 
 export async function addToCart(productId, quantity) {
     try {
-        const formData = new FormData();
-        formData.append('product_id', productId);
-        formData.append('quantity', quantity);
-        formData.append('csrf_token', window.CSRF_TOKEN || '');
-        
-        const res = await fetch("/cart/add", {
-            method: "POST",
-            body: formData
-        });
-        
-        if (!res.ok) throw new Error("Ошибка добавления в корзину");
-        
-        const data = await res.json();
-        if (data.success) {
-            showToast("Товар добавлен в корзину");
-            await fetchCart();
-        } else {
-            showToast(data.message || "Ошибка при добавлении в корзину", true);
+        const result = await cartStore.add(productId, quantity);
+
+        // Нет сети - изменение отправится при подключении
+        if (result.queued) {
+            showToast("Нет связи: товар будет добавлен в корзину при подключении");
+            return;
         }
+
+        showToast("Товар добавлен в корзину");
     } catch (err) {
-        showToast("Ошибка при добавлении в корзину", true);
+        showToast(err.message || "Ошибка при добавлении в корзину", true);
+    }
+}
+
+export async function updateCartQuantity(productId, quantity) {
+    try {
+        const result = await cartStore.update(productId, quantity);
+
+        if (result.queued) {
+            showToast("Нет связи: количество изменится при подключении");
+        }
+        return true;
+    } catch (err) {
+        showToast(err.message || "Ошибка при изменении количества", true);
+        return false;
     }
 }
 
 export async function removeFromCart(productId) {
     try {
-        const formData = new FormData();
-        formData.append('productId', productId);
-        formData.append('csrf_token', window.CSRF_TOKEN || '');
-        
-        const res = await fetch("/cart/remove", {
-            method: "POST",
-            body: formData
-        });
-        
-        if (!res.ok) throw new Error("Ошибка удаления из корзины");
-        
-        const data = await res.json();
-        if (data.success) {
-            showToast("Товар удален из корзины");
-            await fetchCart();
-        } else {
-            showToast(data.message || "Ошибка при удалении из корзины", true);
+        const result = await cartStore.remove(productId);
+
+        if (result.queued) {
+            showToast("Нет связи: товар будет удален из корзины при подключении");
+            return;
         }
+
+        showToast("Товар удален из корзины");
     } catch (err) {
-        showToast("Ошибка при удалении из корзины", true);
+        showToast(err.message || "Ошибка при удалении из корзины", true);
     }
 }
 
 export async function clearCart() {
     try {
-        const formData = new FormData();
-        formData.append('csrf_token', window.CSRF_TOKEN || '');
-        
-        const res = await fetch("/cart/clear", {
-            method: "POST",
-            body: formData
-        });
-        
-        if (!res.ok) throw new Error("Ошибка очистки корзины");
-        
-        const data = await res.json();
-        if (data.success) {
-            showToast("Корзина очищена");
-            await fetchCart();
-        } else {
-            showToast(data.message || "Ошибка при очистке корзины", true);
+        const result = await cartStore.clear();
+
+        if (result.queued) {
+            showToast("Нет связи: корзина будет очищена при подключении");
+            return;
         }
+
+        showToast("Корзина очищена");
     } catch (err) {
-        showToast("Ошибка при очистке корзины", true);
+        showToast(err.message || "Ошибка при очистке корзины", true);
+    }
+}
+
+/**
+ * Бейдж в шапке и итоги на странице корзины следуют за cartStore
+ */
+export function initCartUI() {
+    cartStore.subscribe(updateCartBadge);
+
+    const container = document.querySelector('.cart-container');
+    if (container) {
+        cartStore.subscribe(updateCartPage);
+
+        // Количество меняется без перезагрузки; кратность уже проверена (см. quantityRules)
+        container.addEventListener('change', (e) => {
+            const input = e.target.closest('.quantity-input[data-product-id]');
+            if (input) updateCartQuantity(input.dataset.productId, input.value);
+        });
     }
+}
+
+function updateCartBadge() {
+    const badge = document.getElementById('cartBadge');
+    if (!badge) return;
+
+    const total = cartStore.getTotalQuantity();
+    badge.textContent = total;
+    badge.style.display = total > 0 ? 'block' : 'none';
+}
+
+/**
+ * Пересчитать строки и итог страницы корзины без перезагрузки
+ */
+function updateCartPage(items) {
+    const container = document.querySelector('.cart-container');
+    if (!container) return;
+
+    const table = container.querySelector('.cart-table');
+    if (!table) {
+        showCartOutdatedNotice(container, Object.keys(items).length > 0);
+        return;
+    }
+
+    let total = 0;
+    table.querySelectorAll('tbody tr[data-product-id]').forEach(row => {
+        const item = items[row.dataset.productId];
+        if (!item) {
+            row.remove();
+            return;
+        }
+
+        const price = parseFloat(row.dataset.price);
+        const input = row.querySelector('.quantity-input');
+        // Поле, которое сейчас редактируют, не трогаем
+        if (input && document.activeElement !== input) {
+            input.value = item.quantity;
+        }
+
+        const sumCell = row.querySelector('.sum-cell');
+        if (!Number.isNaN(price)) {
+            const sum = price * item.quantity;
+            total += sum;
+            if (sumCell) sumCell.textContent = `${sum.toFixed(2)} руб.`;
+        }
+    });
+
+    const totalCell = table.querySelector('.cart-total');
+    if (totalCell) totalCell.textContent = `${total.toFixed(2)} руб.`;
+
+    // Товары, добавленные после загрузки страницы (в другой вкладке, из мини-корзины): строк для них нет
+    const shownIds = new Set(Array.from(table.querySelectorAll('tbody tr[data-product-id]'), row => row.dataset.productId));
+    const hasNewItems = Object.keys(items).some(id => !shownIds.has(id));
+    showCartOutdatedNotice(container, hasNewItems);
+
+    if (!table.querySelector('tbody tr[data-product-id]')) {
+        container.querySelector('.cart-actions')?.remove();
+        const empty = document.createElement('p');
+        empty.textContent = 'Корзина пуста';
+        table.replaceWith(empty);
+    }
+}
+
+function showCartOutdatedNotice(container, show) {
+    let notice = container.querySelector('.cart-outdated');
+    if (!show) {
+        notice?.remove();
+        return;
+    }
+    if (notice) return;
+
+    notice = document.createElement('div');
+    notice.className = 'cart-outdated';
+    notice.setAttribute('role', 'status');
+    notice.textContent = 'В корзину добавлены товары, которых нет в списке. ';
+    const reload = document.createElement('button');
+    reload.type = 'button';
+    reload.className = 'btn btn-sm btn-primary';
+    reload.textContent = 'Обновить страницу';
+    reload.addEventListener('click', () => window.location.reload());
+    notice.appendChild(reload);
+
+    container.querySelector('h1')?.insertAdjacentElement('afterend', notice);
 }
\ No newline at end of file
@@ -0,0 +1,288 @@
+import { showToast } from "./utils.js";
+import { cartStore } from "./services/CartStore.js";
+import { productService } from "./services/ProductService.js";
+import { Modal } from "./components/Modal.js";
+import { resolveOrderLines, parseQuantity } from "./quickOrder.js";
+import { buildCsv, parseCsv, buildXlsx, readXlsx, downloadBlob } from "./spreadsheet.js";
+
+/**
+ * Экспорт корзины в CSV/XLSX и импорт из таких файлов
+ * Файлы формируются и читаются в браузере; товары при импорте ищутся так же,
+ * как в быстром заказе (/api/products/batch), и добавляются одним запросом /cart/add-batch
+ */
+
+const MAX_ROWS = 500;
+
+const EXPORT_HEADER = ['Код', 'Артикул', 'Название', 'Количество', 'Цена', 'Наличие'];
+
+// Заголовки колонок, которые узнаем при импорте (в том числе из выгрузки каталога)
+const COLUMN_PATTERNS = {
+    code: /^(код|code|external[_ ]?id)/i,
+    sku: /^(артикул|sku)/i,
+    quantity: /^(кол|qty|quantity)/i
+};
+
+const SKIP_REASONS = {
+    ambiguous: 'Код соответствует нескольким товарам',
+    unknown: 'Товар не найден',
+    invalid: 'Неверное количество'
+};
+
+export function initCartTransfer() {
+    const panel = document.querySelector('.cart-transfer');
+    if (!panel) return;
+
+    const exportButtons = panel.querySelectorAll('[data-cart-export]');
+    exportButtons.forEach(button => {
+        button.addEventListener('click', () => exportCart(button.dataset.cartExport, button));
+    });
+
+    // Выгружать пустую корзину нечего
+    cartStore.subscribe(items => {
+        const empty = Object.keys(items).length === 0;
+        exportButtons.forEach(button => { button.disabled = empty; });
+    });
+
+    const fileInput = panel.querySelector('.cart-import-input');
+    panel.querySelector('.cart-import-button')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        // Сбрасываем, чтобы повторный выбор того же файла снова вызвал change
+        fileInput.value = '';
+        if (file) await importCart(file);
+    });
+}
+
+/* ---------- Экспорт ---------- */
+
+export async function exportCart(format = 'csv', button = null) {
+    const items = Object.values(cartStore.get());
+    if (!items.length) {
+        showToast('Корзина пуста', true);
+        return;
+    }
+
+    if (button) button.disabled = true;
+    try {
+        const result = await productService.getProductsByIds(items.map(item => String(item.product_id)));
+        if (!result.success) throw new Error(result.error || 'Не удалось загрузить данные товаров');
+
+        const products = new Map((result.data || []).map(product => [String(product.product_id), product]));
+        const rows = [EXPORT_HEADER, ...items.map(item => createExportRow(item, products.get(String(item.product_id))))];
+
+        const filename = `cart-${new Date().toISOString().slice(0, 10)}`;
+        if (format === 'xlsx') {
+            downloadBlob(buildXlsx(rows, 'Корзина'), `${filename}.xlsx`);
+        } else {
+            downloadBlob(buildCsv(rows), `${filename}.csv`);
+        }
+    } catch (error) {
+        showToast(error.message || 'Ошибка при выгрузке корзины', true);
+    } finally {
+        if (button) button.disabled = false;
+    }
+}
+
+function createExportRow(item, product) {
+    const price = Number(product?.availability?.price || product?.base_price);
+    const availability = product?.availability;
+
+    return [
+        product?.external_id || '',
+        product?.sku || '',
+        product?.name || `Товар #${item.product_id}`,
+        parseInt(item.quantity, 10) || 0,
+        price > 0 ? price : '',
+        availability
+            ? [availability.availability_text, availability.delivery_text].filter(Boolean).join(', ')
+            : ''
+    ];
+}
+
+/* ---------- Импорт ---------- */
+
+export async function importCart(file) {
+    let lines;
+    try {
+        lines = rowsToLines(await readRows(file));
+    } catch (error) {
+        showToast(error.message || 'Не удалось прочитать файл', true);
+        return;
+    }
+
+    if (!lines.length) {
+        showToast('В файле нет товаров', true);
+        return;
+    }
+    if (lines.length > MAX_ROWS) {
+        showToast(`Слишком много строк, максимум ${MAX_ROWS}`, true);
+        return;
+    }
+
+    showToast('Поиск товаров...');
+
+    let resolved = [];
+    try {
+        const withCode = lines.filter(line => line.code);
+        if (withCode.length) resolved = await resolveOrderLines(withCode);
+    } catch (error) {
+        showToast(error.message, true);
+        return;
+    }
+
+    const skipped = lines
+        .filter(line => !line.code)
+        .map(line => ({ ...line, reason: 'Не указан код товара' }));
+    resolved
+        .filter(line => line.status !== 'matched')
+        .forEach(line => skipped.push({ ...line, reason: SKIP_REASONS[line.status] }));
+
+    const matched = resolved.filter(line => line.status === 'matched');
+    let added = 0;
+
+    if (matched.length) {
+        try {
+            const result = await cartStore.addMany(matched.map(line => ({
+                product_id: line.product.product_id,
+                quantity: line.quantity
+            })));
+
+            if (result.queued) {
+                showToast('Нет связи: товары будут добавлены в корзину при подключении');
+                added = matched.length;
+            } else {
+                added = result.added?.length || 0;
+                skipped.push(...collectFailed(matched, result.failed || []));
+            }
+        } catch (error) {
+            if (!error.details?.failed?.length) {
+                showToast(error.message || 'Ошибка при добавлении в корзину', true);
+                return;
+            }
+            skipped.push(...collectFailed(matched, error.details.failed));
+        }
+    }
+
+    const corrected = matched.filter(line => line.note && !skipped.some(s => s.line === line.line));
+
+    if (!skipped.length && !corrected.length) {
+        showToast(`Добавлено в корзину: ${added}`);
+        return;
+    }
+
+    skipped.sort((a, b) => a.line - b.line);
+    showImportReport(added, skipped, corrected);
+}
+
+async function readRows(file) {
+    if (/\.xlsx$/i.test(file.name)) {
+        return readXlsx(await file.arrayBuffer());
+    }
+    if (/\.xls$/i.test(file.name)) {
+        throw new Error('Формат .xls не поддерживается, сохраните файл как .xlsx или CSV');
+    }
+    return parseCsv(decodeText(await file.arrayBuffer()));
+}
+
+/**
+ * Excel сохраняет «CSV (разделители - запятые)» в windows-1251, «CSV UTF-8» - в UTF-8
+ */
+function decodeText(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (e) {
+        return new TextDecoder('windows-1251').decode(buffer);
+    }
+}
+
+/**
+ * Строки файла в формат parseOrderText: { line, raw, code, quantity }
+ * Колонки ищутся по заголовку; без заголовка первая колонка - код, вторая - количество
+ */
+function rowsToLines(rows) {
+    const header = rows[0]?.map(cell => String(cell).trim()) || [];
+    const findColumn = (pattern) => header.findIndex(cell => pattern.test(cell));
+
+    let columns = {
+        code: findColumn(COLUMN_PATTERNS.code),
+        sku: findColumn(COLUMN_PATTERNS.sku),
+        quantity: findColumn(COLUMN_PATTERNS.quantity)
+    };
+    const hasHeader = Object.values(columns).some(index => index >= 0);
+    if (!hasHeader) columns = { code: 0, sku: -1, quantity: 1 };
+
+    return rows.slice(hasHeader ? 1 : 0).map((row, index) => {
+        const cell = (column) => (column >= 0 ? String(row[column] ?? '').trim() : '');
+        const quantity = cell(columns.quantity);
+
+        return {
+            line: index + (hasHeader ? 2 : 1),
+            raw: row.join('; '),
+            // Артикул - когда код не заполнен; resolveOrderLines ищет и по external_id, и по SKU
+            code: cell(columns.code) || cell(columns.sku),
+            quantity: quantity === '' ? 1 : parseQuantity(quantity)
+        };
+    });
+}
+
+function collectFailed(matched, failed) {
+    const messages = new Map(failed.map(item => [String(item.product_id), item.message]));
+    return matched
+        .filter(line => messages.has(String(line.product.product_id)))
+        .map(line => ({ ...line, reason: messages.get(String(line.product.product_id)) }));
+}
+
+function showImportReport(added, skipped, corrected) {
+    const body = document.createElement('div');
+    body.className = 'cart-import-report';
+
+    const summary = document.createElement('p');
+    summary.className = 'cart-import-summary';
+    summary.textContent = `Добавлено в корзину: ${added} · пропущено строк: ${skipped.length}`;
+    body.appendChild(summary);
+
+    if (skipped.length) {
+        body.appendChild(createReportTable(
+            skipped.map(line => [line.line, line.code || '—', line.reason]),
+            'Причина'
+        ));
+    }
+
+    if (corrected.length) {
+        const title = document.createElement('p');
+        title.className = 'cart-import-subtitle';
+        title.textContent = 'Количество исправлено по кратности продажи:';
+        body.appendChild(title);
+        body.appendChild(createReportTable(
+            corrected.map(line => [line.line, line.code, line.note]),
+            'Исправление'
+        ));
+    }
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'btn btn-primary';
+    closeButton.textContent = 'Готово';
+
+    const modal = new Modal({
+        title: 'Импорт корзины',
+        body,
+        footer: closeButton,
+        className: 'cart-import-modal'
+    });
+    closeButton.addEventListener('click', () => modal.close());
+    modal.open(closeButton);
+}
+
+function createReportTable(rows, lastColumn) {
+    const table = document.createElement('table');
+    table.className = 'cart-import-table';
+    table.createTHead().innerHTML = `<tr><th>Строка</th><th>Код</th><th>${lastColumn}</th></tr>`;
+
+    const tbody = table.createTBody();
+    rows.forEach(cells => {
+        const row = tbody.insertRow();
+        cells.forEach(value => { row.insertCell().textContent = value; });
+    });
+    return table;
+}
\ No newline at end of file
@@ -0,0 +1,162 @@
+import { FACET_KEYS } from "./facets.js";
+import { parseStoredFilter } from "./filters.js";
+import { isInfiniteMode } from "./infiniteScroll.js";
+
+/**
+ * Состояние каталога в адресной строке
+ * search, фильтры, сортировка, страница и размер страницы хранятся в query string,
+ * sessionStorage используется только как запасной вариант при открытии /shop без параметров
+ */
+
+const DEFAULTS = {
+    page: 1,
+    limit: 20,
+    sort: 'name',
+    dir: 'asc'
+};
+
+const STATE_KEYS = ['search', 'page', 'limit', 'sort', 'dir', ...FACET_KEYS];
+
+let urlSyncEnabled = false;
+let lastSyncedQuery = null;
+
+/**
+ * Восстановить состояние каталога: из URL, а если там пусто - из sessionStorage
+ */
+export function restoreCatalogState() {
+    const params = new URLSearchParams(window.location.search);
+    const hasUrlState = STATE_KEYS.some(key => params.has(key));
+
+    if (hasUrlState) {
+        applyStateFromParams(params);
+    } else {
+        restoreFromSessionStorage();
+    }
+}
+
+/**
+ * Включить синхронизацию URL и обработку кнопок «Назад»/«Вперед»
+ * onChange вызывается после применения состояния из истории браузера
+ */
+export function initCatalogHistory(onChange) {
+    urlSyncEnabled = true;
+
+    window.addEventListener('popstate', () => {
+        applyStateFromParams(new URLSearchParams(window.location.search));
+        lastSyncedQuery = buildQueryString();
+        onChange?.();
+    });
+}
+
+/**
+ * Записать текущее состояние каталога в URL
+ * Изменение только поискового запроса заменяет запись истории, чтобы набор текста
+ * не создавал десятки шагов «Назад»
+ */
+export function syncCatalogUrl() {
+    if (!urlSyncEnabled) return;
+
+    const query = buildQueryString();
+    if (query === lastSyncedQuery) return;
+
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+    // Первая синхронизация (состояние из sessionStorage) не должна добавлять шаг в историю
+    const replace = lastSyncedQuery === null
+        || stripSearch(query) === stripSearch(lastSyncedQuery);
+
+    if (replace) {
+        history.replaceState({ catalog: true }, '', url);
+    } else {
+        history.pushState({ catalog: true }, '', url);
+    }
+    lastSyncedQuery = query;
+}
+
+/**
+ * URL страницы каталога для произвольного поискового запроса
+ */
+export function buildCatalogUrl(search) {
+    const params = new URLSearchParams();
+    if (search) params.set('search', search);
+    const query = params.toString();
+    return `/shop${query ? `?${query}` : ''}`;
+}
+
+function buildQueryString() {
+    const params = new URLSearchParams();
+    const filters = window.appliedFilters || {};
+
+    if (filters.search) params.set('search', filters.search);
+
+    FACET_KEYS.forEach(key => {
+        const value = filters[key];
+        const values = Array.isArray(value) ? value : (value ? [value] : []);
+        values.forEach(v => params.append(key, v));
+    });
+
+    if (window.sortColumn && window.sortColumn !== DEFAULTS.sort) params.set('sort', window.sortColumn);
+    if (window.sortDirection && window.sortDirection !== DEFAULTS.dir) params.set('dir', window.sortDirection);
+    // В режиме ленты номер последней догруженной страницы в адрес не попадает
+    if (window.currentPage > DEFAULTS.page && !isInfiniteMode()) params.set('page', window.currentPage);
+    if (window.itemsPerPage && window.itemsPerPage !== DEFAULTS.limit) params.set('limit', window.itemsPerPage);
+
+    return params.toString();
+}
+
+function stripSearch(query) {
+    const params = new URLSearchParams(query);
+    params.delete('search');
+    return params.toString();
+}
+
+function applyStateFromParams(params) {
+    const filters = {};
+
+    const search = params.get('search')?.trim();
+    if (search) filters.search = search;
+
+    FACET_KEYS.forEach(key => {
+        const values = params.getAll(key).filter(Boolean);
+        if (values.length) filters[key] = values;
+    });
+
+    window.appliedFilters = filters;
+    window.sortColumn = params.get('sort') || DEFAULTS.sort;
+    window.sortDirection = params.get('dir') === 'desc' ? 'desc' : DEFAULTS.dir;
+    window.currentPage = Math.max(1, parseInt(params.get('page'), 10) || DEFAULTS.page);
+    window.itemsPerPage = parseInt(params.get('limit'), 10) || DEFAULTS.limit;
+
+    saveToSessionStorage();
+}
+
+function restoreFromSessionStorage() {
+    window.itemsPerPage = parseInt(sessionStorage.getItem('itemsPerPage') || String(DEFAULTS.limit), 10);
+    window.sortColumn = sessionStorage.getItem('sortColumn') || DEFAULTS.sort;
+    window.sortDirection = sessionStorage.getItem('sortDirection') || DEFAULTS.dir;
+    window.currentPage = DEFAULTS.page;
+    window.appliedFilters = {};
+
+    Object.keys(sessionStorage).forEach(key => {
+        if (key === 'search' || FACET_KEYS.includes(key)) {
+            window.appliedFilters[key] = parseStoredFilter(sessionStorage.getItem(key));
+        }
+    });
+}
+
+/**
+ * Дублируем состояние в sessionStorage, чтобы /shop без параметров открывал последний вид
+ */
+function saveToSessionStorage() {
+    sessionStorage.setItem('itemsPerPage', window.itemsPerPage);
+    sessionStorage.setItem('sortColumn', window.sortColumn);
+    sessionStorage.setItem('sortDirection', window.sortDirection);
+
+    ['search', ...FACET_KEYS].forEach(key => {
+        const value = window.appliedFilters[key];
+        if (value === undefined) {
+            sessionStorage.removeItem(key);
+        } else {
+            sessionStorage.setItem(key, Array.isArray(value) ? JSON.stringify(value) : value);
+        }
+    });
+}
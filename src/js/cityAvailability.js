@@ -0,0 +1,229 @@
+import { availabilityService } from "./availability.js";
+
+/**
+ * Наличие товара во всех городах - всплывающее окно у ячейки «Наличие» в таблице товаров
+ * Остатки и сроки по каждому городу запрашиваются параллельно через /api/availability
+ * (кеш AvailabilityService - по городам); из окна можно сменить рабочий город
+ */
+
+let popover = null;
+// Ячейка и кнопка, у которых открыто окно
+let anchor = null;
+let toggle = null;
+let productId = null;
+
+export function initCityAvailability() {
+    document.addEventListener('click', (e) => {
+        const cell = e.target.closest('.product-table .col-availability');
+        if (cell) {
+            const row = cell.closest('tr[data-product-id]');
+            if (!row) return;
+
+            e.preventDefault();
+            if (anchor === cell) {
+                closeCityAvailability();
+            } else {
+                openCityAvailability(row.dataset.productId, cell);
+            }
+            return;
+        }
+
+        if (popover && !popover.hidden && e.target.isConnected && !popover.contains(e.target)) {
+            closeCityAvailability();
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && popover && !popover.hidden) {
+            const focusBack = toggle;
+            closeCityAvailability();
+            focusBack?.focus();
+        }
+    });
+
+    // Окно позиционируется один раз при открытии; после смены города таблица перерисовывается
+    window.addEventListener('resize', () => closeCityAvailability());
+    document.getElementById('citySelect')?.addEventListener('change', () => closeCityAvailability());
+}
+
+export async function openCityAvailability(id, cell) {
+    if (!popover) {
+        popover = createPopover();
+        document.body.appendChild(popover);
+    }
+
+    closeCityAvailability();
+    anchor = cell;
+    toggle = cell.querySelector('.city-availability-btn');
+    productId = String(id);
+    toggle?.setAttribute('aria-expanded', 'true');
+
+    const product = (window.productsData || []).find(item => String(item.product_id) === productId);
+    popover.querySelector('.city-availability-title').textContent = product?.name
+        ? `Наличие по городам: ${product.name}`
+        : 'Наличие по городам';
+
+    const body = popover.querySelector('.city-availability-body');
+    body.textContent = 'Загрузка...';
+    popover.hidden = false;
+    position();
+    popover.querySelector('.city-availability-close').focus();
+
+    const requested = productId;
+    try {
+        const results = await availabilityService.getAvailabilityByCity(requested);
+        // Окно могли закрыть или открыть для другого товара, пока шли запросы
+        if (popover.hidden || productId !== requested) return;
+        renderCities(body, results);
+    } catch (error) {
+        if (popover.hidden || productId !== requested) return;
+        body.textContent = 'Не удалось загрузить наличие';
+    }
+    position();
+}
+
+export function closeCityAvailability() {
+    if (!popover || popover.hidden) return;
+
+    popover.hidden = true;
+    toggle?.setAttribute('aria-expanded', 'false');
+    anchor = null;
+    toggle = null;
+    productId = null;
+}
+
+function createPopover() {
+    const element = document.createElement('div');
+    element.className = 'city-availability';
+    element.id = 'cityAvailability';
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-labelledby', 'cityAvailabilityTitle');
+    element.hidden = true;
+
+    const header = document.createElement('div');
+    header.className = 'city-availability-header';
+
+    const title = document.createElement('h3');
+    title.className = 'city-availability-title';
+    title.id = 'cityAvailabilityTitle';
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'city-availability-close';
+    close.setAttribute('aria-label', 'Закрыть');
+    close.innerHTML = '<i class="fas fa-times"></i>';
+    close.addEventListener('click', () => {
+        const focusBack = toggle;
+        closeCityAvailability();
+        focusBack?.focus();
+    });
+
+    header.appendChild(title);
+    header.appendChild(close);
+
+    const body = document.createElement('div');
+    body.className = 'city-availability-body';
+    body.setAttribute('aria-live', 'polite');
+
+    element.appendChild(header);
+    element.appendChild(body);
+
+    body.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-city-id]');
+        if (button) selectCity(button.dataset.cityId);
+    });
+
+    return element;
+}
+
+function renderCities(body, results) {
+    const currentCityId = availabilityService.getCurrentCityId();
+    body.innerHTML = '';
+
+    const table = document.createElement('table');
+    table.className = 'city-availability-table';
+    table.createTHead().innerHTML = '<tr><th>Город</th><th>Наличие</th><th>Срок поставки</th><th><span class="visually-hidden">Действие</span></th></tr>';
+    const tbody = table.createTBody();
+
+    // Сначала города, где товар есть, затем остальные; внутри - по порядку списка городов
+    const sorted = results
+        .map((result, index) => ({ ...result, index }))
+        .sort((a, b) => Number(Boolean(b.info?.in_stock)) - Number(Boolean(a.info?.in_stock)) || a.index - b.index);
+
+    sorted.forEach(({ city, info }) => {
+        const current = String(city.id) === String(currentCityId);
+        const row = tbody.insertRow();
+        if (current) row.className = 'is-current';
+
+        const nameCell = row.insertCell();
+        nameCell.textContent = city.name;
+        if (current) {
+            const badge = document.createElement('span');
+            badge.className = 'city-availability-badge';
+            badge.textContent = 'текущий';
+            nameCell.appendChild(badge);
+        }
+
+        const stockCell = row.insertCell();
+        const deliveryCell = row.insertCell();
+        if (info) {
+            stockCell.className = info.in_stock ? 'in-stock' : 'out-of-stock';
+            stockCell.textContent = info.availability_text || (info.quantity > 0 ? `${info.quantity} шт.` : 'Нет');
+            deliveryCell.textContent = info.delivery_text || info.delivery_date || '—';
+        } else {
+            stockCell.textContent = 'Нет данных';
+            deliveryCell.textContent = '—';
+        }
+
+        const actionCell = row.insertCell();
+        if (!current) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-sm btn-secondary';
+            button.dataset.cityId = city.id;
+            button.textContent = 'Выбрать';
+            button.setAttribute('aria-label', `Сделать рабочим город ${city.name}`);
+            actionCell.appendChild(button);
+        }
+    });
+
+    body.appendChild(table);
+}
+
+/**
+ * Сменить рабочий город так же, как выбором в шапке: обработчики change обновят таблицу, цены и корзину
+ * и покажут уведомление о смене города
+ */
+function selectCity(cityId) {
+    const citySelect = document.getElementById('citySelect');
+    if (!citySelect || citySelect.value === String(cityId)) return;
+
+    const focusBack = toggle;
+    citySelect.value = cityId;
+    citySelect.dispatchEvent(new Event('change', { bubbles: true }));
+    closeCityAvailability();
+
+    // Строка таблицы перерисовывается, поэтому фокус - на выбор города, если кнопки уже нет
+    (focusBack?.isConnected ? focusBack : citySelect).focus();
+}
+
+/**
+ * Окно под ячейкой, в пределах экрана по горизонтали; над ячейкой - если снизу не помещается
+ */
+function position() {
+    if (!popover || popover.hidden || !anchor?.isConnected) return;
+
+    const rect = anchor.getBoundingClientRect();
+    const width = popover.offsetWidth;
+    const height = popover.offsetHeight;
+    const margin = 8;
+
+    const left = Math.min(Math.max(margin, rect.left), window.innerWidth - width - margin);
+    const below = rect.bottom + margin;
+    const top = below + height > window.innerHeight && rect.top - height - margin > 0
+        ? rect.top - height - margin
+        : below;
+
+    popover.style.left = `${left + window.scrollX}px`;
+    popover.style.top = `${top + window.scrollY}px`;
+}
\ No newline at end of file
@@ -0,0 +1,430 @@
+import { showToast } from "./utils.js";
+import { getProductRows } from "./renderProducts.js";
+
+/**
+ * Настройка колонок таблицы товаров: видимость, порядок и ширина
+ * Ячейки строк и заголовки помечены data-col, раскладка применяется перестановкой ячеек,
+ * поэтому отметки и введенное количество в строках сохраняются.
+ * Раскладка хранится в localStorage, у авторизованных пользователей - еще и на сервере.
+ */
+
+export const COLUMNS = [
+    { id: 'select', title: 'Выбор', required: true },
+    { id: 'code', title: 'Код' },
+    { id: 'image', title: 'Фото' },
+    { id: 'name', title: 'Название', required: true },
+    { id: 'sku', title: 'SKU' },
+    { id: 'brand_series', title: 'Бренд/Серия' },
+    { id: 'status', title: 'Статус' },
+    { id: 'min_sale_unit', title: 'Кратность/ед. изм' },
+    { id: 'availability', title: 'Наличие' },
+    { id: 'delivery_date', title: 'Дата доставки' },
+    { id: 'price', title: 'Цена' },
+    { id: 'retail_price', title: 'Розничная' },
+    { id: 'cart', title: 'Корзина', required: true },
+    { id: 'additional', title: 'Доп. информация' },
+    { id: 'orders_count', title: 'Куплено' }
+];
+
+const STORAGE_KEY = 'catalogColumns';
+const SETTINGS_URL = '/api/user-settings';
+const SETTINGS_KEY = 'catalog_columns';
+const MIN_WIDTH = 40;
+const SAVE_DELAY = 1000;
+
+let layout = loadLocalLayout();
+let saveTimer = null;
+
+/**
+ * Порядок колонок (включая скрытые)
+ */
+export function getColumnOrder() {
+    return layout.order.slice();
+}
+
+export function isColumnHidden(id) {
+    return layout.hidden.includes(id);
+}
+
+export function getVisibleColumnCount() {
+    return layout.order.length - layout.hidden.length;
+}
+
+/**
+ * Применить раскладку к заголовку и всем строкам таблицы
+ */
+export function applyColumnLayout() {
+    const table = document.querySelector('.product-table');
+    if (!table) return;
+
+    const headerRow = getHeaderRow(table);
+    if (headerRow) {
+        applyLayoutToRow(headerRow);
+        headerRow.querySelectorAll('th[data-col]').forEach(th => {
+            const width = layout.widths[th.dataset.col];
+            th.style.width = width ? `${width}px` : '';
+            th.style.minWidth = width ? `${width}px` : '';
+        });
+    }
+
+    getProductRows().forEach(applyLayoutToRow);
+
+    // Строки на всю ширину (пагинация, распорки ленты) растягиваем на видимые колонки
+    const visible = getVisibleColumnCount();
+    table.querySelectorAll('tr.controls-row > th, tr.virtual-spacer > td, tr.infinite-loader > td').forEach(cell => {
+        cell.colSpan = visible;
+    });
+}
+
+/**
+ * Переставить ячейки строки по раскладке и скрыть лишние
+ */
+export function applyLayoutToRow(row) {
+    const cells = {};
+    Array.from(row.children).forEach(cell => {
+        if (cell.dataset.col) cells[cell.dataset.col] = cell;
+    });
+
+    layout.order.forEach(id => {
+        const cell = cells[id];
+        if (!cell) return;
+        cell.classList.toggle('col-hidden', isColumnHidden(id));
+        row.appendChild(cell);
+    });
+}
+
+/**
+ * Кнопка «Колонки», панель настройки и ручки изменения ширины
+ */
+export function initColumnManager() {
+    const table = document.querySelector('.product-table');
+    const button = document.getElementById('columnsButton');
+    if (!table) return;
+
+    initResizeHandles(table);
+    applyColumnLayout();
+
+    if (button) {
+        const panel = createPanel(button);
+        button.addEventListener('click', () => togglePanel(button, panel));
+    }
+
+    loadServerLayout();
+}
+
+function getHeaderRow(table) {
+    const rows = table.tHead?.rows;
+    return rows ? rows[rows.length - 1] : null;
+}
+
+function setLayout(next, { save = true } = {}) {
+    layout = normalizeLayout(next);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(layout));
+    applyColumnLayout();
+    if (save) scheduleServerSave();
+}
+
+function resetLayout() {
+    setLayout(normalizeLayout({}));
+}
+
+/**
+ * Привести сохраненную раскладку к текущему набору колонок
+ * Новые колонки (которых не было при сохранении) добавляются на свои места по умолчанию
+ */
+function normalizeLayout(raw) {
+    const ids = COLUMNS.map(c => c.id);
+    const savedOrder = Array.isArray(raw?.order) ? raw.order.filter(id => ids.includes(id)) : [];
+    const order = [...new Set(savedOrder)];
+
+    ids.forEach((id, index) => {
+        if (order.includes(id)) return;
+        const previous = ids.slice(0, index).reverse().find(prev => order.includes(prev));
+        order.splice(previous ? order.indexOf(previous) + 1 : 0, 0, id);
+    });
+
+    const hidden = Array.isArray(raw?.hidden)
+        ? raw.hidden.filter(id => ids.includes(id) && !COLUMNS.find(c => c.id === id).required)
+        : [];
+
+    const widths = {};
+    Object.entries(raw?.widths || {}).forEach(([id, width]) => {
+        width = Math.round(Number(width));
+        if (ids.includes(id) && width >= MIN_WIDTH) widths[id] = width;
+    });
+
+    return { order, hidden: [...new Set(hidden)], widths };
+}
+
+function loadLocalLayout() {
+    try {
+        return normalizeLayout(JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+    } catch (e) {
+        return normalizeLayout({});
+    }
+}
+
+/**
+ * Раскладка с сервера (общая для всех устройств пользователя)
+ */
+async function loadServerLayout() {
+    if (window.USER_LOGGED_IN !== true) return;
+
+    try {
+        const res = await fetch(`${SETTINGS_URL}?key=${SETTINGS_KEY}`, {
+            credentials: 'same-origin',
+            headers: { 'Accept': 'application/json' }
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+        const data = await res.json();
+        if (data.success && data.data?.value) {
+            setLayout(data.data.value, { save: false });
+            refreshPanel();
+        }
+    } catch (error) {
+        console.warn('Column layout load error:', error);
+    }
+}
+
+function scheduleServerSave() {
+    if (window.USER_LOGGED_IN !== true) return;
+
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(async () => {
+        const formData = new FormData();
+        formData.append('key', SETTINGS_KEY);
+        formData.append('value', JSON.stringify(layout));
+        formData.append('csrf_token', window.CSRF_TOKEN || '');
+
+        try {
+            const res = await fetch(SETTINGS_URL, {
+                method: 'POST',
+                body: formData,
+                credentials: 'same-origin'
+            });
+            const data = await res.json();
+            if (!data.success) throw new Error(data.message || 'Save failed');
+        } catch (error) {
+            console.warn('Column layout save error:', error);
+        }
+    }, SAVE_DELAY);
+}
+
+/* ---------- Изменение ширины ---------- */
+
+function initResizeHandles(table) {
+    const headerRow = getHeaderRow(table);
+    if (!headerRow) return;
+
+    headerRow.querySelectorAll('th[data-col]').forEach(th => {
+        const handle = document.createElement('span');
+        handle.className = 'col-resize-handle';
+        handle.setAttribute('aria-hidden', 'true');
+        th.appendChild(handle);
+
+        handle.addEventListener('pointerdown', (e) => startResize(e, th, handle));
+        // Клик по ручке не должен сортировать колонку
+        handle.addEventListener('click', (e) => e.stopPropagation());
+        // Двойной клик - вернуть ширину по умолчанию
+        handle.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            const widths = { ...layout.widths };
+            delete widths[th.dataset.col];
+            setLayout({ ...layout, widths });
+        });
+    });
+}
+
+function startResize(event, th, handle) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const startX = event.clientX;
+    const startWidth = th.offsetWidth;
+    handle.setPointerCapture(event.pointerId);
+    document.body.classList.add('col-resizing');
+
+    const onMove = (e) => {
+        const width = Math.max(MIN_WIDTH, startWidth + e.clientX - startX);
+        th.style.width = `${width}px`;
+        th.style.minWidth = `${width}px`;
+    };
+
+    const onUp = () => {
+        handle.removeEventListener('pointermove', onMove);
+        handle.removeEventListener('pointerup', onUp);
+        handle.removeEventListener('pointercancel', onUp);
+        document.body.classList.remove('col-resizing');
+        setLayout({ ...layout, widths: { ...layout.widths, [th.dataset.col]: th.offsetWidth } });
+    };
+
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onUp);
+    handle.addEventListener('pointercancel', onUp);
+}
+
+/* ---------- Панель настройки ---------- */
+
+let panelElement = null;
+
+function createPanel(button) {
+    const panel = document.createElement('div');
+    panel.className = 'column-manager';
+    panel.id = 'columnManagerPanel';
+    panel.hidden = true;
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Настройка колонок');
+
+    button.setAttribute('aria-haspopup', 'dialog');
+    button.setAttribute('aria-expanded', 'false');
+    button.setAttribute('aria-controls', panel.id);
+    button.parentElement.classList.add('column-manager-anchor');
+    button.insertAdjacentElement('afterend', panel);
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closePanel(button, panel);
+            button.focus();
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        // Клик по элементу панели, который успел перерисоваться, - не клик снаружи
+        if (!e.target.isConnected) return;
+        if (!panel.hidden && !panel.contains(e.target) && !button.contains(e.target)) {
+            closePanel(button, panel);
+        }
+    });
+
+    panelElement = panel;
+    return panel;
+}
+
+function togglePanel(button, panel) {
+    if (panel.hidden) {
+        refreshPanel();
+        panel.hidden = false;
+        button.setAttribute('aria-expanded', 'true');
+        panel.querySelector('input:not(:disabled), button:not(:disabled)')?.focus();
+    } else {
+        closePanel(button, panel);
+    }
+}
+
+function closePanel(button, panel) {
+    panel.hidden = true;
+    button.setAttribute('aria-expanded', 'false');
+}
+
+function refreshPanel() {
+    const panel = panelElement;
+    if (!panel) return;
+
+    panel.innerHTML = '';
+
+    const list = document.createElement('ul');
+    list.className = 'column-manager-list';
+
+    layout.order.forEach((id, index) => {
+        list.appendChild(createPanelItem(COLUMNS.find(c => c.id === id), index));
+    });
+
+    const footer = document.createElement('div');
+    footer.className = 'column-manager-footer';
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'column-manager-reset';
+    reset.textContent = 'Сбросить настройки';
+    reset.addEventListener('click', () => {
+        resetLayout();
+        refreshPanel();
+        showToast('Колонки восстановлены по умолчанию');
+    });
+    footer.appendChild(reset);
+
+    panel.appendChild(list);
+    panel.appendChild(footer);
+}
+
+function createPanelItem(column, index) {
+    const item = document.createElement('li');
+    item.className = 'column-manager-item';
+    item.dataset.col = column.id;
+    item.draggable = true;
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !isColumnHidden(column.id);
+    checkbox.disabled = Boolean(column.required);
+    checkbox.addEventListener('change', () => {
+        const hidden = checkbox.checked
+            ? layout.hidden.filter(id => id !== column.id)
+            : [...layout.hidden, column.id];
+        setLayout({ ...layout, hidden });
+    });
+    const title = document.createElement('span');
+    title.textContent = column.title;
+    label.appendChild(checkbox);
+    label.appendChild(title);
+
+    const up = createMoveButton('↑', `Переместить «${column.title}» выше`, index === 0, () => moveColumn(column.id, -1));
+    const down = createMoveButton('↓', `Переместить «${column.title}» ниже`, index === layout.order.length - 1, () => moveColumn(column.id, 1));
+
+    item.appendChild(label);
+    item.appendChild(up);
+    item.appendChild(down);
+
+    // Перетаскивание мышью; кнопки ↑/↓ - тот же результат с клавиатуры
+    item.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', column.id);
+        e.dataTransfer.effectAllowed = 'move';
+        item.classList.add('dragging');
+    });
+    item.addEventListener('dragend', () => item.classList.remove('dragging'));
+    item.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+    });
+    item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const draggedId = e.dataTransfer.getData('text/plain');
+        if (!draggedId || draggedId === column.id) return;
+
+        const order = layout.order.filter(id => id !== draggedId);
+        order.splice(order.indexOf(column.id) + (index > layout.order.indexOf(draggedId) ? 1 : 0), 0, draggedId);
+        setLayout({ ...layout, order });
+        refreshPanel();
+    });
+
+    return item;
+}
+
+function createMoveButton(text, label, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'column-manager-move';
+    button.textContent = text;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function moveColumn(id, delta) {
+    const order = layout.order.slice();
+    const index = order.indexOf(id);
+    const target = index + delta;
+    if (target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+    setLayout({ ...layout, order });
+    refreshPanel();
+
+    // Фокус остается на той же кнопке перемещенной колонки
+    const selector = `.column-manager-item[data-col="${id}"] .column-manager-move:nth-of-type(${delta < 0 ? 1 : 2})`;
+    const button = panelElement?.querySelector(selector);
+    (button && !button.disabled ? button : panelElement?.querySelector(`.column-manager-item[data-col="${id}"] input`))?.focus();
+}
@@ -0,0 +1,92 @@
+/**
+ * Модальное окно на стилях .modal-backdrop / .modal из main.css
+ * Закрывается кнопкой, Escape и кликом по фону; фокус возвращается туда, где был до открытия
+ */
+
+let modalCounter = 0;
+
+export class Modal {
+    /**
+     * @param {Object} options
+     * @param {string}   options.title
+     * @param {Node}     options.body
+     * @param {Node}     [options.footer]
+     * @param {string}   [options.className] - дополнительный класс фона (для размеров окна)
+     * @param {Function} [options.onClose]
+     */
+    constructor(options = {}) {
+        this.onClose = options.onClose || (() => {});
+        this.previousFocus = null;
+        this.id = `modal-${++modalCounter}`;
+
+        this.backdrop = document.createElement('div');
+        this.backdrop.className = `modal-backdrop ${options.className || ''}`.trim();
+
+        this.element = document.createElement('div');
+        this.element.className = 'modal';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-labelledby', `${this.id}-title`);
+
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        const title = document.createElement('h2');
+        title.className = 'modal-title';
+        title.id = `${this.id}-title`;
+        title.textContent = options.title || '';
+        this.closeButton = document.createElement('button');
+        this.closeButton.type = 'button';
+        this.closeButton.className = 'modal-close';
+        this.closeButton.setAttribute('aria-label', 'Закрыть');
+        this.closeButton.innerHTML = '<i class="fas fa-times"></i>';
+        header.appendChild(title);
+        header.appendChild(this.closeButton);
+
+        this.body = document.createElement('div');
+        this.body.className = 'modal-body';
+        if (options.body) this.body.appendChild(options.body);
+
+        this.element.appendChild(header);
+        this.element.appendChild(this.body);
+
+        if (options.footer) {
+            const footer = document.createElement('div');
+            footer.className = 'modal-footer';
+            footer.appendChild(options.footer);
+            this.element.appendChild(footer);
+        }
+
+        this.backdrop.appendChild(this.element);
+
+        this.onKeydown = (e) => {
+            if (e.key === 'Escape') this.close();
+        };
+        this.closeButton.addEventListener('click', () => this.close());
+        this.backdrop.addEventListener('click', (e) => {
+            if (e.target === this.backdrop) this.close();
+        });
+    }
+
+    /**
+     * @param {HTMLElement} [focusTarget] - элемент, который получит фокус (по умолчанию кнопка закрытия)
+     */
+    open(focusTarget = null) {
+        this.previousFocus = document.activeElement;
+        document.body.appendChild(this.backdrop);
+        document.addEventListener('keydown', this.onKeydown);
+
+        // Класс ставим после вставки, чтобы сработала анимация появления
+        requestAnimationFrame(() => this.backdrop.classList.add('active'));
+        (focusTarget || this.closeButton).focus();
+        return this;
+    }
+
+    close() {
+        if (!this.backdrop.isConnected) return;
+
+        document.removeEventListener('keydown', this.onKeydown);
+        this.backdrop.remove();
+        this.previousFocus?.focus?.();
+        this.onClose();
+    }
+}
\ No newline at end of file
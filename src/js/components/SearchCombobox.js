@@ -0,0 +1,282 @@
+import { pluralize } from '../utils.js';
+
+/**
+ * Поле поиска с подсказками по шаблону WAI-ARIA combobox (list autocomplete)
+ * Отвечает только за DOM, клавиатуру, фокус и объявления для скринридеров -
+ * откуда брать подсказки и что делать при выборе, решает вызывающий код
+ */
+
+let comboboxCounter = 0;
+
+export class SearchCombobox {
+    /**
+     * @param {HTMLInputElement} input
+     * @param {Object} options
+     * @param {Function} options.onSelect  - выбор подсказки (option)
+     * @param {Function} options.onSubmit  - Enter без выбранной подсказки
+     * @param {Function} [options.onAction] - (action, option, index) клик по элементу [data-action] внутри пункта
+     * @param {Function} [options.renderOption] - (option, query) => Node, содержимое пункта
+     * @param {string}   [options.label] - подпись списка для скринридеров
+     */
+    constructor(input, options = {}) {
+        this.input = input;
+        this.onSelect = options.onSelect || (() => {});
+        this.onSubmit = options.onSubmit || (() => {});
+        this.onAction = options.onAction || (() => {});
+        this.renderOption = options.renderOption || ((option, query) => this.renderDefaultOption(option, query));
+
+        this.options = [];
+        this.activeIndex = -1;
+        this.expanded = false;
+
+        this.id = `search-combobox-${++comboboxCounter}`;
+        this.wrapper = input.parentElement;
+        this.wrapper.classList.add('search-combobox');
+
+        this.listbox = document.createElement('ul');
+        this.listbox.id = `${this.id}-listbox`;
+        this.listbox.className = 'search-autocomplete';
+        this.listbox.setAttribute('role', 'listbox');
+        this.listbox.setAttribute('aria-label', options.label || 'Подсказки поиска');
+        this.listbox.hidden = true;
+
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'visually-hidden';
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+
+        this.wrapper.appendChild(this.listbox);
+        this.wrapper.appendChild(this.liveRegion);
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', this.listbox.id);
+        input.setAttribute('autocomplete', 'off');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Фокус остается в поле ввода: клик по подсказке не вызывает blur
+        this.listbox.addEventListener('mousedown', (e) => e.preventDefault());
+        this.listbox.addEventListener('click', (e) => {
+            const optionEl = e.target.closest('[role="option"]');
+            if (!optionEl) return;
+
+            // Кнопки внутри пункта (удалить, закрепить) не выбирают сам пункт
+            const actionEl = e.target.closest('[data-action]');
+            const index = Number(optionEl.dataset.index);
+            if (actionEl) {
+                this.onAction(actionEl.dataset.action, this.options[index], index);
+            } else {
+                this.select(index);
+            }
+        });
+        this.listbox.addEventListener('mousemove', (e) => {
+            const optionEl = e.target.closest('[role="option"]');
+            if (optionEl) this.setActive(Number(optionEl.dataset.index), false);
+        });
+
+        // Фокус ушел за пределы виджета - закрываем список сразу, без таймеров
+        this.wrapper.addEventListener('focusout', (e) => {
+            if (!this.wrapper.contains(e.relatedTarget)) this.close();
+        });
+    }
+
+    /**
+     * Показать подсказки (пустой список закрывает виджет)
+     */
+    setOptions(options, query = this.input.value) {
+        this.options = options || [];
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+        this.listbox.innerHTML = '';
+
+        if (!this.options.length) {
+            this.close();
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        this.options.forEach((option, index) => {
+            const item = document.createElement('li');
+            item.id = `${this.id}-option-${index}`;
+            item.className = 'autocomplete-item';
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+            item.dataset.index = index;
+            item.appendChild(this.renderOption(option, query));
+            fragment.appendChild(item);
+        });
+        this.listbox.appendChild(fragment);
+
+        if (document.activeElement === this.input) {
+            this.open();
+        }
+        this.announce(`${this.options.length} ${pluralize(this.options.length, ['подсказка', 'подсказки', 'подсказок'])}. Используйте стрелки для выбора`);
+    }
+
+    getActiveOption() {
+        return this.expanded ? this.options[this.activeIndex] || null : null;
+    }
+
+    getOptionElement(index) {
+        return this.listbox.children[index] || null;
+    }
+
+    open() {
+        if (!this.options.length || this.expanded) return;
+        this.expanded = true;
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    close() {
+        if (!this.expanded) return;
+        this.expanded = false;
+        this.listbox.hidden = true;
+        this.setActive(-1);
+        this.input.setAttribute('aria-expanded', 'false');
+    }
+
+    isOpen() {
+        return this.expanded;
+    }
+
+    setActive(index, scroll = true) {
+        const previous = this.getOptionElement(this.activeIndex);
+        if (previous) {
+            previous.setAttribute('aria-selected', 'false');
+            previous.classList.remove('highlighted');
+        }
+
+        this.activeIndex = index;
+        const current = this.getOptionElement(index);
+
+        if (current) {
+            current.setAttribute('aria-selected', 'true');
+            current.classList.add('highlighted');
+            this.input.setAttribute('aria-activedescendant', current.id);
+            if (scroll) current.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    select(index) {
+        const option = this.options[index];
+        if (!option) return;
+        this.close();
+        this.onSelect(option);
+    }
+
+    handleKeydown(event) {
+        const count = this.options.length;
+
+        switch (event.key) {
+            case 'ArrowDown':
+                if (!count) return;
+                event.preventDefault();
+                if (!this.expanded) {
+                    this.open();
+                    this.setActive(0);
+                } else {
+                    this.setActive(this.activeIndex + 1 >= count ? 0 : this.activeIndex + 1);
+                }
+                break;
+
+            case 'ArrowUp':
+                if (!count) return;
+                event.preventDefault();
+                if (!this.expanded) {
+                    this.open();
+                    this.setActive(count - 1);
+                } else {
+                    this.setActive(this.activeIndex <= 0 ? count - 1 : this.activeIndex - 1);
+                }
+                break;
+
+            case 'Enter':
+                event.preventDefault();
+                if (this.expanded && this.activeIndex >= 0) {
+                    this.select(this.activeIndex);
+                } else {
+                    this.close();
+                    this.onSubmit();
+                }
+                break;
+
+            case 'Escape':
+                if (this.expanded) {
+                    event.preventDefault();
+                    this.close();
+                }
+                break;
+
+            case 'Tab':
+                this.close();
+                break;
+        }
+    }
+
+    announce(message) {
+        // Сброс текста заставляет скринридер повторить одинаковое объявление
+        this.liveRegion.textContent = '';
+        window.requestAnimationFrame(() => {
+            this.liveRegion.textContent = message;
+        });
+    }
+
+    renderDefaultOption(option, query) {
+        const fragment = document.createDocumentFragment();
+        const text = document.createElement('span');
+        text.className = 'autocomplete-text';
+        text.appendChild(highlightText(option.text, query));
+        fragment.appendChild(text);
+
+        if (option.typeLabel) {
+            const type = document.createElement('span');
+            type.className = 'autocomplete-type';
+            type.textContent = option.typeLabel;
+            fragment.appendChild(type);
+        }
+        return fragment;
+    }
+}
+
+/**
+ * Безопасная подсветка совпадений: текст вставляется только через текстовые узлы
+ */
+export function highlightText(text, query) {
+    const fragment = document.createDocumentFragment();
+    const source = String(text ?? '');
+    const needle = String(query ?? '').trim().toLowerCase();
+
+    if (!needle) {
+        fragment.appendChild(document.createTextNode(source));
+        return fragment;
+    }
+
+    const lower = source.toLowerCase();
+    let position = 0;
+    let match = lower.indexOf(needle);
+
+    while (match !== -1) {
+        if (match > position) {
+            fragment.appendChild(document.createTextNode(source.slice(position, match)));
+        }
+        const strong = document.createElement('strong');
+        strong.textContent = source.slice(match, match + needle.length);
+        fragment.appendChild(strong);
+        position = match + needle.length;
+        match = lower.indexOf(needle, position);
+    }
+
+    if (position < source.length) {
+        fragment.appendChild(document.createTextNode(source.slice(position)));
+    }
+    return fragment;
+}
@@ -0,0 +1,172 @@
+import { toggleFilterValue, getFilterValues, setFilterValues } from "./filters.js";
+import { fetchProducts } from "./utils.js";
+
+/**
+ * Описание фасетов: ключ фильтра, варианты имени агрегации в ответе /api/search
+ */
+const FACETS = [
+    { key: 'brand_name', title: 'Бренд', aggs: ['brand_name', 'brands'] },
+    { key: 'series_name', title: 'Серия', aggs: ['series_name', 'series'] },
+    { key: 'category', title: 'Категория', aggs: ['category', 'categories'] },
+    {
+        key: 'in_stock',
+        title: 'Наличие',
+        aggs: ['in_stock', 'availability'],
+        labels: { 'true': 'В наличии', '1': 'В наличии', 'false': 'Нет в наличии', '0': 'Нет в наличии' }
+    },
+    { key: 'price_range', title: 'Цена', aggs: ['price_range', 'price_ranges', 'prices'] }
+];
+
+export const FACET_KEYS = FACETS.map(facet => facet.key);
+
+// Сколько значений показывать до кнопки «Показать все»
+const COLLAPSED_LIMIT = 8;
+
+const expandedFacets = new Set();
+
+/**
+ * Отрисовать панель фасетов по агрегациям из результата поиска
+ */
+export function renderFacets(aggregations = {}) {
+    const panel = document.getElementById('facetsPanel');
+    if (!panel) return;
+
+    panel.innerHTML = '';
+    const fragment = document.createDocumentFragment();
+
+    FACETS.forEach(facet => {
+        const buckets = getFacetBuckets(facet, aggregations);
+        const selected = getFilterValues(facet.key);
+
+        // Выбранные значения показываем даже если в текущей выдаче их нет
+        selected.forEach(value => {
+            if (!buckets.some(b => b.value === value)) {
+                buckets.push({ value, label: facet.labels?.[value] || value, count: 0 });
+            }
+        });
+
+        if (buckets.length) {
+            fragment.appendChild(createFacetGroup(facet, buckets, selected));
+        }
+    });
+
+    panel.appendChild(fragment);
+    panel.style.display = panel.children.length ? '' : 'none';
+}
+
+function createFacetGroup(facet, buckets, selected) {
+    const group = document.createElement('div');
+    group.className = 'facet-group';
+    group.dataset.facet = facet.key;
+
+    const header = document.createElement('div');
+    header.className = 'facet-header';
+    const title = document.createElement('span');
+    title.className = 'facet-title';
+    title.textContent = facet.title;
+    header.appendChild(title);
+
+    if (selected.length) {
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'facet-reset';
+        reset.textContent = 'Сбросить';
+        reset.addEventListener('click', () => {
+            setFilterValues(facet.key, []);
+            window.currentPage = 1;
+            fetchProducts();
+        });
+        header.appendChild(reset);
+    }
+    group.appendChild(header);
+
+    const list = document.createElement('ul');
+    list.className = 'facet-values';
+
+    const expanded = expandedFacets.has(facet.key);
+    buckets.forEach((bucket, index) => {
+        const isSelected = selected.includes(bucket.value);
+        if (!expanded && index >= COLLAPSED_LIMIT && !isSelected) return;
+        list.appendChild(createFacetValue(facet, bucket, isSelected));
+    });
+    group.appendChild(list);
+
+    if (buckets.length > COLLAPSED_LIMIT) {
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'facet-more';
+        toggle.textContent = expanded ? 'Свернуть' : `Показать все (${buckets.length})`;
+        toggle.addEventListener('click', () => {
+            if (expanded) {
+                expandedFacets.delete(facet.key);
+            } else {
+                expandedFacets.add(facet.key);
+            }
+            renderFacets(window.searchAggregations);
+        });
+        group.appendChild(toggle);
+    }
+
+    return group;
+}
+
+function createFacetValue(facet, bucket, isSelected) {
+    const item = document.createElement('li');
+    item.className = 'facet-value';
+    item.classList.toggle('empty', bucket.count === 0 && !isSelected);
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = isSelected;
+    checkbox.addEventListener('change', () => toggleFilterValue(facet.key, bucket.value));
+
+    const text = document.createElement('span');
+    text.className = 'facet-label';
+    text.textContent = bucket.label;
+
+    const count = document.createElement('span');
+    count.className = 'facet-count';
+    count.textContent = bucket.count;
+
+    label.appendChild(checkbox);
+    label.appendChild(text);
+    label.appendChild(count);
+    item.appendChild(label);
+    return item;
+}
+
+/**
+ * Привести агрегацию к списку { value, label, count }
+ * Поддерживаются terms/range агрегации OpenSearch (в том числе keyed)
+ */
+function getFacetBuckets(facet, aggregations) {
+    const name = facet.aggs.find(n => aggregations?.[n]);
+    if (!name) return [];
+
+    const agg = aggregations[name];
+    let buckets = agg.buckets ?? agg;
+    if (!Array.isArray(buckets)) {
+        buckets = Object.entries(buckets).map(([key, bucket]) => ({ key, ...bucket }));
+    }
+
+    return buckets
+        .map(bucket => {
+            const value = String(bucket.key_as_string ?? bucket.key ?? '');
+            return {
+                value,
+                label: facet.labels?.[value] || formatRangeLabel(bucket) || value,
+                count: bucket.doc_count ?? bucket.count ?? 0
+            };
+        })
+        .filter(bucket => bucket.value !== '' && bucket.count > 0);
+}
+
+function formatRangeLabel(bucket) {
+    const hasFrom = typeof bucket.from === 'number';
+    const hasTo = typeof bucket.to === 'number';
+    if (hasFrom && hasTo) return `${bucket.from} – ${bucket.to} руб.`;
+    if (hasFrom) return `от ${bucket.from} руб.`;
+    if (hasTo) return `до ${bucket.to} руб.`;
+    return null;
+}
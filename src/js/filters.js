@@ -2,15 +2,60 @@ import { fetchProducts } from "./utils.js";
 import { renderProductsTable } from "./renderProducts.js";
 
 export function filterByBrandOrSeries(key, value) {
-  // Если кликнули по уже выбранному значению - снимаем фильтр
-  if (window.appliedFilters[key] === value) {
-    delete window.appliedFilters[key];
-    sessionStorage.removeItem(key);
-  } else {
-    window.appliedFilters[key] = value;
-    sessionStorage.setItem(key, value);
-  }
-  fetchProducts();
+  // Клик по бренду/серии в строке работает так же, как выбор значения в фасете
+  toggleFilterValue(key, value);
+}
+
+/**
+ * Переключить значение в фильтре с множественным выбором (фасеты)
+ */
+export function toggleFilterValue(key, value) {
+    const values = getFilterValues(key);
+    const index = values.indexOf(value);
+
+    if (index >= 0) {
+        values.splice(index, 1);
+    } else {
+        values.push(value);
+    }
+
+    setFilterValues(key, values);
+    window.currentPage = 1;
+    fetchProducts();
+}
+
+/**
+ * Выбранные значения фильтра в виде массива
+ */
+export function getFilterValues(key) {
+    const value = window.appliedFilters[key];
+    if (Array.isArray(value)) return [...value];
+    return value ? [String(value)] : [];
+}
+
+export function setFilterValues(key, values) {
+    if (values.length) {
+        window.appliedFilters[key] = values;
+        sessionStorage.setItem(key, JSON.stringify(values));
+    } else {
+        delete window.appliedFilters[key];
+        sessionStorage.removeItem(key);
+    }
+}
+
+/**
+ * Разбор значения фильтра из sessionStorage (массивы хранятся в JSON)
+ */
+export function parseStoredFilter(raw) {
+    if (raw && raw.startsWith('[')) {
+        try {
+            const parsed = JSON.parse(raw);
+            if (Array.isArray(parsed)) return parsed;
+        } catch (e) {
+            // Не JSON - значит обычная строка
+        }
+    }
+    return raw;
 }
 
 export function applyFilters() {
@@ -44,10 +89,10 @@ export function renderAppliedFilters() {
     if (!container) return;
     container.innerHTML = '';
     Object.entries(window.appliedFilters).forEach(([key, value]) => {
-        if (value) {
+        if (Array.isArray(value) ? value.length : value) {
             const item = document.createElement('span');
             item.className = 'applied-filter';
-            item.textContent = `${key}: ${value}`;
+            item.textContent = `${key}: ${Array.isArray(value) ? value.join(', ') : value}`;
             container.appendChild(item);
         }
     });
@@ -0,0 +1,245 @@
+import { fetchProducts } from "./utils.js";
+import { getVisibleColumnCount } from "./columnManager.js";
+
+/**
+ * Режим «бесконечной ленты» для таблицы товаров
+ * Страницы догружаются при прокрутке, а в DOM находятся только видимые строки:
+ * остальные заменяются строками-распорками нужной высоты (виртуализация).
+ * Созданные строки кешируются, поэтому отметки и количество в них не теряются при прокрутке.
+ */
+
+const VIEW_MODE_KEY = 'catalogViewMode';
+const DEFAULT_ROW_HEIGHT = 64;
+// Запас строк сверху и снизу от видимой области
+const OVERSCAN = 10;
+// За сколько пикселей до конца списка начинаем грузить следующую страницу
+const LOAD_THRESHOLD = 800;
+
+const rowCache = new Map();
+let rowHeight = DEFAULT_ROW_HEIGHT;
+let renderedRange = { start: -1, end: -1 };
+let createRowFn = null;
+let loadingMore = false;
+let frameRequested = false;
+// Страница, с которой начата лента (после перехода из пагинации - не первая)
+let firstPage = 1;
+// Догруженная страница оказалась пустой - список на сервере короче, чем total
+let exhausted = false;
+
+export function getViewMode() {
+    return localStorage.getItem(VIEW_MODE_KEY) === 'infinite' ? 'infinite' : 'pages';
+}
+
+export function isInfiniteMode() {
+    return getViewMode() === 'infinite';
+}
+
+export function setViewMode(mode) {
+    localStorage.setItem(VIEW_MODE_KEY, mode === 'infinite' ? 'infinite' : 'pages');
+    document.querySelector('.product-table')?.classList.toggle('infinite-mode', isInfiniteMode());
+}
+
+/**
+ * Переключатель режима и обработчики прокрутки
+ */
+export function initInfiniteScroll() {
+    const table = document.querySelector('.product-table');
+    if (!table) return;
+
+    table.classList.toggle('infinite-mode', isInfiniteMode());
+
+    const select = document.getElementById('viewModeSelect');
+    if (select) {
+        select.value = getViewMode();
+        select.addEventListener('change', () => {
+            setViewMode(select.value);
+            window.currentPage = 1;
+            fetchProducts();
+        });
+    }
+
+    window.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+}
+
+/**
+ * Отрисовать видимую часть списка window.productsData
+ * reset - список заменен целиком (новый поиск), кеш строк сбрасывается
+ */
+export function renderVirtualRows(tbody, createRow, { reset = true } = {}) {
+    createRowFn = createRow;
+
+    if (reset) {
+        rowCache.clear();
+        renderedRange = { start: -1, end: -1 };
+        firstPage = window.currentPage || 1;
+        exhausted = false;
+        // Новый список показываем с начала, если таблица уже прокручена вниз
+        const top = tbody.getBoundingClientRect().top;
+        if (top < 0) window.scrollBy(0, top);
+    }
+
+    updateVisibleRows(tbody, true);
+}
+
+/**
+ * Строка товара: видимая или сохраненная в кеше виртуализации
+ */
+export function getCachedRow(productId) {
+    return rowCache.get(String(productId)) || null;
+}
+
+/**
+ * Все созданные строки ленты, включая убранные из DOM при прокрутке
+ */
+export function getCachedRows() {
+    return Array.from(rowCache.values());
+}
+
+/**
+ * Есть ли страницы после последней загруженной
+ * Считаем по номеру страницы, а не по длине списка: лента может начинаться не с первой страницы
+ */
+function hasMorePages() {
+    return !exhausted && window.currentPage * (window.itemsPerPage || 20) < window.totalProducts;
+}
+
+/**
+ * Догрузить следующую страницу в конец ленты
+ */
+export async function loadNextPage() {
+    if (loadingMore || !hasMorePages()) return;
+
+    loadingMore = true;
+    const page = window.currentPage + 1;
+    const countBefore = window.productsData.length;
+    window.currentPage = page;
+
+    let loaded = false;
+    try {
+        loaded = await fetchProducts({ append: true });
+        // Запрос мог быть заменен новым поиском, который сам выставил страницу
+        if (!loaded && window.currentPage === page) {
+            window.currentPage = page - 1;
+        }
+        // Пустая страница - дальше грузить нечего, даже если total говорит иначе
+        if (loaded && window.productsData.length === countBefore) {
+            exhausted = true;
+            window.currentPage = page - 1;
+            const tbody = document.querySelector('.product-table tbody');
+            if (tbody && createRowFn) updateVisibleRows(tbody, true);
+            return;
+        }
+    } finally {
+        loadingMore = false;
+    }
+
+    // Если страница не заполнила экран, продолжаем догрузку (после ошибки - только по прокрутке)
+    if (loaded) scheduleUpdate();
+}
+
+function scheduleUpdate() {
+    if (frameRequested || !isInfiniteMode()) return;
+    frameRequested = true;
+
+    window.requestAnimationFrame(() => {
+        frameRequested = false;
+        const tbody = document.querySelector('.product-table tbody');
+        if (tbody && createRowFn) updateVisibleRows(tbody, false);
+    });
+}
+
+function updateVisibleRows(tbody, force) {
+    const products = window.productsData;
+    const rect = tbody.getBoundingClientRect();
+
+    const first = Math.floor(Math.max(0, -rect.top) / rowHeight);
+    const visible = Math.ceil(window.innerHeight / rowHeight);
+    const start = Math.max(0, first - OVERSCAN);
+    const end = Math.min(products.length, first + visible + OVERSCAN);
+
+    if (force || start !== renderedRange.start || end !== renderedRange.end) {
+        renderedRange = { start, end };
+        renderRange(tbody, products, start, end);
+    }
+
+    const distanceToEnd = tbody.getBoundingClientRect().bottom - window.innerHeight;
+    if (distanceToEnd < LOAD_THRESHOLD) {
+        loadNextPage();
+    }
+}
+
+function renderRange(tbody, products, start, end) {
+    const columns = getVisibleColumnCount();
+    const fragment = document.createDocumentFragment();
+
+    fragment.appendChild(createSpacer(start * rowHeight, columns));
+
+    for (let i = start; i < end; i++) {
+        const product = products[i];
+        const key = String(product.product_id);
+        let row = rowCache.get(key);
+        if (!row) {
+            row = createRowFn(product);
+            rowCache.set(key, row);
+        }
+        fragment.appendChild(row);
+    }
+
+    fragment.appendChild(createSpacer((products.length - end) * rowHeight, columns));
+
+    if (hasMorePages()) {
+        fragment.appendChild(createLoaderRow(columns));
+    }
+
+    tbody.replaceChildren(fragment);
+    measureRowHeight(tbody);
+}
+
+/**
+ * Средняя высота отрисованных строк - по ней считаются распорки
+ */
+function measureRowHeight(tbody) {
+    const rows = tbody.querySelectorAll('tr[data-product-id]');
+    if (!rows.length) return;
+
+    let total = 0;
+    rows.forEach(row => {
+        total += row.offsetHeight;
+    });
+    const average = total / rows.length;
+    if (average > 0) rowHeight = average;
+}
+
+function createSpacer(height, columns) {
+    const row = document.createElement('tr');
+    row.className = 'virtual-spacer';
+    row.setAttribute('aria-hidden', 'true');
+    const cell = document.createElement('td');
+    cell.colSpan = columns;
+    cell.style.height = `${Math.round(height)}px`;
+    row.appendChild(cell);
+    return row;
+}
+
+/**
+ * Строка в конце ленты; кнопка - запасной вариант без прокрутки (клавиатура, скринридер)
+ */
+function createLoaderRow(columns) {
+    const row = document.createElement('tr');
+    row.className = 'infinite-loader';
+    const cell = document.createElement('td');
+    cell.colSpan = columns;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'infinite-load-more';
+    const from = (firstPage - 1) * (window.itemsPerPage || 20) + 1;
+    const to = from + window.productsData.length - 1;
+    button.textContent = `Показать еще (показаны ${from}–${to} из ${window.totalProducts})`;
+    button.addEventListener('click', () => loadNextPage());
+
+    cell.appendChild(button);
+    row.appendChild(cell);
+    return row;
+}
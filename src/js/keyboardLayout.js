@@ -0,0 +1,187 @@
+/**
+ * Исправление раскладки клавиатуры и транслитерация поисковых запросов
+ * Пример: "fdnjvfn" -> "автомат", "ыгзук" -> "super", "avtomat" -> "автомат"
+ * Серверный аналог - char filter ru_en_keyboard_mapping в индексе OpenSearch
+ */
+
+// Стандартные раскладки ЙЦУКЕН / QWERTY: символы на одних и тех же клавишах
+const EN_KEYS = "`qwertyuiop[]asdfghjkl;'zxcvbnm,./" + '~QWERTYUIOP{}ASDFGHJKL:"ZXCVBNM<>?';
+const RU_KEYS = 'ёйцукенгшщзхъфывапролджэячсмитьбю.' + 'ЁЙЦУКЕНГШЩЗХЪФЫВАПРОЛДЖЭЯЧСМИТЬБЮ,';
+
+const EN_TO_RU = {};
+const RU_TO_EN = {};
+for (let i = 0; i < EN_KEYS.length; i++) {
+    EN_TO_RU[EN_KEYS[i]] = RU_KEYS[i];
+    RU_TO_EN[RU_KEYS[i]] = EN_KEYS[i];
+}
+
+const RU_TRANSLIT = {
+    а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i',
+    й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+    у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '',
+    э: 'e', ю: 'yu', я: 'ya'
+};
+
+// Сначала длинные сочетания, чтобы "shch" не разобрался как "s" + "h" + ...
+const LAT_TRANSLIT = [
+    ['shch', 'щ'], ['sch', 'щ'], ['yo', 'ё'], ['zh', 'ж'], ['kh', 'х'], ['ts', 'ц'],
+    ['ch', 'ч'], ['sh', 'ш'], ['yu', 'ю'], ['ya', 'я'], ['ye', 'е'],
+    ['a', 'а'], ['b', 'б'], ['c', 'ц'], ['d', 'д'], ['e', 'е'], ['f', 'ф'], ['g', 'г'],
+    ['h', 'х'], ['i', 'и'], ['j', 'й'], ['k', 'к'], ['l', 'л'], ['m', 'м'], ['n', 'н'],
+    ['o', 'о'], ['p', 'п'], ['q', 'к'], ['r', 'р'], ['s', 'с'], ['t', 'т'], ['u', 'у'],
+    ['v', 'в'], ['w', 'в'], ['x', 'кс'], ['y', 'ы'], ['z', 'з']
+];
+
+const HAS_CYRILLIC = /[а-яё]/i;
+const HAS_LATIN = /[a-z]/i;
+
+/**
+ * Определить раскладку текста: 'ru', 'en', 'mixed' или null (нет букв)
+ */
+export function detectLayout(text) {
+    const ru = HAS_CYRILLIC.test(text);
+    const en = HAS_LATIN.test(text);
+    if (ru && en) return 'mixed';
+    if (ru) return 'ru';
+    if (en) return 'en';
+    return null;
+}
+
+/**
+ * Перевести текст, набранный не в той раскладке
+ * Латиница -> кириллица и наоборот; для смешанного текста возвращает null
+ */
+export function switchLayout(text) {
+    const layout = detectLayout(text);
+    if (layout !== 'en' && layout !== 'ru') return null;
+
+    const map = layout === 'en' ? EN_TO_RU : RU_TO_EN;
+    return Array.from(text, char => map[char] ?? char).join('');
+}
+
+/**
+ * Транслитерация: кириллица -> латиница и латиница -> кириллица
+ */
+export function transliterate(text) {
+    const layout = detectLayout(text);
+    const lower = text.toLowerCase();
+
+    if (layout === 'ru') {
+        return Array.from(lower, char => RU_TRANSLIT[char] ?? char).join('');
+    }
+
+    if (layout === 'en') {
+        let result = '';
+        let i = 0;
+        while (i < lower.length) {
+            const pair = LAT_TRANSLIT.find(([lat]) => lower.startsWith(lat, i));
+            if (pair) {
+                result += pair[1];
+                i += pair[0].length;
+            } else {
+                result += lower[i];
+                i++;
+            }
+        }
+        return result;
+    }
+
+    return null;
+}
+
+/**
+ * Все варианты запроса: исходный, с исправленной раскладкой и транслитерированный
+ */
+export function getQueryVariants(query) {
+    const normalized = String(query ?? '').trim().toLowerCase();
+    if (!normalized) return [];
+
+    const variants = [normalized, switchLayout(normalized), transliterate(normalized)]
+        .filter(Boolean)
+        .map(v => v.toLowerCase());
+
+    return [...new Set(variants)];
+}
+
+/**
+ * Совпадает ли текст с запросом с учетом раскладки и транслитерации
+ */
+export function matchesQuery(text, query) {
+    const haystack = String(text ?? '').toLowerCase();
+    return getQueryVariants(query).some(variant => haystack.includes(variant));
+}
+
+/**
+ * Вариант запроса для подсказки «Возможно, вы имели в виду»
+ * Текст, который не читается в своей раскладке ("fdnjvfn", "ыгзук"), - исправление раскладки;
+ * читаемая латиница из русских слогов ("avtomat") - транслитерация.
+ * Для нормального запроса ("автомат", "wireless") подсказки нет
+ */
+export function getCorrectedQuery(query) {
+    const normalized = String(query ?? '').trim();
+    if (normalized.length < 2) return null;
+
+    const layout = detectLayout(normalized);
+    if (layout !== 'en' && layout !== 'ru') return null;
+
+    let candidate = null;
+    if (!looksLikeText(normalized, layout)) {
+        const switched = switchLayout(normalized);
+        if (looksLikeText(switched, layout === 'en' ? 'ru' : 'en')) candidate = switched;
+    } else if (layout === 'en' && looksLikeRussianTranslit(normalized)) {
+        const translit = transliterate(normalized);
+        if (looksLikeText(translit, 'ru')) candidate = translit;
+    }
+
+    return candidate && candidate.toLowerCase() !== normalized.toLowerCase() ? candidate : null;
+}
+
+const VOWELS = { ru: 'аеёиоуыэюя', en: 'aeiouy' };
+// Клавиши знаков препинания, на которых в другой раскладке буквы (ж -> ;, б -> ,, х -> [)
+const LAYOUT_PUNCTUATION = /[a-zа-яё][;:'"`~\[\]{}<>,][a-zа-яё]/i;
+// Буквы, которых нет в транслитерации русских слов вне сочетаний (ch, sh, ts...)
+const NON_TRANSLIT_LETTERS = /[cqwx]/;
+
+/**
+ * Похож ли текст на слова языка: есть гласные, нет длинных цепочек согласных,
+ * знаков препинания внутри слов и русских слов, начинающихся с ь, ъ или ы
+ */
+function looksLikeText(text, layout) {
+    if (!text || LAYOUT_PUNCTUATION.test(text)) return false;
+
+    const lower = text.toLowerCase();
+    const words = lower.match(layout === 'ru' ? /[а-яё]+/g : /[a-z]+/g) || [];
+    if (!words.length) return false;
+
+    return words.every(word => {
+        if (layout === 'ru' && /^[ьъы]/.test(word)) return false;
+        if (word.length < 3) return true;
+
+        let vowels = 0;
+        let consonantRun = 0;
+        for (const char of word) {
+            if (VOWELS[layout].includes(char)) {
+                vowels++;
+                consonantRun = 0;
+            } else if (++consonantRun > 4) {
+                return false;
+            }
+        }
+        return vowels / word.length >= 0.2;
+    });
+}
+
+/**
+ * Латиница, которую можно прочитать как транслит русских слов
+ */
+function looksLikeRussianTranslit(text) {
+    // Аббревиатуры и артикулы (ABB, S201) не транслитерируем
+    if (text === text.toUpperCase() || /\d/.test(text)) return false;
+
+    const lower = text.toLowerCase();
+    const withoutDigraphs = LAT_TRANSLIT
+        .filter(([lat]) => lat.length > 1)
+        .reduce((result, [lat]) => result.split(lat).join(' '), lower);
+
+    return !NON_TRANSLIT_LETTERS.test(withoutDigraphs);
+}
\ No newline at end of file
@@ -0,0 +1,223 @@
+import { showToast, pluralize } from "./utils.js";
+import { availabilityService } from "./availability.js";
+import { cartStore } from "./services/CartStore.js";
+
+/**
+ * Живое обновление наличия товаров на экране (каталог и корзина)
+ * По умолчанию - опрос /api/availability?fresh=1 раз в POLL_INTERVAL. Поток /api/availability/stream
+ * (Server-Sent Events) включается настройкой app.availability_stream (window.AVAILABILITY_STREAM).
+ * Ячейки, где изменились остаток или срок поставки, ненадолго подсвечиваются;
+ * если закончился товар из корзины - показываем предупреждение
+ */
+
+const STREAM_URL = '/api/availability/stream';
+const POLL_INTERVAL = 60 * 1000;
+const RESTART_DELAY = 1000;
+// Поток переоткрывается для нового списка товаров не чаще, чем раз в STREAM_RESTART_DELAY
+// (строки меняются при каждой остановке прокрутки ленты)
+const STREAM_RESTART_DELAY = 10 * 1000;
+const HIGHLIGHT_DURATION = 3000;
+// Как ApiController::STREAM_MAX_PRODUCTS
+const MAX_PRODUCTS = 500;
+// Переподключений подряд без успешного открытия потока, после которых переходим на опрос
+const MAX_STREAM_ERRORS = 3;
+
+const CELL_SELECTOR = '.col-availability, .col-delivery-date, .availability-cell, .delivery-date-cell';
+
+let source = null;
+let pollTimer = null;
+let restartTimer = null;
+let streamErrors = 0;
+let useStream = window.AVAILABILITY_STREAM === true && typeof EventSource !== 'undefined';
+// Что отслеживается сейчас: город и список товаров
+let watched = { cityId: null, key: '', ids: [] };
+// Таймеры снятия подсветки по ячейкам
+const highlightTimers = new WeakMap();
+
+export function initLiveAvailability() {
+    const containers = document.querySelectorAll('.product-table tbody, .cart-container');
+    if (!containers.length) return;
+
+    // Строки таблицы меняются при листании, фильтрах и прокрутке ленты.
+    // При опросе список товаров берется заново на каждом шаге, перезапуск нужен только потоку
+    const observer = new MutationObserver(() => scheduleRestart(STREAM_RESTART_DELAY));
+    containers.forEach(container => observer.observe(container, { childList: true, subtree: true }));
+
+    cartStore.subscribe(() => scheduleRestart(STREAM_RESTART_DELAY));
+    document.getElementById('citySelect')?.addEventListener('change', () => scheduleRestart());
+
+    // В фоновой вкладке соединение не держим
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            stopLiveAvailability();
+        } else {
+            startLiveAvailability();
+        }
+    });
+    window.addEventListener('pagehide', () => stopLiveAvailability());
+
+    scheduleRestart();
+}
+
+export function startLiveAvailability() {
+    if (!useStream) {
+        if (!pollTimer) pollTimer = setInterval(poll, POLL_INTERVAL);
+        return;
+    }
+
+    const ids = getWatchedIds();
+    const cityId = String(availabilityService.getCurrentCityId());
+    const key = ids.join(',');
+
+    if (source && watched.cityId === cityId && watched.key === key) return;
+
+    stopLiveAvailability();
+    if (!ids.length) return;
+
+    watched = { cityId, key, ids };
+    openStream();
+}
+
+export function stopLiveAvailability() {
+    clearTimeout(restartTimer);
+    source?.close();
+    source = null;
+    clearInterval(pollTimer);
+    pollTimer = null;
+}
+
+function scheduleRestart(delay = RESTART_DELAY) {
+    if (!useStream && pollTimer) return;
+
+    clearTimeout(restartTimer);
+    restartTimer = setTimeout(() => {
+        if (!document.hidden) startLiveAvailability();
+    }, delay);
+}
+
+/**
+ * Товары в строках на экране и в корзине (для предупреждения о закончившихся)
+ */
+function getWatchedIds() {
+    const ids = new Set();
+    document.querySelectorAll('.product-table tbody tr[data-product-id], .cart-container tr[data-product-id]')
+        .forEach(row => ids.add(String(row.dataset.productId)));
+    Object.keys(cartStore.get()).forEach(id => ids.add(String(id)));
+
+    return [...ids].sort((a, b) => a - b).slice(0, MAX_PRODUCTS);
+}
+
+/* ---------- Каналы ---------- */
+
+function openStream() {
+    const { cityId, ids } = watched;
+    const params = new URLSearchParams({ city_id: cityId, product_ids: ids.join(',') });
+    const stream = new EventSource(`${STREAM_URL}?${params}`);
+    source = stream;
+
+    stream.addEventListener('open', () => {
+        streamErrors = 0;
+    });
+
+    stream.addEventListener('availability', (e) => {
+        if (source !== stream) return;
+        try {
+            const payload = JSON.parse(e.data);
+            applyUpdate(payload.data || {}, String(payload.city_id));
+        } catch (error) {
+            console.error('Ошибка разбора обновления наличия:', error);
+        }
+    });
+
+    // Сервер не смог прочитать наличие и закрыл поток
+    stream.addEventListener('stream-error', () => {
+        if (source === stream) switchToPolling();
+    });
+
+    // Сервер закрывает поток по таймеру - браузер переподключается сам.
+    // Поток закрыт окончательно (ответ не text/event-stream) или не открывается - переходим на опрос
+    stream.addEventListener('error', () => {
+        if (source !== stream) return;
+        streamErrors++;
+        if (stream.readyState === EventSource.CLOSED || streamErrors >= MAX_STREAM_ERRORS) {
+            switchToPolling();
+        }
+    });
+}
+
+function switchToPolling() {
+    useStream = false;
+    stopLiveAvailability();
+    pollTimer = setInterval(poll, POLL_INTERVAL);
+}
+
+async function poll() {
+    const ids = getWatchedIds();
+    const cityId = String(availabilityService.getCurrentCityId());
+    if (!ids.length) return;
+
+    // fetchBatched сразу обновляет кеш, поэтому прежние значения берем до запроса
+    const previous = getPrevious(ids, cityId);
+    const data = await availabilityService.fetchBatched(ids, cityId, true);
+    applyUpdate(data, cityId, previous);
+}
+
+/* ---------- Применение изменений ---------- */
+
+function getPrevious(ids, cityId) {
+    return new Map(ids.map(id => [String(id), availabilityService.peekCache(id, cityId)]));
+}
+
+function applyUpdate(data, cityId, previous = getPrevious(Object.keys(data), cityId)) {
+    // Ответ для города, который уже сменили
+    if (cityId !== String(availabilityService.getCurrentCityId())) return;
+
+    const changed = [];
+    const soldOut = [];
+    const cart = cartStore.get();
+
+    Object.entries(data).forEach(([productId, info]) => {
+        const before = previous.get(String(productId));
+        if (!before || !isChanged(before, info)) return;
+
+        changed.push(productId);
+        if (before.quantity > 0 && !(info.quantity > 0) && cart[productId]) {
+            soldOut.push(productId);
+        }
+        // Товар снова появился - снимаем отметку в корзине
+        if (info.quantity > 0) markSoldOut(productId, false);
+    });
+
+    availabilityService.saveToCache(data, cityId);
+    availabilityService.updateUI(data);
+    changed.forEach(highlight);
+
+    if (soldOut.length) {
+        soldOut.forEach(productId => markSoldOut(productId, true));
+        showToast(`Закончились товары из корзины: ${soldOut.length} ${pluralize(soldOut.length, ['позиция', 'позиции', 'позиций'])}. Проверьте сроки поставки`, true);
+    }
+}
+
+function isChanged(before, after) {
+    return Number(before.quantity) !== Number(after.quantity)
+        || (before.delivery_date || null) !== (after.delivery_date || null)
+        || (before.delivery_text || '') !== (after.delivery_text || '');
+}
+
+function markSoldOut(productId, soldOut) {
+    document.querySelectorAll(`.cart-container tr[data-product-id="${productId}"]`)
+        .forEach(row => row.classList.toggle('cart-item-sold-out', soldOut));
+}
+
+function highlight(productId) {
+    document.querySelectorAll(`tr[data-product-id="${productId}"]`).forEach(row => {
+        row.querySelectorAll(CELL_SELECTOR).forEach(cell => {
+            // Снимаем и ставим класс заново, чтобы анимация повторилась при частых изменениях
+            cell.classList.remove('availability-changed');
+            void cell.offsetWidth;
+            cell.classList.add('availability-changed');
+            clearTimeout(highlightTimers.get(cell));
+            highlightTimers.set(cell, setTimeout(() => cell.classList.remove('availability-changed'), HIGHLIGHT_DURATION));
+        });
+    });
+}
\ No newline at end of file
@@ -1,32 +1,52 @@
 import "../css/main.css";
 
 import { loadPage, changeItemsPerPage, changePage, handlePageInputKeydown } from './pagination.js';
-import { filterByBrandOrSeries, applyFilters, clearAllFilters } from './filters.js';
+import { filterByBrandOrSeries, applyFilters, clearAllFilters, getFilterValues, setFilterValues } from './filters.js';
 import { sortProducts } from './sort.js';
-import { loadAvailability } from './availability.js';
-import { addToCart, clearCart, removeFromCart, fetchCart } from './cart.js';
-import { showToast, fetchProducts } from './utils.js';
-import { renderProductsTable, copyText } from './renderProducts.js';
+import { loadAvailability, availabilityService } from './availability.js';
+import { initCityAvailability } from './cityAvailability.js';
+import { initLiveAvailability } from './liveAvailability.js';
+import { addToCart, clearCart, removeFromCart, fetchCart, initCartUI } from './cart.js';
+import { showToast, fetchProducts, createSupersedingRequest } from './utils.js';
+import { renderProductsTable, copyText, getProductRows, updateCartIndicators } from './renderProducts.js';
 import { createSpecification } from './specification.js';
+import { restoreCatalogState, initCatalogHistory, buildCatalogUrl } from './catalogState.js';
+import { SearchCombobox, highlightText } from './components/SearchCombobox.js';
+import { registerServiceWorker, initOfflineMode } from './offline.js';
+import { initInfiniteScroll } from './infiniteScroll.js';
+import { initColumnManager } from './columnManager.js';
+import { initBulkActions } from './bulkActions.js';
+import { initQuickOrder } from './quickOrder.js';
+import { correctQuantityInput } from './quantityRules.js';
+import { initMiniCart } from './miniCart.js';
+import { initTabSync } from './tabSync.js';
+import { initCartTransfer } from './cartTransfer.js';
+import { initSavedCarts } from './savedCarts.js';
+import { initSpecificationExport } from './specificationExport.js';
+import { initSpecificationReorder } from './specificationReorder.js';
+import { initSpecificationsList } from './specificationsList.js';
+import { initSession } from './session.js';
 // ИЗМЕНЕНИЕ: Импортируем productService вместо smartSearch
 import { productService } from './services/ProductService.js';
+import { searchHistoryService } from './services/SearchHistoryService.js';
+import { cartStore } from './services/CartStore.js';
 
 // Инициализация глобальных переменных
-window.itemsPerPage = parseInt(sessionStorage.getItem('itemsPerPage') || '20', 10);
 window.currentPage = 1;
 window.productsData = [];
 window.totalProducts = 0;
-window.sortColumn = sessionStorage.getItem('sortColumn') || 'name';
-window.sortDirection = sessionStorage.getItem('sortDirection') || 'asc';
 window.appliedFilters = {};
-window.cart = {};
+window.searchAggregations = {};
 
-// Восстановление фильтров из sessionStorage
-Object.keys(sessionStorage).forEach(key => {
-    if (!['itemsPerPage', 'sortColumn', 'sortDirection'].includes(key)) {
-        window.appliedFilters[key] = sessionStorage.getItem(key);
-    }
-});
+// Данные прошлого пользователя удаляем до первых запросов к кешу
+initSession();
+
+// Состояние каталога (поиск, фильтры, сортировка, страница) берем из URL,
+// sessionStorage - запасной вариант
+restoreCatalogState();
+
+// Офлайн-режим: app shell и сохраненные ответы поиска/наличия
+registerServiceWorker();
 
 // Экспорт функций в window для обратной совместимости
 window.renderProductsTable = renderProductsTable;
@@ -41,16 +61,20 @@ window.filterByBrandOrSeries = filterByBrandOrSeries;
 window.fetchProducts = fetchProducts;
 window.sortProducts = sortProducts;
 window.loadPage = loadPage;
+// Статистика клиентского кеша для диагностики: window.getProductCacheStats()
+window.getProductCacheStats = () => productService.getCacheStats();
 
 // НОВОЕ: Класс для управления поиском и автодополнением
 class SearchManager {
     constructor() {
         this.searchInput = null;
         this.globalSearchInput = null;
-        this.autocompleteContainer = null;
+        this.combobox = null;
         this.searchTimeout = null;
-        this.selectedIndex = -1;
-        this.isSearching = false;
+        // В списке показана история поиска (пустое поле), а не подсказки
+        this.historyMode = false;
+        // Новый запрос автодополнения отменяет предыдущий
+        this.autocompleteRequest = createSupersedingRequest();
     }
 
     init() {
@@ -68,16 +92,31 @@ class SearchManager {
     }
 
     setupSearch(input) {
-        // Создаем контейнер для автодополнения
-        this.createAutocompleteContainer(input);
+        // Виджет подсказок (ARIA combobox): клавиатура, фокус и разметка
+        this.combobox = new SearchCombobox(input, {
+            label: 'Подсказки поиска по каталогу',
+            renderOption: (suggestion, query) => this.renderSuggestion(suggestion, query),
+            onSelect: (suggestion) => this.selectSuggestion(suggestion),
+            onAction: (action, suggestion) => this.handleHistoryAction(action, suggestion),
+            onSubmit: () => {
+                this.cancelPendingSearch();
+                window.currentPage = 1;
+                window.fetchProducts();
+            }
+        });
 
         // Обработчики событий
         input.addEventListener('input', (e) => this.handleSearchInput(e));
         input.addEventListener('focus', () => this.handleFocus());
-        input.addEventListener('blur', () => {
-            setTimeout(() => this.hideAutocomplete(), 200);
+        input.addEventListener('keydown', (e) => this.handleHistoryKeydown(e));
+
+        // История изменилась (действие в панели или синхронизация с сервером) - перерисовываем панель
+        searchHistoryService.subscribe(() => {
+            if (this.historyMode && this.combobox.isOpen()) {
+                this.showHistory();
+            }
         });
-        input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        searchHistoryService.sync();
 
         // Восстанавливаем значение из фильтров
         if (window.appliedFilters.search) {
@@ -86,36 +125,32 @@ class SearchManager {
     }
 
     setupGlobalSearch(input) {
-        // Для глобального поиска - переход на страницу каталога
+        // Для глобального поиска - переход на страницу каталога,
+        // а на самой странице каталога - поиск без перезагрузки через тот же URL-механизм
         input.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter' && input.value.trim()) {
-                window.location.href = `/shop?search=${encodeURIComponent(input.value.trim())}`;
+            const query = input.value.trim();
+            if (e.key !== 'Enter' || !query) return;
+
+            if (this.searchInput) {
+                this.searchInput.value = query;
+                window.appliedFilters.search = query;
+                sessionStorage.setItem('search', query);
+                window.currentPage = 1;
+                window.fetchProducts();
+            } else {
+                window.location.href = buildCatalogUrl(query);
             }
         });
     }
 
-    createAutocompleteContainer(input) {
-        this.autocompleteContainer = document.createElement('div');
-        this.autocompleteContainer.className = 'search-autocomplete';
-        this.autocompleteContainer.style.cssText = `
-            position: absolute;
-            top: 100%;
-            left: 0;
-            right: 0;
-            background: white;
-            border: 1px solid #ddd;
-            border-top: none;
-            border-radius: 0 0 4px 4px;
-            max-height: 400px;
-            overflow-y: auto;
-            display: none;
-            z-index: 1000;
-            box-shadow: 0 4px 6px rgba(0,0,0,0.1);
-        `;
-
-        const parent = input.parentElement;
-        parent.style.position = 'relative';
-        parent.appendChild(this.autocompleteContainer);
+    /**
+     * Синхронизировать поле поиска с состоянием (после навигации по истории)
+     */
+    syncInputWithState() {
+        if (this.searchInput) {
+            this.searchInput.value = window.appliedFilters.search || '';
+            this.hideAutocomplete();
+        }
     }
 
     async handleSearchInput(event) {
@@ -130,92 +165,243 @@ class SearchManager {
             sessionStorage.removeItem('search');
         }
 
-        // Отменяем предыдущий поиск
+        // Отменяем предыдущий поиск и планируем новый с дебаунсом
         clearTimeout(this.searchTimeout);
-        
-        // Автодополнение
-        if (query.length >= 2 && !this.isSearching) {
-            this.isSearching = true;
-            try {
-                const result = await productService.autocomplete(query);
-                if (result.success) {
-                    this.showAutocomplete(result.suggestions);
-                }
-            } catch (error) {
-                console.error('Autocomplete error:', error);
-            } finally {
-                this.isSearching = false;
-            }
-        } else if (query.length < 2) {
-            this.hideAutocomplete();
-        }
-
-        // Основной поиск с дебаунсом
         this.searchTimeout = setTimeout(() => {
             window.currentPage = 1;
             window.fetchProducts();
         }, 300);
+        
+        // Начали ввод - панель истории больше не актуальна
+        if (query && this.historyMode) {
+            this.historyMode = false;
+            this.combobox.setOptions([]);
+        }
+
+        // Автодополнение: каждый ввод заменяет незавершенный запрос
+        if (query.length < 2) {
+            this.autocompleteRequest.cancel();
+            if (query) {
+                this.hideAutocomplete();
+            } else {
+                this.showHistory();
+            }
+            return;
+        }
+        
+        const signal = this.autocompleteRequest.start();
+        try {
+            const result = await productService.autocomplete(query, 10, { signal });
+            if (this.autocompleteRequest.isLatest(signal) && result.success) {
+                this.showAutocomplete(result.suggestions);
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Autocomplete error:', error);
+            }
+        }
     }
 
     showAutocomplete(suggestions) {
-        if (!suggestions || suggestions.length === 0) {
-            this.hideAutocomplete();
+        this.historyMode = false;
+        this.combobox.setOptions(suggestions, this.searchInput.value.trim());
+        this.loadPreviewAvailability();
+    }
+
+    /**
+     * Панель истории поиска: закрепленные запросы сверху, в конце - очистка истории
+     */
+    showHistory() {
+        const entries = searchHistoryService.getEntries();
+        this.historyMode = true;
+
+        if (!entries.length) {
+            this.combobox.setOptions([]);
             return;
         }
 
-        this.autocompleteContainer.innerHTML = '';
-        this.selectedIndex = -1;
-
-        suggestions.forEach((suggestion, index) => {
-            const item = document.createElement('div');
-            item.className = 'autocomplete-item';
-            item.dataset.index = index;
-            item.dataset.text = suggestion.text;
-            item.style.cssText = `
-                padding: 10px 15px;
-                cursor: pointer;
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-                transition: background-color 0.2s;
-            `;
-            
-            // Подсветка совпадений
-            const highlightedText = this.highlightQuery(suggestion.text, this.searchInput.value);
-            
-            item.innerHTML = `
-                <span>${highlightedText}</span>
-                <span style="font-size: 0.85em; color: #666; margin-left: 10px;">
-                    ${this.getTypeLabel(suggestion.type)}
-                </span>
-            `;
-
-            // Hover эффект
-            item.addEventListener('mouseenter', () => {
-                item.style.backgroundColor = '#f5f5f5';
-            });
-            item.addEventListener('mouseleave', () => {
-                item.style.backgroundColor = '';
-            });
+        const options = entries.map(entry => ({
+            text: entry.query,
+            type: 'history',
+            pinned: entry.pinned
+        }));
+        options.push({ type: 'history-clear', text: 'Очистить историю поиска' });
 
-            // Клик по подсказке
-            item.addEventListener('click', () => {
-                this.selectAutocompleteItem(item);
-            });
+        this.combobox.setOptions(options, '');
+    }
 
-            this.autocompleteContainer.appendChild(item);
-        });
+    /**
+     * Удаление и закрепление запроса из панели истории
+     */
+    handleHistoryAction(action, suggestion) {
+        if (suggestion?.type !== 'history') return;
+
+        try {
+            if (action === 'remove') {
+                searchHistoryService.remove(suggestion.text);
+                this.combobox.announce(`Запрос «${suggestion.text}» удален из истории`);
+            } else if (action === 'pin') {
+                const pinned = searchHistoryService.togglePin(suggestion.text);
+                this.combobox.announce(`Запрос «${suggestion.text}» ${pinned ? 'закреплен' : 'откреплен'}`);
+            }
+        } catch (error) {
+            showToast(error.message, true);
+        }
+    }
+
+    /**
+     * Delete на выбранном запросе истории удаляет его с клавиатуры
+     */
+    handleHistoryKeydown(event) {
+        if (event.key !== 'Delete' || !this.historyMode) return;
+
+        const suggestion = this.combobox.getActiveOption();
+        if (suggestion?.type !== 'history') return;
 
-        this.autocompleteContainer.style.display = 'block';
+        event.preventDefault();
+        const index = this.combobox.activeIndex;
+        this.handleHistoryAction('remove', suggestion);
+        // Оставляем выделение на соседнем запросе (последний пункт - очистка истории)
+        this.combobox.setActive(Math.min(index, this.combobox.options.length - 2));
     }
 
-    highlightQuery(text, query) {
-        const regex = new RegExp(`(${this.escapeRegex(query)})`, 'gi');
-        return text.replace(regex, '<strong>$1</strong>');
+    /**
+     * Содержимое пункта подсказки; весь текст вставляется через textContent
+     */
+    renderSuggestion(suggestion, query) {
+        if (this.historyMode && suggestion.type === 'history') {
+            return this.renderHistoryEntry(suggestion);
+        }
+
+        if (suggestion.type === 'history-clear') {
+            const clear = document.createElement('span');
+            clear.className = 'autocomplete-history-clear';
+            clear.textContent = suggestion.text;
+            return clear;
+        }
+
+        // Для товаров - превью с фото, артикулом, ценой и наличием
+        if (suggestion.type === 'product' && suggestion.external_id) {
+            return this.renderProductPreview(suggestion, query);
+        }
+
+        return this.combobox.renderDefaultOption({
+            text: suggestion.text,
+            typeLabel: this.getTypeLabel(suggestion.type)
+        }, query);
+    }
+
+    /**
+     * Запрос из истории с кнопками «закрепить» и «удалить»
+     * Кнопки не фокусируются: фокус остается в поле, с клавиатуры удаление - клавишей Delete
+     */
+    renderHistoryEntry(suggestion) {
+        const entry = document.createElement('div');
+        entry.className = 'autocomplete-history';
+        entry.classList.toggle('pinned', suggestion.pinned);
+
+        const text = document.createElement('span');
+        text.className = 'autocomplete-text';
+        text.textContent = suggestion.text;
+
+        const actions = document.createElement('span');
+        actions.className = 'history-actions';
+
+        const pin = document.createElement('button');
+        pin.type = 'button';
+        pin.tabIndex = -1;
+        pin.className = 'history-action history-pin';
+        pin.dataset.action = 'pin';
+        pin.textContent = suggestion.pinned ? '★' : '☆';
+        pin.title = suggestion.pinned ? 'Открепить' : 'Закрепить';
+        pin.setAttribute('aria-label', pin.title);
+        pin.setAttribute('aria-pressed', String(Boolean(suggestion.pinned)));
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.tabIndex = -1;
+        remove.className = 'history-action history-remove';
+        remove.dataset.action = 'remove';
+        remove.textContent = '×';
+        remove.title = 'Удалить из истории';
+        remove.setAttribute('aria-label', remove.title);
+
+        actions.appendChild(pin);
+        actions.appendChild(remove);
+        entry.appendChild(text);
+        entry.appendChild(actions);
+        return entry;
+    }
+
+    /**
+     * Превью товара в подсказке: миниатюра, название, артикул, цена и наличие
+     */
+    renderProductPreview(suggestion, query) {
+        const preview = document.createElement('div');
+        preview.className = 'autocomplete-product';
+        if (suggestion.product_id) {
+            preview.dataset.productId = suggestion.product_id;
+        }
+
+        const thumb = document.createElement('img');
+        thumb.className = 'autocomplete-thumb';
+        thumb.src = suggestion.image || '/images/placeholder.jpg';
+        thumb.alt = '';
+        thumb.loading = 'lazy';
+
+        const info = document.createElement('div');
+        info.className = 'autocomplete-info';
+        const name = document.createElement('div');
+        name.className = 'autocomplete-name';
+        name.appendChild(highlightText(suggestion.text, query));
+        const meta = document.createElement('div');
+        meta.className = 'autocomplete-meta';
+        meta.textContent = [suggestion.external_id, suggestion.brand_name].filter(Boolean).join(' · ');
+        info.appendChild(name);
+        info.appendChild(meta);
+
+        const stock = document.createElement('div');
+        stock.className = 'autocomplete-stock';
+        const price = document.createElement('span');
+        price.className = 'autocomplete-price';
+        price.textContent = '…';
+        const quantity = document.createElement('span');
+        quantity.className = 'autocomplete-quantity';
+        stock.appendChild(price);
+        stock.appendChild(quantity);
+
+        preview.appendChild(thumb);
+        preview.appendChild(info);
+        preview.appendChild(stock);
+        return preview;
     }
 
-    escapeRegex(str) {
-        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    /**
+     * Цена и наличие для текущего города у товарных подсказок
+     */
+    async loadPreviewAvailability() {
+        const previews = Array.from(this.combobox.listbox.querySelectorAll('.autocomplete-product[data-product-id]'));
+        if (!previews.length) return;
+
+        try {
+            const data = await availabilityService.getAvailability(previews.map(el => el.dataset.productId));
+            previews.forEach(preview => {
+                // Список мог смениться, пока шел запрос
+                if (!preview.isConnected) return;
+                const info = data[preview.dataset.productId];
+                const price = preview.querySelector('.autocomplete-price');
+                const quantity = preview.querySelector('.autocomplete-quantity');
+                if (!info) {
+                    price.textContent = '';
+                    return;
+                }
+                price.textContent = info.price ? `${Number(info.price).toFixed(2)} руб.` : 'Нет цены';
+                quantity.textContent = info.quantity > 0 ? `${info.quantity} шт.` : (info.delivery_text || 'Под заказ');
+                quantity.classList.toggle('in-stock', info.quantity > 0);
+            });
+        } catch (error) {
+            console.warn('Preview availability error:', error);
+        }
     }
 
     getTypeLabel(type) {
@@ -223,83 +409,69 @@ class SearchManager {
             product: 'Товар',
             code: 'Артикул',
             brand: 'Бренд',
-            category: 'Категория'
+            category: 'Категория',
+            history: 'История'
         };
         return labels[type] || '';
     }
 
-    selectAutocompleteItem(item) {
-        const text = item.dataset.text;
-        const externalId = item.dataset.externalId;
+    selectSuggestion(suggestion) {
+        if (suggestion.type === 'history-clear') {
+            searchHistoryService.clear();
+            showToast('История поиска очищена');
+            return;
+        }
+
+        const text = suggestion.text;
         this.searchInput.value = text;
-        this.hideAutocomplete();
+        this.cancelPendingSearch();
         
         // Если есть external_id - сразу переходим на товар
-        if (externalId) {
-            window.location.href = `/shop/product?id=${externalId}`;
-        } else {
-            window.appliedFilters.search = text;
-            window.fetchProducts();
+        if (suggestion.type === 'product' && suggestion.external_id) {
+            window.location.href = `/shop/product?id=${encodeURIComponent(suggestion.external_id)}`;
+            return;
         }
-    }
 
+        // Бренд или категория - применяем фильтр вместо текстового поиска.
+        // Значения фильтра передаются через запятую (SearchService::parseFilters),
+        // поэтому название с запятой ищем как текст
+        const filterKey = { brand: 'brand_name', category: 'category' }[suggestion.type];
+        if (filterKey && !text.includes(',')) {
+            const values = getFilterValues(filterKey);
+            if (!values.includes(text)) values.push(text);
+            setFilterValues(filterKey, values);
 
-    hideAutocomplete() {
-        if (this.autocompleteContainer) {
-            this.autocompleteContainer.style.display = 'none';
-            this.selectedIndex = -1;
+            this.searchInput.value = '';
+            delete window.appliedFilters.search;
+            sessionStorage.removeItem('search');
+        } else {
+            window.appliedFilters.search = text;
+            sessionStorage.setItem('search', text);
         }
+
+        window.currentPage = 1;
+        window.fetchProducts();
     }
 
-    handleKeydown(event) {
-        const items = this.autocompleteContainer?.querySelectorAll('.autocomplete-item') || [];
-        
-        switch(event.key) {
-            case 'ArrowDown':
-                event.preventDefault();
-                this.selectedIndex = Math.min(this.selectedIndex + 1, items.length - 1);
-                this.highlightItem(items);
-                break;
-                
-            case 'ArrowUp':
-                event.preventDefault();
-                this.selectedIndex = Math.max(this.selectedIndex - 1, -1);
-                this.highlightItem(items);
-                break;
-                
-            case 'Enter':
-                event.preventDefault();
-                if (this.selectedIndex >= 0 && items[this.selectedIndex]) {
-                    this.selectAutocompleteItem(items[this.selectedIndex]);
-                } else {
-                    window.currentPage = 1;
-                    window.fetchProducts();
-                }
-                break;
-                
-            case 'Escape':
-                this.hideAutocomplete();
-                break;
-        }
+    /**
+     * Отменить отложенный поиск и незавершенное автодополнение
+     * (пользователь уже выбрал подсказку или нажал Enter)
+     */
+    cancelPendingSearch() {
+        clearTimeout(this.searchTimeout);
+        this.autocompleteRequest.cancel();
     }
 
-    highlightItem(items) {
-        items.forEach((item, index) => {
-            if (index === this.selectedIndex) {
-                item.style.backgroundColor = '#f5f5f5';
-                item.scrollIntoView({ block: 'nearest' });
-            } else {
-                item.style.backgroundColor = '';
-            }
-        });
+    hideAutocomplete() {
+        this.combobox?.close();
     }
 
     handleFocus() {
-        if (this.searchInput.value.length >= 2) {
-            // Показываем существующие подсказки при фокусе
-            if (this.autocompleteContainer.children.length > 0) {
-                this.autocompleteContainer.style.display = 'block';
-            }
+        // Пустое поле - показываем историю поиска, иначе существующие подсказки
+        if (!this.searchInput.value.trim()) {
+            this.showHistory();
+        } else if (this.searchInput.value.trim().length >= 2) {
+            this.combobox.open();
         }
     }
 }
@@ -318,8 +490,8 @@ document.addEventListener('DOMContentLoaded', function() {
         citySelect.value = localStorage.getItem('selectedCityId') || '1';
         citySelect.addEventListener('change', () => {
             localStorage.setItem('selectedCityId', citySelect.value);
-            // Очищаем кеш при смене города
-            productService.clearCache();
+            // Ключи кеша содержат город, поэтому очищать его не нужно:
+            // при возврате к прежнему городу результаты берутся из кеша
             if (window.productsData.length > 0) {
                 fetchProducts();
             }
@@ -349,8 +521,10 @@ document.addEventListener('DOMContentLoaded', function() {
     if (selectAllEl) {
         selectAllEl.addEventListener('change', event => {
             const isChecked = event.target.checked;
-            document.querySelectorAll('.product-checkbox').forEach(checkbox => {
-                checkbox.checked = isChecked;
+            // В режиме ленты отмечаем и строки, убранные из DOM при прокрутке
+            getProductRows().forEach(row => {
+                const checkbox = row.querySelector('.product-checkbox');
+                if (checkbox) checkbox.checked = isChecked;
             });
         });
     }
@@ -358,6 +532,14 @@ document.addEventListener('DOMContentLoaded', function() {
     // Обработчики кликов
     document.body.addEventListener('click', handleBodyClick);
     
+    // Количество с кратностью продажи исправляем сразу после ввода.
+    // Фаза перехвата - раньше обработчиков, которые отправляют количество на сервер
+    document.addEventListener('change', (e) => {
+        if (e.target.matches('.quantity-input[data-step]')) {
+            correctQuantityInput(e.target);
+        }
+    }, true);
+    
     // Кнопки пагинации
     document.querySelectorAll('.prev-btn').forEach(btn => {
         btn.addEventListener('click', evt => {
@@ -376,13 +558,50 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Загрузка товаров если мы на странице каталога
     if (document.querySelector('.product-table')) {
+        cartStore.subscribe(updateCartIndicators);
+        initColumnManager();
+        initBulkActions();
+        initQuickOrder();
+        initCityAvailability();
+        initInfiniteScroll();
+        initCatalogHistory(() => {
+            searchManager.syncInputWithState();
+            ['itemsPerPageSelect', 'itemsPerPageSelectBottom'].forEach(id => {
+                const el = document.getElementById(id);
+                if (el) el.value = window.itemsPerPage;
+            });
+            fetchProducts();
+        });
         loadPage(window.currentPage);
     }
     
     // Загрузка корзины
+    initCartUI();
+    initCartTransfer();
+    initSavedCarts();
+    initMiniCart();
+    initTabSync();
     if (document.querySelector('.cart-container') || document.getElementById('cartBadge')) {
         fetchCart().catch(console.error);
     }
+    
+    // Наличие на экране обновляется без перезагрузки (каталог и корзина)
+    initLiveAvailability();
+    
+    // Выгрузка спецификаций в PDF/XLSX и повтор в корзину (страница спецификации и список)
+    initSpecificationExport();
+    initSpecificationReorder();
+    initSpecificationsList();
+    
+    // Связь восстановилась - отложенные изменения корзины отправлены, обновляем данные
+    initOfflineMode({
+        onReconnect: () => {
+            fetchCart().catch(console.error);
+            if (document.querySelector('.product-table')) {
+                fetchProducts();
+            }
+        }
+    });
 });
 
 // Обработчик кликов по body
@@ -394,7 +613,7 @@ function handleBodyClick(e) {
         const btn = target.closest('.add-to-cart-btn');
         const productId = btn.dataset.productId;
         const quantityInput = btn.closest('tr')?.querySelector('.quantity-input');
-        const quantity = parseInt(quantityInput?.value || '1', 10);
+        const quantity = quantityInput ? correctQuantityInput(quantityInput) : 1;
         addToCart(productId, quantity);
         return;
     }
@@ -417,7 +636,10 @@ function handleBodyClick(e) {
     // Создать спецификацию
     if (target.closest('.create-specification-btn')) {
         e.preventDefault();
-        createSpecification();
+        createSpecification().catch(error => {
+            console.error('Ошибка открытия мастера спецификации:', error);
+            showToast('Не удалось открыть мастер спецификации', true);
+        });
         return;
     }
     
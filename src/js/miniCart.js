@@ -0,0 +1,325 @@
+import { showToast } from "./utils.js";
+import { cartStore } from "./services/CartStore.js";
+import { productService } from "./services/ProductService.js";
+import { updateCartQuantity } from "./cart.js";
+import { applyQuantityRules } from "./quantityRules.js";
+
+/**
+ * Мини-корзина: выезжающая панель из шапки
+ * Товары с ценой и наличием, изменение количества на месте, удаление с отменой
+ */
+
+const UNDO_TIMEOUT = 5000;
+
+// Данные товаров из /api/products/batch (цена и наличие для выбранного города)
+const productCache = new Map();
+
+let button = null;
+let panel = null;
+let list = null;
+let totalElement = null;
+// Последний удаленный товар, пока его можно вернуть: { productId, quantity, timer }
+let removed = null;
+
+export function initMiniCart() {
+    button = document.getElementById('miniCartButton');
+    if (!button) return;
+
+    panel = createPanel();
+    document.body.appendChild(panel);
+
+    button.setAttribute('aria-haspopup', 'dialog');
+    button.setAttribute('aria-expanded', 'false');
+    button.setAttribute('aria-controls', panel.id);
+    button.addEventListener('click', (e) => {
+        // Без JS ссылка ведет на /cart
+        e.preventDefault();
+        isOpen() ? closeMiniCart() : openMiniCart();
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isOpen()) {
+            closeMiniCart();
+            button.focus();
+        }
+    });
+    document.addEventListener('click', (e) => {
+        if (!isOpen() || !e.target.isConnected) return;
+        if (!panel.contains(e.target) && !button.contains(e.target)) closeMiniCart();
+    });
+
+    // Цена и наличие зависят от города
+    document.getElementById('citySelect')?.addEventListener('change', () => {
+        productCache.clear();
+        if (isOpen()) refresh();
+    });
+
+    cartStore.subscribe(() => {
+        if (isOpen()) refresh();
+    });
+}
+
+export async function openMiniCart() {
+    if (!panel) return;
+
+    panel.hidden = false;
+    button.setAttribute('aria-expanded', 'true');
+    // Класс после показа - чтобы сработала анимация выезда
+    requestAnimationFrame(() => panel.classList.add('open'));
+    panel.querySelector('.mini-cart-close').focus();
+
+    await refresh();
+}
+
+export function closeMiniCart() {
+    if (!panel) return;
+
+    panel.classList.remove('open');
+    panel.hidden = true;
+    button.setAttribute('aria-expanded', 'false');
+}
+
+function isOpen() {
+    return Boolean(panel) && !panel.hidden;
+}
+
+function createPanel() {
+    const element = document.createElement('aside');
+    element.id = 'miniCart';
+    element.className = 'mini-cart';
+    element.hidden = true;
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-labelledby', 'miniCartTitle');
+
+    const header = document.createElement('div');
+    header.className = 'mini-cart-header';
+    const title = document.createElement('h2');
+    title.id = 'miniCartTitle';
+    title.className = 'mini-cart-title';
+    title.textContent = 'Корзина';
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'mini-cart-close';
+    close.setAttribute('aria-label', 'Закрыть корзину');
+    close.innerHTML = '<i class="fas fa-times"></i>';
+    close.addEventListener('click', () => {
+        closeMiniCart();
+        button.focus();
+    });
+    header.appendChild(title);
+    header.appendChild(close);
+
+    list = document.createElement('ul');
+    list.className = 'mini-cart-list';
+    list.setAttribute('aria-live', 'polite');
+
+    const footer = document.createElement('div');
+    footer.className = 'mini-cart-footer';
+    totalElement = document.createElement('div');
+    totalElement.className = 'mini-cart-total';
+    const link = document.createElement('a');
+    link.href = '/cart';
+    link.className = 'btn btn-primary mini-cart-checkout';
+    link.textContent = 'Перейти в корзину';
+    footer.appendChild(totalElement);
+    footer.appendChild(link);
+
+    element.appendChild(header);
+    element.appendChild(list);
+    element.appendChild(footer);
+
+    list.addEventListener('change', (e) => {
+        const input = e.target.closest('.quantity-input');
+        if (input) updateCartQuantity(input.dataset.productId, input.value);
+    });
+    list.addEventListener('click', (e) => {
+        const removeButton = e.target.closest('.mini-cart-remove');
+        if (removeButton) {
+            removeItem(removeButton.dataset.productId);
+            return;
+        }
+        if (e.target.closest('.mini-cart-undo')) undoRemove();
+    });
+
+    return element;
+}
+
+/**
+ * Догрузить данные новых товаров и перерисовать список
+ */
+async function refresh() {
+    const items = cartStore.get();
+    const missing = Object.keys(items).filter(id => !productCache.has(id));
+
+    if (missing.length) {
+        render(items, true);
+        const result = await productService.getProductsByIds(missing);
+        if (result.success && Array.isArray(result.data)) {
+            result.data.forEach(product => productCache.set(String(product.product_id), product));
+        } else {
+            showToast('Не удалось загрузить данные товаров корзины', true);
+        }
+    }
+
+    render(cartStore.get(), false);
+}
+
+function render(items, loading) {
+    // Фокус в поле количества сохраняем между перерисовками
+    const focusedId = document.activeElement?.closest?.('.mini-cart-item')?.dataset.productId;
+
+    list.innerHTML = '';
+
+    if (removed) list.appendChild(createUndoItem());
+
+    const entries = Object.values(items);
+    if (!entries.length) {
+        const empty = document.createElement('li');
+        empty.className = 'mini-cart-empty';
+        empty.textContent = 'Корзина пуста';
+        list.appendChild(empty);
+    }
+
+    let total = 0;
+    entries.forEach(item => {
+        const product = productCache.get(String(item.product_id));
+        const price = getPrice(product);
+        if (price) total += price * item.quantity;
+        list.appendChild(createItem(item, product, price, loading));
+    });
+
+    totalElement.textContent = entries.length ? `Итого: ${total.toFixed(2)} руб.` : '';
+
+    if (focusedId) {
+        list.querySelector(`.mini-cart-item[data-product-id="${focusedId}"] .quantity-input`)?.focus();
+    }
+}
+
+function createItem(item, product, price, loading) {
+    const li = document.createElement('li');
+    li.className = 'mini-cart-item';
+    li.dataset.productId = item.product_id;
+
+    const info = document.createElement('div');
+    info.className = 'mini-cart-info';
+
+    const name = document.createElement(product?.external_id ? 'a' : 'span');
+    name.className = 'mini-cart-name';
+    name.textContent = product?.name || (loading ? 'Загрузка...' : `Товар #${item.product_id}`);
+    if (product?.external_id) name.href = `/shop/product?id=${product.external_id}`;
+    info.appendChild(name);
+
+    if (product) {
+        const meta = document.createElement('div');
+        meta.className = 'mini-cart-meta';
+        meta.textContent = [
+            product.external_id,
+            price ? `${price.toFixed(2)} руб.` : 'Нет цены'
+        ].filter(Boolean).join(' · ');
+        info.appendChild(meta);
+
+        const availability = product.availability;
+        if (availability) {
+            const stock = document.createElement('div');
+            stock.className = `mini-cart-stock ${availability.in_stock ? 'in-stock' : 'out-of-stock'}`;
+            stock.textContent = [availability.availability_text, availability.delivery_text].filter(Boolean).join(' · ');
+            info.appendChild(stock);
+        }
+    }
+
+    const controls = document.createElement('div');
+    controls.className = 'mini-cart-controls';
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'form-control quantity-input';
+    input.dataset.productId = item.product_id;
+    input.setAttribute('aria-label', `Количество: ${product?.name || item.product_id}`);
+    if (product) {
+        applyQuantityRules(input, product, item.quantity);
+    } else {
+        input.min = 1;
+        input.value = item.quantity;
+    }
+
+    const sum = document.createElement('span');
+    sum.className = 'mini-cart-sum';
+    sum.textContent = price ? `${(price * item.quantity).toFixed(2)} руб.` : '—';
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'mini-cart-remove';
+    remove.dataset.productId = item.product_id;
+    remove.setAttribute('aria-label', `Удалить ${product?.name || 'товар'} из корзины`);
+    remove.innerHTML = '<i class="fas fa-trash"></i>';
+
+    controls.appendChild(input);
+    controls.appendChild(sum);
+    controls.appendChild(remove);
+
+    li.appendChild(info);
+    li.appendChild(controls);
+    return li;
+}
+
+function createUndoItem() {
+    const li = document.createElement('li');
+    li.className = 'mini-cart-removed';
+
+    const product = productCache.get(String(removed.productId));
+    const text = document.createElement('span');
+    text.textContent = `«${product?.name || 'Товар'}» удален из корзины`;
+
+    const undo = document.createElement('button');
+    undo.type = 'button';
+    undo.className = 'mini-cart-undo';
+    undo.textContent = 'Вернуть';
+
+    li.appendChild(text);
+    li.appendChild(undo);
+    return li;
+}
+
+async function removeItem(productId) {
+    const quantity = cartStore.getQuantity(productId);
+    if (!quantity) return;
+
+    clearTimeout(removed?.timer);
+    removed = {
+        productId,
+        quantity,
+        timer: setTimeout(() => {
+            removed = null;
+            if (isOpen()) render(cartStore.get(), false);
+        }, UNDO_TIMEOUT)
+    };
+
+    try {
+        const result = await cartStore.remove(productId);
+        if (result.queued) showToast('Нет связи: товар будет удален из корзины при подключении');
+    } catch (err) {
+        clearTimeout(removed?.timer);
+        removed = null;
+        if (isOpen()) render(cartStore.get(), false);
+        showToast(err.message || 'Ошибка при удалении из корзины', true);
+    }
+}
+
+async function undoRemove() {
+    if (!removed) return;
+
+    const { productId, quantity, timer } = removed;
+    clearTimeout(timer);
+    removed = null;
+
+    try {
+        await cartStore.add(productId, quantity);
+    } catch (err) {
+        showToast(err.message || 'Не удалось вернуть товар в корзину', true);
+    }
+}
+
+function getPrice(product) {
+    const price = Number(product?.availability?.price || product?.base_price);
+    return price > 0 ? price : 0;
+}
\ No newline at end of file
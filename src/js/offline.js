@@ -0,0 +1,192 @@
+import { showToast } from "./utils.js";
+
+/**
+ * Работа без сети: регистрация service worker (public/sw.js), баннер «офлайн-данные»
+ * и очередь изменений корзины, которая отправляется при восстановлении связи
+ */
+
+const QUEUE_KEY = 'offlineCartQueue';
+const MAX_QUEUE_LENGTH = 100;
+
+let replaying = false;
+
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
+
+    // Service worker сообщает, что ответ взят из сохраненных данных
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'offline-response') {
+            showOfflineBanner(event.data.cachedAt);
+        }
+    });
+}
+
+/**
+ * Следить за состоянием сети
+ * onReconnect вызывается после отправки отложенных изменений - чтобы обновить данные на странице
+ */
+export function initOfflineMode({ onReconnect } = {}) {
+    window.addEventListener('offline', () => showOfflineBanner());
+    window.addEventListener('online', async () => {
+        hideOfflineBanner();
+        await replayOfflineQueue();
+        onReconnect?.();
+    });
+
+    if (!navigator.onLine) {
+        showOfflineBanner();
+    } else if (getQueue().length) {
+        // Изменения, оставшиеся с прошлого визита
+        replayOfflineQueue().then(sent => {
+            if (sent) onReconnect?.();
+        });
+    }
+}
+
+/**
+ * Показать баннер; cachedAt - время сохранения показанных данных
+ */
+export function showOfflineBanner(cachedAt = null) {
+    let banner = document.getElementById('offlineBanner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'offlineBanner';
+        banner.className = 'offline-banner';
+        banner.setAttribute('role', 'status');
+        document.body.prepend(banner);
+    }
+
+    const time = cachedAt
+        ? new Date(cachedAt).toLocaleString('ru-RU', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })
+        : null;
+    const queued = getQueue().length;
+
+    banner.textContent = [
+        'Нет соединения. Показаны офлайн-данные' + (time ? ` от ${time}` : ''),
+        queued ? `изменений корзины в очереди: ${queued}` : ''
+    ].filter(Boolean).join(' · ');
+    banner.hidden = false;
+}
+
+export function hideOfflineBanner() {
+    const banner = document.getElementById('offlineBanner');
+    if (banner) banner.hidden = true;
+}
+
+/**
+ * POST-запрос, который при отсутствии сети откладывается в очередь
+ * Возвращает Response или { queued: true }
+ */
+export async function postOrQueue(url, fields = {}) {
+    if (!navigator.onLine) {
+        enqueue(url, fields);
+        return { queued: true };
+    }
+
+    try {
+        return await fetch(url, {
+            method: 'POST',
+            body: buildFormData(fields)
+        });
+    } catch (error) {
+        // TypeError - запрос не дошел до сервера (сеть пропала во время отправки)
+        if (error instanceof TypeError) {
+            enqueue(url, fields);
+            return { queued: true };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Отправить отложенные изменения по порядку
+ * Возвращает количество отправленных запросов
+ */
+export async function replayOfflineQueue() {
+    if (replaying) return 0;
+    replaying = true;
+
+    // Изменения другого пользователя (вход под другой учетной записью) не отправляем - они попали бы в чужую корзину
+    saveQueue(getQueue().filter(item => item.user === getCurrentUser()));
+
+    let sent = 0;
+    let failed = 0;
+
+    try {
+        let queue = getQueue();
+        while (queue.length) {
+            const [item, ...rest] = queue;
+            try {
+                const res = await fetch(item.url, {
+                    method: 'POST',
+                    body: buildFormData(item.fields)
+                });
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok || !data.success) failed++;
+                sent++;
+            } catch (error) {
+                // Сеть снова пропала - оставшиеся изменения ждут следующего подключения
+                break;
+            }
+            queue = rest;
+            saveQueue(queue);
+        }
+    } finally {
+        replaying = false;
+    }
+
+    if (failed) {
+        showToast(`Не удалось применить изменений корзины: ${failed} из ${sent}`, true);
+    } else if (sent) {
+        showToast(`Изменения корзины отправлены: ${sent}`);
+    }
+    return sent;
+}
+
+function enqueue(url, fields) {
+    const queue = getQueue();
+    queue.push({ url, fields, user: getCurrentUser(), queued_at: Date.now() });
+    saveQueue(queue.slice(-MAX_QUEUE_LENGTH));
+    showOfflineBanner();
+}
+
+/**
+ * Удалить отложенные изменения корзины (выход пользователя)
+ */
+export function clearOfflineQueue() {
+    saveQueue([]);
+}
+
+function getCurrentUser() {
+    return window.USER_ID ? String(window.USER_ID) : 'guest';
+}
+
+function buildFormData(fields) {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    // Токен берем текущий: очередь могла быть сохранена на прошлой странице
+    formData.append('csrf_token', window.CSRF_TOKEN || '');
+    return formData;
+}
+
+function getQueue() {
+    try {
+        return JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveQueue(queue) {
+    if (queue.length) {
+        localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    } else {
+        localStorage.removeItem(QUEUE_KEY);
+    }
+}
@@ -23,7 +23,7 @@ export function changePage(event) {
     const total = Math.ceil(window.totalProducts / window.itemsPerPage);
     page = Math.max(1, Math.min(page, total));
     window.currentPage = page;
-    fetchProducts();
+    fetchProducts({ keepPage: true });
 }
 
 export function handlePageInputKeydown(event) {
@@ -34,5 +34,5 @@ export function handlePageInputKeydown(event) {
 
 export function loadPage(page) {
     window.currentPage = page;
-    fetchProducts();
+    fetchProducts({ keepPage: true });
 }
\ No newline at end of file
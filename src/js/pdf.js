@@ -0,0 +1,108 @@
+/**
+ * Сборка PDF из страниц, нарисованных на canvas
+ * Каждая страница - JPEG-картинка во весь лист (фильтр DCTDecode), без шрифтов:
+ * кириллица выглядит так же, как в браузере, но текст в файле не выделяется
+ */
+
+// A4 в пунктах PDF
+export const A4_WIDTH = 595.28;
+export const A4_HEIGHT = 841.89;
+
+/**
+ * @param {HTMLCanvasElement[]} canvases - страницы с пропорциями A4
+ * @param {Object} [info]
+ * @param {string} [info.title]
+ * @returns {Promise<Blob>}
+ */
+export async function buildPdfFromCanvases(canvases, info = {}) {
+    const images = await Promise.all(canvases.map(async canvas => ({
+        width: canvas.width,
+        height: canvas.height,
+        data: new Uint8Array(await canvasToJpeg(canvas))
+    })));
+
+    return buildPdf(images, info);
+}
+
+function canvasToJpeg(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                blob.arrayBuffer().then(resolve, reject);
+            } else {
+                reject(new Error('Не удалось сформировать страницу'));
+            }
+        }, 'image/jpeg', 0.9);
+    });
+}
+
+function buildPdf(images, info) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (chunk) => {
+        const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+        parts.push(bytes);
+        length += bytes.length;
+    };
+    const object = (id, body, stream = null) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${body}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
+
+    // 1 - каталог, 2 - дерево страниц, 3 - сведения о документе, далее по три объекта на страницу
+    const pageIds = images.map((image, index) => 4 + index * 3);
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${images.length} >>`);
+    object(3, `<< /Title ${pdfText(info.title || '')} /Producer ${pdfText('VDestor B2B')} /CreationDate ${pdfText(pdfDate(new Date()))} >>`);
+
+    images.forEach((image, index) => {
+        const pageId = pageIds[index];
+        const contentId = pageId + 1;
+        const imageId = pageId + 2;
+        const content = encoder.encode(`q ${A4_WIDTH} 0 0 ${A4_HEIGHT} 0 0 cm /Im0 Do Q`);
+
+        object(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4_WIDTH} ${A4_HEIGHT}] `
+            + `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+        object(contentId, `<< /Length ${content.length} >>`, content);
+        object(imageId, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} `
+            + `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>`, image.data);
+    });
+
+    const count = 4 + images.length * 3;
+    const xrefOffset = length;
+    write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+    for (let id = 1; id < count; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${count} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(parts, { type: 'application/pdf' });
+}
+
+/**
+ * Строка PDF в UTF-16BE с BOM (hex) - иначе кириллица в свойствах документа не читается
+ */
+function pdfText(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    }
+    return `<${hex}>`;
+}
+
+function pdfDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+        + `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
\ No newline at end of file
@@ -0,0 +1,59 @@
+import { showToast } from "./utils.js";
+
+/**
+ * Кратность продажи: товар продается партиями по min_sale единиц
+ * Допустимое количество - целое положительное число, кратное min_sale
+ * (то же правило проверяет CartService на сервере)
+ */
+
+export function getSaleStep(product) {
+    const step = Math.ceil(Number(product?.min_sale) || 0);
+    return step > 0 ? step : 1;
+}
+
+export function isValidQuantity(value, step = 1) {
+    const quantity = Number(value);
+    return Number.isInteger(quantity) && quantity > 0 && quantity % step === 0;
+}
+
+/**
+ * Ближайшее допустимое количество, не меньше введенного
+ */
+export function normalizeQuantity(value, step = 1) {
+    const quantity = Number(String(value ?? '').replace(',', '.'));
+    if (!Number.isFinite(quantity) || quantity <= step) return step;
+    return Math.ceil(quantity / step) * step;
+}
+
+/**
+ * «кратно 10 м» - для сообщений об исправленном количестве
+ */
+export function describeSaleStep(step, unit = '') {
+    return `кратно ${step}${unit ? ` ${unit}` : ''}`;
+}
+
+/**
+ * Настроить поле количества под товар: минимум, шаг и начальное значение
+ */
+export function applyQuantityRules(input, product, value = null) {
+    const step = getSaleStep(product);
+    input.min = step;
+    input.step = step;
+    input.dataset.step = step;
+    if (product?.unit) input.dataset.unit = product.unit;
+    input.value = value ?? step;
+}
+
+/**
+ * Привести значение поля к допустимому; возвращает итоговое количество
+ * Если значение пришлось изменить, сообщает пользователю почему
+ */
+export function correctQuantityInput(input) {
+    const step = parseInt(input.dataset.step, 10) || 1;
+    if (isValidQuantity(input.value, step)) return Number(input.value);
+
+    const quantity = normalizeQuantity(input.value, step);
+    input.value = quantity;
+    showToast(`Количество исправлено на ${quantity}: товар продается ${describeSaleStep(step, input.dataset.unit)}`, true);
+    return quantity;
+}
\ No newline at end of file
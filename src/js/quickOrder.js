@@ -0,0 +1,365 @@
+import { showToast } from "./utils.js";
+import { productService } from "./services/ProductService.js";
+import { cartStore } from "./services/CartStore.js";
+import { Modal } from "./components/Modal.js";
+import { getSaleStep, isValidQuantity, normalizeQuantity, describeSaleStep, applyQuantityRules } from "./quantityRules.js";
+
+/**
+ * Быстрый заказ: список «код - количество», вставленный из Excel или письма
+ * Коды (external_id или SKU) ищутся одним запросом /api/products/batch,
+ * найденные товары добавляются в корзину одним запросом /cart/add-batch
+ */
+
+const MAX_LINES = 500;
+
+const STATUS_TEXT = {
+    matched: 'Найден',
+    ambiguous: 'Выберите товар',
+    unknown: 'Не найден',
+    invalid: 'Неверное количество'
+};
+
+let modal = null;
+let lines = [];
+
+export function initQuickOrder() {
+    const button = document.getElementById('quickOrderButton');
+    if (!button) return;
+
+    button.addEventListener('click', openQuickOrder);
+}
+
+/**
+ * Разобрать вставленный текст: одна строка - один товар
+ * Разделитель кода и количества - табуляция (Excel) или точка с запятой;
+ * без них допускается «КОД 10». Количество по умолчанию - 1
+ */
+export function parseOrderText(text) {
+    return String(text ?? '')
+        .split(/\r?\n/)
+        .map((raw, index) => ({ raw, line: index + 1 }))
+        .filter(({ raw }) => raw.trim())
+        .map(({ raw, line }) => {
+            let cells = raw.split(/[\t;]/).map(cell => cell.trim()).filter(Boolean);
+            if (cells.length === 1) {
+                const match = cells[0].match(/^(\S+)\s+(\d[\d\s]*)$/);
+                if (match) cells = [match[1], match[2]];
+            }
+
+            return {
+                line,
+                raw,
+                code: cells[0] || '',
+                quantity: cells.length > 1 ? parseQuantity(cells[1]) : 1
+            };
+        });
+}
+
+/**
+ * Сопоставить строки с товарами
+ * Совпадение по external_id важнее совпадения по SKU; несколько товаров на код - ambiguous
+ */
+export async function resolveOrderLines(parsedLines) {
+    const codes = parsedLines.filter(line => line.code).map(line => line.code);
+    const result = await productService.getProductsByCodes(codes);
+    if (!result.success) {
+        throw new Error(result.error || 'Не удалось найти товары');
+    }
+
+    const products = Array.isArray(result.data) ? result.data : [];
+
+    return parsedLines.map(line => {
+        const key = line.code.toLowerCase();
+        const byExternalId = products.filter(p => String(p.external_id ?? '').toLowerCase() === key);
+        const candidates = byExternalId.length
+            ? byExternalId
+            : products.filter(p => String(p.sku ?? '').toLowerCase() === key);
+
+        let status = 'unknown';
+        if (!(line.quantity > 0)) {
+            status = 'invalid';
+        } else if (candidates.length === 1) {
+            status = 'matched';
+        } else if (candidates.length > 1) {
+            status = 'ambiguous';
+        }
+
+        const resolved = {
+            ...line,
+            status,
+            candidates,
+            product: candidates.length === 1 ? candidates[0] : null
+        };
+        if (status === 'matched') applySaleStep(resolved);
+        return resolved;
+    });
+}
+
+/**
+ * Привести количество к кратности выбранного товара; исправление попадает в note
+ */
+function applySaleStep(line) {
+    const step = getSaleStep(line.product);
+    line.note = null;
+    if (isValidQuantity(line.quantity, step)) return;
+
+    const quantity = normalizeQuantity(line.quantity, step);
+    line.note = `количество ${line.quantity} → ${quantity} (${describeSaleStep(step, line.product.unit)})`;
+    line.quantity = quantity;
+}
+
+function getStatusText(line) {
+    if (line.error) return line.error;
+    return [STATUS_TEXT[line.status], line.status === 'matched' ? line.note : null].filter(Boolean).join(': ');
+}
+
+export function parseQuantity(value) {
+    // «1 000», «10,0» - как их отдает Excel с русской локалью
+    const number = Number(String(value).replace(/\s/g, '').replace(',', '.'));
+    return Number.isFinite(number) ? number : NaN;
+}
+
+/* ---------- Панель ---------- */
+
+function openQuickOrder() {
+    const body = document.createElement('div');
+    body.className = 'quick-order';
+
+    const hint = document.createElement('p');
+    hint.className = 'quick-order-hint';
+    hint.textContent = 'Вставьте список из Excel: код товара или артикул и количество через табуляцию или «;», по одному товару в строке.';
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'quick-order-input';
+    textarea.rows = 8;
+    textarea.placeholder = 'AB-1234\t10\nXY-987;5';
+    textarea.setAttribute('aria-label', 'Список товаров');
+
+    const parseButton = document.createElement('button');
+    parseButton.type = 'button';
+    parseButton.className = 'btn btn-primary quick-order-parse';
+    parseButton.textContent = 'Найти товары';
+
+    const results = document.createElement('div');
+    results.className = 'quick-order-results';
+    results.setAttribute('aria-live', 'polite');
+
+    body.appendChild(hint);
+    body.appendChild(textarea);
+    body.appendChild(parseButton);
+    body.appendChild(results);
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'btn btn-primary quick-order-add';
+    addButton.disabled = true;
+    addButton.textContent = 'Добавить в корзину';
+
+    lines = [];
+    modal = new Modal({
+        title: 'Быстрый заказ',
+        body,
+        footer: addButton,
+        className: 'quick-order-modal',
+        onClose: () => {
+            modal = null;
+            lines = [];
+        }
+    });
+
+    parseButton.addEventListener('click', () => parseAndResolve(textarea, parseButton, results, addButton));
+    // Ctrl+Enter - то же, что кнопка
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            parseButton.click();
+        }
+    });
+    addButton.addEventListener('click', () => addMatchedToCart(addButton, results));
+
+    modal.open(textarea);
+}
+
+async function parseAndResolve(textarea, button, results, addButton) {
+    const parsed = parseOrderText(textarea.value);
+    if (!parsed.length) {
+        showToast('Вставьте список товаров', true);
+        return;
+    }
+    if (parsed.length > MAX_LINES) {
+        showToast(`Слишком много строк, максимум ${MAX_LINES}`, true);
+        return;
+    }
+
+    button.disabled = true;
+    results.textContent = 'Поиск товаров...';
+    try {
+        lines = await resolveOrderLines(parsed);
+        renderResults(results, addButton);
+    } catch (error) {
+        results.textContent = '';
+        showToast(error.message, true);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function renderResults(container, addButton) {
+    container.innerHTML = '';
+
+    const summary = document.createElement('div');
+    summary.className = 'quick-order-summary';
+    container.appendChild(summary);
+
+    const table = document.createElement('table');
+    table.className = 'quick-order-table';
+    table.createTHead().innerHTML = '<tr><th>Строка</th><th>Код</th><th>Кол-во</th><th>Товар</th><th>Статус</th></tr>';
+
+    const tbody = table.createTBody();
+    lines.forEach(line => tbody.appendChild(createResultRow(line, () => updateSummary(summary, addButton))));
+    container.appendChild(table);
+
+    updateSummary(summary, addButton);
+}
+
+function createResultRow(line, onChange) {
+    const row = document.createElement('tr');
+    row.className = `quick-order-${line.status}`;
+
+    row.insertCell().textContent = line.line;
+    row.insertCell().textContent = line.code;
+
+    const quantityCell = row.insertCell();
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'form-control quantity-input';
+    if (line.product) {
+        // Шаг и исправление ввода - по кратности товара (см. correctQuantityInput)
+        applyQuantityRules(input, line.product, line.quantity);
+    } else {
+        input.min = 1;
+        input.value = Number.isFinite(line.quantity) ? line.quantity : '';
+    }
+    input.setAttribute('aria-label', `Количество для ${line.code}`);
+    quantityCell.appendChild(input);
+
+    const productCell = row.insertCell();
+    const statusCell = row.insertCell();
+    statusCell.className = 'quick-order-status';
+
+    const setStatus = (status) => {
+        line.status = status;
+        line.error = null;
+        row.className = `quick-order-${status}`;
+        statusCell.textContent = getStatusText(line);
+        onChange();
+    };
+
+    input.addEventListener('change', () => {
+        line.quantity = parseQuantity(input.value);
+        line.note = null;
+        if (!(line.quantity > 0)) {
+            setStatus('invalid');
+        } else if (line.product) {
+            setStatus('matched');
+        } else {
+            setStatus(line.candidates.length > 1 ? 'ambiguous' : 'unknown');
+        }
+    });
+
+    if (line.candidates.length > 1) {
+        // Один код у нескольких товаров - пользователь выбирает нужный
+        const select = document.createElement('select');
+        select.className = 'quick-order-choice';
+        select.setAttribute('aria-label', `Товар для кода ${line.code}`);
+        select.appendChild(new Option('Выберите товар…', ''));
+        line.candidates.forEach(product => {
+            const label = [product.brand_name, product.name, `(${product.external_id})`].filter(Boolean).join(' ');
+            select.appendChild(new Option(label, product.product_id));
+        });
+        select.addEventListener('change', () => {
+            line.product = line.candidates.find(p => String(p.product_id) === select.value) || null;
+            if (line.product) applyQuantityRules(input, line.product, input.value);
+            if (line.status === 'invalid') return;
+            if (line.product) {
+                applySaleStep(line);
+                input.value = line.quantity;
+            }
+            setStatus(line.product ? 'matched' : 'ambiguous');
+        });
+        productCell.appendChild(select);
+    } else if (line.product) {
+        productCell.textContent = line.product.name;
+    } else {
+        productCell.textContent = '—';
+    }
+
+    statusCell.textContent = getStatusText(line);
+    return row;
+}
+
+function updateSummary(summary, addButton) {
+    const count = (status) => lines.filter(line => line.status === status).length;
+    const matched = count('matched');
+
+    summary.textContent = [
+        `Найдено: ${matched}`,
+        `требуют выбора: ${count('ambiguous')}`,
+        `не найдено: ${count('unknown')}`,
+        count('invalid') ? `с ошибкой в количестве: ${count('invalid')}` : ''
+    ].filter(Boolean).join(' · ');
+
+    addButton.disabled = matched === 0;
+    addButton.textContent = matched ? `Добавить в корзину (${matched})` : 'Добавить в корзину';
+}
+
+async function addMatchedToCart(button, results) {
+    const matched = lines.filter(line => line.status === 'matched' && line.product);
+    if (!matched.length) return;
+
+    button.disabled = true;
+    try {
+        const result = await cartStore.addMany(matched.map(line => ({
+            product_id: line.product.product_id,
+            quantity: line.quantity
+        })));
+
+        if (result.queued) {
+            showToast('Нет связи: товары будут добавлены в корзину при подключении');
+            modal?.close();
+            return;
+        }
+
+        const failed = result.failed || [];
+        showToast(`Добавлено в корзину: ${result.added?.length || 0}`);
+
+        if (!failed.length) {
+            modal?.close();
+            return;
+        }
+
+        // В списке остаются строки, которые сервер не принял, с причиной
+        markFailed(failed);
+        renderResults(results, button);
+    } catch (error) {
+        if (error.details?.failed?.length) {
+            markFailed(error.details.failed);
+            renderResults(results, button);
+        } else {
+            showToast(error.message || 'Ошибка при добавлении в корзину', true);
+            button.disabled = false;
+        }
+    }
+}
+
+function markFailed(failed) {
+    const messages = new Map(failed.map(item => [String(item.product_id), item.message]));
+
+    lines = lines.filter(line => line.status !== 'matched' || messages.has(String(line.product?.product_id)));
+    lines.forEach(line => {
+        const message = line.product && messages.get(String(line.product.product_id));
+        if (message) line.error = message;
+    });
+
+    showToast(`Не добавлено товаров: ${failed.length}. ${[...messages.values()].slice(0, 3).join('; ')}`, true);
+}
\ No newline at end of file
@@ -1,6 +1,11 @@
 import { filterByBrandOrSeries, renderAppliedFilters, highlightFilteredWords } from "./filters.js";
 import { loadAvailability } from "./availability.js";
 import { showToast } from "./utils.js";
+import { isInfiniteMode, renderVirtualRows, getCachedRows } from "./infiniteScroll.js";
+import { getColumnOrder, isColumnHidden } from "./columnManager.js";
+import { cartStore } from "./services/CartStore.js";
+import { updateBulkBar } from "./bulkActions.js";
+import { applyQuantityRules } from "./quantityRules.js";
 
 export function copyText(text) {
     if (!text) {
@@ -28,41 +33,69 @@ function sortableClickHandler(e) {
     if (th && window.sortProducts) window.sortProducts(th.dataset.column);
 }
 
-export function renderProductsTable() {
+/**
+ * options.append - в режиме ленты к списку добавлена страница, уже созданные строки сохраняются
+ */
+export function renderProductsTable({ append = false } = {}) {
     const tbody = document.querySelector('.product-table tbody');
     if (!tbody) return;
-    tbody.innerHTML = '';
 
-    const fragment = document.createDocumentFragment();
-    window.productsData.forEach(product => {
-        fragment.appendChild(createProductRow(product));
-    });
-    tbody.appendChild(fragment);
+    if (isInfiniteMode()) {
+        // В DOM только видимые строки, остальные - распорки
+        renderVirtualRows(tbody, createProductRow, { reset: !append });
+    } else {
+        tbody.innerHTML = '';
+
+        const fragment = document.createDocumentFragment();
+        window.productsData.forEach(product => {
+            fragment.appendChild(createProductRow(product));
+        });
+        tbody.appendChild(fragment);
+    }
 
     updateUI();
+    updateBulkBar();
     loadMissingAvailability();
-    initializeColResizable();
 }
 
+/**
+ * Строки товаров текущего списка, в режиме ленты - включая убранные из DOM при прокрутке
+ */
+export function getProductRows() {
+    if (isInfiniteMode()) return getCachedRows();
+    return Array.from(document.querySelectorAll('.product-table tbody tr[data-product-id]'));
+}
+
+const CELL_FACTORIES = {
+    select: createSelectCell,
+    code: createCodeCell,
+    image: createImageCell,
+    name: createNameCell,
+    sku: createSkuCell,
+    brand_series: createBrandSeriesCell,
+    status: createStatusCell,
+    min_sale_unit: createMinSaleUnitCell,
+    availability: createAvailabilityCell,
+    delivery_date: createDeliveryDateCell,
+    price: createPriceCell,
+    retail_price: createRetailPriceCell,
+    cart: createCartCell,
+    additional: createAdditionalFieldsCell,
+    orders_count: createOrdersCountCell
+};
+
 function createProductRow(product) {
     const row = document.createElement('tr');
     row.setAttribute('data-product-id', product.product_id);
 
-    row.appendChild(createSelectCell(product));
-    row.appendChild(createCodeCell(product));
-    row.appendChild(createImageCell(product));
-    row.appendChild(createNameCell(product));
-    row.appendChild(createSkuCell(product));
-    row.appendChild(createBrandSeriesCell(product));
-    row.appendChild(createStatusCell(product));
-    row.appendChild(createMinSaleUnitCell(product));
-    row.appendChild(createAvailabilityCell(product));
-    row.appendChild(createDeliveryDateCell(product));
-    row.appendChild(createPriceCell(product));
-    row.appendChild(createRetailPriceCell(product));
-    row.appendChild(createCartCell(product));
-    row.appendChild(createAdditionalFieldsCell());
-    row.appendChild(createOrdersCountCell(product));
+    // Ячейки в порядке, настроенном пользователем; скрытые колонки тоже создаются,
+    // чтобы включение колонки не требовало перерисовки таблицы
+    getColumnOrder().forEach(id => {
+        const cell = CELL_FACTORIES[id](product);
+        cell.dataset.col = id;
+        cell.classList.toggle('col-hidden', isColumnHidden(id));
+        row.appendChild(cell);
+    });
 
     return row;
 }
@@ -100,37 +133,28 @@ function createImageCell(product) {
     const thumb = document.createElement('img');
     thumb.src = firstUrl;
     thumb.alt = product.name || '';
+    thumb.loading = 'lazy';
+    thumb.decoding = 'async';
     thumb.style.width = '50px';
     thumb.style.cursor = 'pointer';
     thumb.style.transition = 'opacity 0.3s ease';
-    const zoom = document.createElement('img');
-    zoom.className = 'zoom-image';
-    zoom.src = firstUrl;
-    zoom.alt = product.name || '';
-    zoom.style.width = '350px';
-    zoom.style.position = 'absolute';
-    zoom.style.top = '0';
-    zoom.style.left = '60px';
-    zoom.style.opacity = '0';
-    zoom.style.transition = 'opacity 0.3s ease';
-    zoom.style.pointerEvents = 'none';
-    zoom.style.zIndex = '1000';
-    zoom.style.boxShadow = '0 4px 8px rgba(0,0,0,0.2)';
-    zoom.style.backgroundColor = 'white';
-    zoom.style.padding = '5px';
-    zoom.style.border = '1px solid #ddd';
-    zoom.style.borderRadius = '4px';
 
+    // Увеличенное изображение создаем только при первом наведении
+    let zoom = null;
     thumb.addEventListener('mouseenter', () => {
+        if (!zoom) {
+            zoom = createZoomImage(firstUrl, product.name);
+            container.appendChild(zoom);
+        }
         zoom.style.opacity = '1';
         zoom.style.pointerEvents = 'auto';
     });
     thumb.addEventListener('mouseleave', () => {
+        if (!zoom) return;
         zoom.style.opacity = '0';
         zoom.style.pointerEvents = 'none';
     });
     container.appendChild(thumb);
-    container.appendChild(zoom);
     const link = document.createElement('a');
     link.href = `/shop/product?id=${product.external_id}`;
     link.appendChild(container);
@@ -138,6 +162,27 @@ function createImageCell(product) {
     return cell;
 }
 
+function createZoomImage(url, name) {
+    const zoom = document.createElement('img');
+    zoom.className = 'zoom-image';
+    zoom.src = url;
+    zoom.alt = name || '';
+    zoom.style.width = '350px';
+    zoom.style.position = 'absolute';
+    zoom.style.top = '0';
+    zoom.style.left = '60px';
+    zoom.style.opacity = '0';
+    zoom.style.transition = 'opacity 0.3s ease';
+    zoom.style.pointerEvents = 'none';
+    zoom.style.zIndex = '1000';
+    zoom.style.boxShadow = '0 4px 8px rgba(0,0,0,0.2)';
+    zoom.style.backgroundColor = 'white';
+    zoom.style.padding = '5px';
+    zoom.style.border = '1px solid #ddd';
+    zoom.style.borderRadius = '4px';
+    return zoom;
+}
+
 function createNameCell(product) {
     const cell = document.createElement('td');
     cell.className = 'name-cell';
@@ -230,6 +275,16 @@ function createAvailabilityCell(product) {
         span.textContent = '…';
     }
     cell.appendChild(span);
+
+    // Наличие в других городах (см. cityAvailability.js); клик по ячейке открывает то же окно
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'city-availability-btn';
+    button.setAttribute('aria-label', 'Наличие в других городах');
+    button.setAttribute('aria-haspopup', 'dialog');
+    button.setAttribute('aria-expanded', 'false');
+    button.innerHTML = '<i class="fas fa-map-marker-alt" aria-hidden="true"></i>';
+    cell.appendChild(button);
     return cell;
 }
 
@@ -284,17 +339,35 @@ function createCartCell(product) {
     const input = document.createElement('input');
     input.className = 'form-control quantity-input';
     input.type = 'number';
-    input.value = 1;
-    input.min = 1;
+    applyQuantityRules(input, product);
     const button = document.createElement('button');
     button.className = 'add-to-cart-btn';
     button.innerHTML = '<i class="fas fa-shopping-cart"></i>';
     button.dataset.productId = product.product_id;
+    const indicator = document.createElement('span');
+    indicator.className = 'in-cart-indicator';
     cell.appendChild(input);
     cell.appendChild(button);
+    cell.appendChild(indicator);
+    setCartIndicator(indicator, cartStore.getQuantity(product.product_id));
     return cell;
 }
 
+/**
+ * Отметить в строках каталога товары, которые уже лежат в корзине
+ */
+export function updateCartIndicators(items) {
+    getProductRows().forEach(row => {
+        const indicator = row.querySelector('.in-cart-indicator');
+        if (indicator) setCartIndicator(indicator, items[row.dataset.productId]?.quantity || 0);
+    });
+}
+
+function setCartIndicator(indicator, quantity) {
+    indicator.hidden = quantity <= 0;
+    indicator.textContent = quantity > 0 ? `В корзине: ${quantity}` : '';
+}
+
 function createAdditionalFieldsCell() {
     const cell = document.createElement('td');
     const span = document.createElement('span');
@@ -347,21 +420,3 @@ function loadMissingAvailability() {
         loadAvailability(ids);
     }
 }
-
-function initializeColResizable() {
-    try {
-        if (typeof jQuery !== 'undefined' && jQuery.fn.colResizable) {
-            const $table = jQuery('#productTable');
-            if ($table.length > 0) {
-                $table.colResizable('destroy');
-                $table.colResizable({
-                    liveDrag: true,
-                    minWidth: 30,
-                    hoverCursor: "col-resize"
-                });
-            }
-        }
-    } catch (e) {
-        console.warn('colResizable не инициализирован:', e.message);
-    }
-}
\ No newline at end of file
@@ -0,0 +1,238 @@
+import { showToast, pluralize } from "./utils.js";
+import { cartStore } from "./services/CartStore.js";
+
+/**
+ * Сохраненные корзины (черновики) на странице корзины
+ * Сохранить текущую корзину под именем, переключиться на черновик, сделать копию, удалить.
+ * Черновики хранятся на сервере (/cart/saved, см. SavedCartService) - только для вошедших пользователей
+ */
+
+const BASE_URL = '/cart/saved';
+
+let panel = null;
+let carts = [];
+let activeId = null;
+let busy = false;
+
+export function initSavedCarts() {
+    panel = document.querySelector('.saved-carts');
+    if (!panel || window.USER_LOGGED_IN !== true) return;
+
+    panel.querySelector('.saved-carts-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveCart(e.submitter?.dataset.target === 'active');
+    });
+
+    panel.querySelector('.saved-carts-list')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const cart = carts.find(item => String(item.id) === button.closest('[data-cart-id]')?.dataset.cartId);
+        if (!cart) return;
+
+        if (button.dataset.action === 'open') openCart(cart);
+        if (button.dataset.action === 'duplicate') duplicateCart(cart);
+        if (button.dataset.action === 'delete') deleteCart(cart);
+    });
+
+    // Сохранять пустую корзину нечего
+    cartStore.subscribe(() => updateForm());
+
+    loadSavedCarts();
+}
+
+export async function loadSavedCarts() {
+    try {
+        applyResponse(await request(BASE_URL));
+    } catch (error) {
+        showToast(error.message || 'Не удалось загрузить сохраненные корзины', true);
+    }
+}
+
+async function saveCart(toActive) {
+    const input = panel.querySelector('.saved-carts-name');
+    const active = carts.find(cart => cart.id === activeId);
+    const name = toActive && active ? active.name : input.value.trim();
+
+    if (!name) {
+        showToast('Укажите название корзины', true);
+        input.focus();
+        return;
+    }
+
+    const fields = { name };
+    if (toActive && active) fields.id = active.id;
+
+    if (await run('save', fields)) {
+        input.value = '';
+        showToast(toActive ? 'Черновик обновлен' : 'Корзина сохранена');
+    }
+}
+
+async function openCart(cart) {
+    const hasItems = cartStore.getTotalQuantity() > 0;
+    if (hasItems && !confirm(`Текущая корзина будет заменена черновиком «${cart.name}». Несохраненные изменения пропадут. Продолжить?`)) {
+        return;
+    }
+
+    if (!await run('open', { id: cart.id })) return;
+
+    // Загружаем корзину через cartStore, чтобы ее получили бейдж и другие вкладки,
+    // затем перерисовываем страницу: строки таблицы формирует сервер
+    await cartStore.load().catch(() => {});
+    window.location.reload();
+}
+
+async function duplicateCart(cart) {
+    if (await run('duplicate', { id: cart.id })) {
+        showToast('Копия черновика создана');
+    }
+}
+
+async function deleteCart(cart) {
+    if (!confirm(`Удалить черновик «${cart.name}»?`)) return;
+
+    if (await run('delete', { id: cart.id })) {
+        showToast('Черновик удален');
+    }
+}
+
+/**
+ * Выполнить действие; пока оно идет, кнопки панели заблокированы
+ */
+async function run(action, fields) {
+    if (busy) return false;
+
+    busy = true;
+    panel.classList.add('is-busy');
+    try {
+        applyResponse(await request(`${BASE_URL}/${action}`, fields));
+        return true;
+    } catch (error) {
+        showToast(error.message || 'Не удалось выполнить действие', true);
+        return false;
+    } finally {
+        busy = false;
+        panel.classList.remove('is-busy');
+        updateForm();
+    }
+}
+
+async function request(url, fields = null) {
+    const options = { credentials: 'same-origin' };
+
+    if (fields) {
+        const formData = new FormData();
+        Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+        formData.append('csrf_token', window.CSRF_TOKEN || '');
+        options.method = 'POST';
+        options.body = formData;
+    }
+
+    const res = await fetch(url, options);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.success) {
+        throw new Error(data.message || 'Ошибка сервера');
+    }
+    return data;
+}
+
+function applyResponse(data) {
+    carts = Array.isArray(data.carts) ? data.carts : [];
+    activeId = data.active_id ? Number(data.active_id) : null;
+    render();
+}
+
+/* ---------- Отрисовка ---------- */
+
+function render() {
+    const list = panel.querySelector('.saved-carts-list');
+    list.innerHTML = '';
+
+    if (!carts.length) {
+        const empty = document.createElement('li');
+        empty.className = 'saved-carts-empty';
+        empty.textContent = 'Сохраненных корзин пока нет';
+        list.appendChild(empty);
+    }
+
+    carts.forEach(cart => list.appendChild(createItem(cart)));
+    updateForm();
+}
+
+function createItem(cart) {
+    const li = document.createElement('li');
+    li.className = 'saved-cart';
+    li.dataset.cartId = cart.id;
+    if (cart.id === activeId) li.classList.add('is-active');
+
+    const info = document.createElement('div');
+    info.className = 'saved-cart-info';
+
+    const name = document.createElement('span');
+    name.className = 'saved-cart-name';
+    name.textContent = cart.name;
+    info.appendChild(name);
+
+    if (cart.id === activeId) {
+        const badge = document.createElement('span');
+        badge.className = 'saved-cart-badge';
+        badge.textContent = 'открыта';
+        info.appendChild(badge);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'saved-cart-meta';
+    meta.textContent = [
+        `${cart.items_count} ${pluralize(cart.items_count, ['позиция', 'позиции', 'позиций'])}`,
+        `${Number(cart.total).toFixed(2)} руб.`,
+        `изменена ${formatDate(cart.updated_at)}`
+    ].join(' · ');
+    info.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'saved-cart-actions';
+    actions.appendChild(createActionButton('open', 'Открыть', `Открыть черновик «${cart.name}»`, cart.id === activeId ? 'btn-secondary' : 'btn-primary'));
+    actions.appendChild(createActionButton('duplicate', 'Копия', `Копировать черновик «${cart.name}»`, 'btn-secondary'));
+    actions.appendChild(createActionButton('delete', 'Удалить', `Удалить черновик «${cart.name}»`, 'btn-danger'));
+
+    li.appendChild(info);
+    li.appendChild(actions);
+    return li;
+}
+
+function createActionButton(action, text, label, variant) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn btn-sm ${variant}`;
+    button.dataset.action = action;
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    return button;
+}
+
+/**
+ * Кнопка «Сохранить в черновик» - только когда черновик открыт; обе кнопки - только для непустой корзины
+ */
+function updateForm() {
+    if (!panel) return;
+
+    const empty = cartStore.getTotalQuantity() === 0;
+    const active = carts.find(cart => cart.id === activeId);
+
+    const newButton = panel.querySelector('[data-target="new"]');
+    if (newButton) newButton.disabled = empty || busy;
+
+    const activeButton = panel.querySelector('[data-target="active"]');
+    if (activeButton) {
+        activeButton.hidden = !active;
+        activeButton.disabled = empty || busy;
+        activeButton.textContent = active ? `Сохранить в «${active.name}»` : '';
+    }
+}
+
+function formatDate(value) {
+    const date = new Date(String(value).replace(' ', 'T'));
+    if (Number.isNaN(date.getTime())) return value;
+    return date.toLocaleString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Клиентский кеш с вытеснением LRU, TTL и stale-while-revalidate
+ * Опционально сохраняет записи в IndexedDB, чтобы повторный визит получал результаты сразу
+ */
+export class CacheStore {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 200;
+        this.ttl = options.ttl || 5 * 60 * 1000;            // Свежие данные
+        this.staleTtl = options.staleTtl || 30 * 60 * 1000; // Устаревшие, но пригодные для показа
+        this.dbName = options.dbName || 'vdestor-cache';
+        this.storeName = options.storeName || 'entries';
+
+        this.entries = new Map();
+        this.stats = {
+            hits: 0,
+            staleHits: 0,
+            misses: 0,
+            sets: 0,
+            evictions: 0,
+            restored: 0
+        };
+
+        this.db = null;
+        this.ready = options.persist && typeof indexedDB !== 'undefined'
+            ? this.hydrate().catch(error => {
+                console.warn('CacheStore: IndexedDB недоступен', error);
+            })
+            : Promise.resolve();
+    }
+
+    /**
+     * Получить запись
+     * Возвращает { value, stale } или null, если записи нет или она слишком старая
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        const age = Date.now() - entry.timestamp;
+        if (age > this.staleTtl) {
+            this.delete(key);
+            this.stats.misses++;
+            return null;
+        }
+
+        // Обновляем позицию в LRU
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        const stale = age > this.ttl;
+        if (stale) {
+            this.stats.staleHits++;
+        } else {
+            this.stats.hits++;
+        }
+
+        return { value: entry.value, stale };
+    }
+
+    set(key, value) {
+        const entry = { key, value, timestamp: Date.now() };
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.sets++;
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.stats.evictions++;
+            this.persistDelete(oldestKey);
+        }
+
+        this.persistPut(entry);
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+        this.persistDelete(key);
+    }
+
+    /**
+     * Очистить кеш целиком или только записи с заданным префиксом ключа
+     */
+    clear(prefix = '') {
+        if (!prefix) {
+            this.entries.clear();
+            this.withStore('readwrite', store => store.clear());
+            return;
+        }
+
+        Array.from(this.entries.keys())
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => this.delete(key));
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+        return {
+            ...this.stats,
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            hitRate: lookups ? Math.round((this.stats.hits + this.stats.staleHits) / lookups * 100) / 100 : 0,
+            persistent: Boolean(this.db)
+        };
+    }
+
+    resetStats() {
+        Object.keys(this.stats).forEach(key => {
+            this.stats[key] = 0;
+        });
+    }
+
+    /**
+     * Загрузка сохраненных записей из IndexedDB
+     */
+    async hydrate() {
+        this.db = await this.openDatabase();
+
+        const saved = await new Promise((resolve, reject) => {
+            const request = this.db
+                .transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+
+        const now = Date.now();
+        saved
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(entry => {
+                if (now - entry.timestamp > this.staleTtl) {
+                    this.persistDelete(entry.key);
+                } else if (!this.entries.has(entry.key)) {
+                    this.entries.set(entry.key, entry);
+                    this.stats.restored++;
+                }
+            });
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.persistDelete(oldestKey);
+        }
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    persistPut(entry) {
+        this.withStore('readwrite', store => store.put(entry));
+    }
+
+    persistDelete(key) {
+        this.withStore('readwrite', store => store.delete(key));
+    }
+
+    withStore(mode, callback) {
+        if (!this.db) return;
+        try {
+            callback(this.db.transaction(this.storeName, mode).objectStore(this.storeName));
+        } catch (error) {
+            // Ошибки записи (квота, приватный режим) не должны ломать поиск
+            console.warn('CacheStore: ошибка IndexedDB', error);
+        }
+    }
+}
@@ -0,0 +1,226 @@
+import { postOrQueue } from '../offline.js';
+
+/**
+ * Хранилище корзины: единый источник данных для бейджа, страницы корзины и строк каталога
+ * Изменения применяются сразу (оптимистично) и откатываются, если сервер их отклонил.
+ * Формат совпадает с /cart/json: { [product_id]: { product_id, quantity, ... } }
+ */
+
+export class CartStore {
+    constructor() {
+        this.items = {};
+        this.listeners = new Set();
+        this.loaded = false;
+        // Запросы в работе: пока они не завершены, ответ /cart/json может быть устаревшим
+        this.pending = 0;
+    }
+
+    /**
+     * Копия содержимого корзины
+     */
+    get() {
+        return Object.fromEntries(
+            Object.entries(this.items).map(([id, item]) => [id, { ...item }])
+        );
+    }
+
+    getQuantity(productId) {
+        return this.items[productId]?.quantity || 0;
+    }
+
+    /**
+     * Общее количество единиц товара (для бейджа)
+     */
+    getTotalQuantity() {
+        return Object.values(this.items).reduce((sum, item) => sum + (parseInt(item.quantity, 10) || 0), 0);
+    }
+
+    /**
+     * Подписка на изменения корзины; возвращает функцию отписки
+     * listener(items, source): source - 'local' (изменение на этой странице),
+     * 'server' (загружено с сервера) или 'remote' (пришло из другой вкладки)
+     * Если корзина уже загружена, слушатель сразу получает текущее состояние
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        if (this.loaded) listener(this.get(), 'server');
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Загрузить корзину с сервера
+     */
+    async load() {
+        const res = await fetch('/cart/json', { credentials: 'same-origin' });
+        if (!res.ok) throw new Error('Ошибка загрузки корзины');
+
+        const data = await res.json();
+        // Ответ устарел, если за время запроса появились новые изменения
+        if (this.pending === 0) {
+            this.loaded = true;
+            this.setItems(data.cart || {}, 'server');
+        }
+        return this.get();
+    }
+
+    /**
+     * Добавить товар; при ошибке сервера изменение откатывается и выбрасывается Error
+     * Возвращает { queued: true }, если нет сети и запрос отложен
+     */
+    async add(productId, quantity = 1) {
+        const id = String(productId);
+        quantity = parseInt(quantity, 10) || 1;
+
+        const current = this.items[id];
+        this.setItems({
+            ...this.items,
+            [id]: { ...current, product_id: parseInt(id, 10), quantity: (parseInt(current?.quantity, 10) || 0) + quantity }
+        });
+
+        return this.send('/cart/add', { product_id: id, quantity }, () => this.subtract([{ product_id: id, quantity }]));
+    }
+
+    /**
+     * Добавить несколько товаров одним запросом
+     * items - [{ product_id, quantity }]; в ответе failed - [{ product_id, message }] по товарам,
+     * которые сервер не принял (их оптимистичное добавление откатывается)
+     */
+    async addMany(items) {
+        const list = items.map(item => ({
+            product_id: String(item.product_id),
+            quantity: parseInt(item.quantity, 10) || 1
+        }));
+
+        const next = { ...this.items };
+        list.forEach(({ product_id: id, quantity }) => {
+            const current = next[id];
+            next[id] = { ...current, product_id: parseInt(id, 10), quantity: (parseInt(current?.quantity, 10) || 0) + quantity };
+        });
+        this.setItems(next);
+
+        const result = await this.send('/cart/add-batch', { items: JSON.stringify(list) }, () => this.subtract(list));
+
+        const failedIds = new Set((result.failed || []).map(item => String(item.product_id)));
+        if (failedIds.size) {
+            this.subtract(list.filter(item => failedIds.has(item.product_id)));
+        }
+        return result;
+    }
+
+    /**
+     * Установить количество товара (0 - удалить)
+     */
+    async update(productId, quantity) {
+        const id = String(productId);
+        quantity = parseInt(quantity, 10);
+        if (!(quantity > 0)) return this.remove(id);
+
+        const previous = this.items[id];
+        if (!previous) return { success: true };
+        if (parseInt(previous.quantity, 10) === quantity) return { success: true };
+
+        this.setItems({ ...this.items, [id]: { ...previous, quantity } });
+
+        return this.send('/cart/update', { productId: id, quantity }, () => {
+            // Откатываем, только если количество не меняли повторно, пока шел запрос
+            if (this.items[id]?.quantity === quantity) {
+                this.setItems({ ...this.items, [id]: previous });
+            }
+        });
+    }
+
+    async remove(productId) {
+        const id = String(productId);
+        const previous = this.items[id];
+        if (!previous) return { success: true };
+
+        const rest = { ...this.items };
+        delete rest[id];
+        this.setItems(rest);
+
+        return this.send('/cart/remove', { productId: id }, () => {
+            // Товар могли снова добавить, пока шел запрос
+            if (!this.items[id]) {
+                this.setItems({ ...this.items, [id]: previous });
+            }
+        });
+    }
+
+    async clear() {
+        const snapshot = this.items;
+        this.setItems({});
+
+        return this.send('/cart/clear', {}, () => {
+            this.setItems({ ...snapshot, ...this.items });
+        });
+    }
+
+    async send(url, fields, rollback) {
+        this.pending++;
+        try {
+            const res = await postOrQueue(url, fields);
+            // Нет сети - изменение остается в корзине и отправится при подключении
+            if (res.queued) return { queued: true };
+
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.success) {
+                const error = new Error(data.message || 'Не удалось изменить корзину');
+                // Подробности ответа (например, ошибки по товарам при пакетном добавлении)
+                error.details = data;
+                throw error;
+            }
+            return data;
+        } catch (error) {
+            rollback();
+            throw error;
+        } finally {
+            this.pending--;
+            // Сверяемся с сервером, когда все изменения отправлены
+            if (this.pending === 0) {
+                this.load().catch(error => console.warn('Cart reload error:', error));
+            }
+        }
+    }
+
+    /**
+     * Откатить оптимистичное добавление
+     */
+    subtract(list) {
+        const rest = { ...this.items };
+        list.forEach(({ product_id: id, quantity }) => {
+            const item = rest[id];
+            if (!item) return;
+            const left = (parseInt(item.quantity, 10) || 0) - quantity;
+            if (left > 0) {
+                rest[id] = { ...item, quantity: left };
+            } else {
+                delete rest[id];
+            }
+        });
+        this.setItems(rest);
+    }
+
+    /**
+     * Применить состояние корзины из другой вкладки (см. tabSync.js)
+     * Пока здесь есть неотправленные изменения, снимок пропускаем: сверка с сервером будет после них
+     */
+    applySnapshot(items) {
+        if (this.pending > 0) return;
+        this.loaded = true;
+        this.setItems(items || {}, 'remote');
+    }
+
+    setItems(items, source = 'local') {
+        this.items = items;
+        // Для старого кода, который читает корзину из window
+        window.cart = this.get();
+        this.notify(source);
+    }
+
+    notify(source = 'local') {
+        const items = this.get();
+        this.listeners.forEach(listener => listener(items, source));
+    }
+}
+
+export const cartStore = new CartStore();
@@ -1,3 +1,7 @@
+import { CacheStore } from './CacheStore.js';
+import { searchHistoryService } from './SearchHistoryService.js';
+import { getCorrectedQuery } from '../keyboardLayout.js';
+
 /**
  * Централизованный сервис для работы с товарами
  * Версия 2.0 - с интеллектуальным поиском
@@ -5,19 +9,26 @@
 export class ProductService {
     constructor() {
         this.baseUrl = '/api';
-        this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 минут
+        this.cache = new CacheStore({
+            maxEntries: 200,
+            ttl: this.cacheTimeout,
+            staleTtl: 30 * 60 * 1000, // Устаревшие результаты показываем, пока идет обновление
+            persist: true
+        });
+        this.revalidating = new Map();
         this.requestTimeout = 10000; // 10 секунд
         this.searchDebounceTime = 300; // мс
         this.searchDebounceTimer = null;
         this.lastSearchQuery = '';
-        this.searchHistory = this.loadSearchHistory();
     }
     
     /**
      * Универсальный поиск товаров с интеллектуальными функциями
+     * options.signal - AbortSignal для отмены запроса, который заменен более новым
+     * options.onRevalidate - вызывается со свежим результатом, если был отдан устаревший из кеша
      */
-    async search(params = {}) {
+    async search(params = {}, options = {}) {
         const endpoint = `${this.baseUrl}/search`;
         const allowedSorts = ['relevance', 'name', 'price_asc', 'price_desc', 'availability', 'popularity'];
         
@@ -33,14 +44,33 @@ export class ProductService {
         
         const cacheKey = this.getCacheKey('search', params);
         
-        // Проверка кеша
-        const cached = this.getFromCache(cacheKey);
-        if (cached) return cached;
+        // Проверка кеша (stale-while-revalidate)
+        await this.cache.ready;
+        const cached = this.cache.get(cacheKey);
+        if (cached && !cached.stale) return cached.value;
+        
+        if (cached) {
+            this.revalidate(cacheKey, () => this.fetchSearch(endpoint, params, cacheKey))
+                .then(fresh => {
+                    if (fresh?.success) options.onRevalidate?.(fresh);
+                });
+            return { ...cached.value, stale: true };
+        }
         
+        return this.fetchSearch(endpoint, params, cacheKey, options.signal);
+    }
+    
+    /**
+     * Запрос поиска к API с сохранением результата в кеш
+     */
+    async fetchSearch(endpoint, params, cacheKey, signal = null) {
         try {
-            const response = await this.request(endpoint, params);
+            const response = await this.request(endpoint, params, null, signal);
             
             if (response.success) {
+                // Ответ из кеша (fallback при 503) уже имеет итоговый формат
+                if (response.fallback_used === 'cache') return response;
+                
                 const result = {
                     success: true,
                     data: {
@@ -57,22 +87,43 @@ export class ProductService {
                 // Постобработка результатов
                 this.enhanceSearchResults(result.data, params.q);
                 
-                this.saveToCache(cacheKey, result);
+                // Офлайн-ответ service worker'а не кешируем: иначе старые данные станут «свежими»
+                if (response.offline) {
+                    result.offline = response.offline;
+                } else {
+                    this.saveToCache(cacheKey, result);
+                }
                 return result;
             }
             
             return this.errorResponse('Search failed');
             
         } catch (error) {
+            // Отмененный запрос - не ошибка, вызывающий код просто игнорирует результат
+            if (error.name === 'AbortError') throw error;
             console.error('Search error:', error);
             return this.errorResponse(error.message);
         }
     }
     
+    /**
+     * Фоновое обновление устаревшей записи кеша (один запрос на ключ)
+     */
+    revalidate(cacheKey, loader) {
+        if (!this.revalidating.has(cacheKey)) {
+            const promise = loader()
+                .catch(() => null)
+                .finally(() => this.revalidating.delete(cacheKey));
+            this.revalidating.set(cacheKey, promise);
+        }
+        return this.revalidating.get(cacheKey);
+    }
+    
     /**
      * Автодополнение с интеллектуальными предложениями
+     * options.signal - AbortSignal для отмены устаревшего запроса
      */
-    async autocomplete(query, limit = 10) {
+    async autocomplete(query, limit = 10, options = {}) {
         if (!query || query.length < 1) {
             // Показываем историю поиска если пусто
             return { 
@@ -85,17 +136,17 @@ export class ProductService {
         const endpoint = `${this.baseUrl}/autocomplete`;
         
         try {
-            const response = await this.request(endpoint, { q: query, limit }, 3000);
+            const response = await this.request(endpoint, { q: query, limit }, 3000, options.signal);
             
             const suggestions = response.data?.suggestions || [];
             
-            // Добавляем подсказки из истории
-            const historySuggestions = this.searchHistory
-                .filter(h => h.toLowerCase().includes(query.toLowerCase()))
+            // Добавляем подсказки из истории (с учетом неверной раскладки и транслита)
+            const historySuggestions = searchHistoryService.find(query)
                 .slice(0, 3)
-                .map(text => ({
-                    text,
+                .map(entry => ({
+                    text: entry.query,
                     type: 'history',
+                    pinned: entry.pinned,
                     score: 100
                 }));
             
@@ -110,6 +161,7 @@ export class ProductService {
             };
             
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
             return { success: false, suggestions: [] };
         }
     }
@@ -134,8 +186,9 @@ export class ProductService {
         if (!ids.length) return { success: true, data: [] };
         
         const endpoint = `${this.baseUrl}/products/batch`;
-        const cacheKey = this.getCacheKey('batch', { ids: ids.sort(), cityId });
+        const cacheKey = this.getCacheKey('batch', { ids: [...ids].sort(), city_id: cityId });
         
+        await this.cache.ready;
         const cached = this.getFromCache(cacheKey);
         if (cached) return cached;
         
@@ -145,9 +198,18 @@ export class ProductService {
                 city_id: cityId || this.getCurrentCityId()
             });
             
+            // Ошибку не кешируем: иначе следующий вызов получит пустой список без запроса к серверу
+            if (response.success === false) {
+                return this.errorResponse(response.error);
+            }
+            // Fallback-ответ (например, результат поиска из кеша при 503) - не список товаров
+            if (!Array.isArray(response.data)) {
+                return this.errorResponse('Invalid response format');
+            }
+            
             const result = {
                 success: true,
-                data: response.data || []
+                data: response.data
             };
             
             this.saveToCache(cacheKey, result);
@@ -158,6 +220,38 @@ export class ProductService {
         }
     }
     
+    /**
+     * Найти товары по кодам (external_id или SKU) одним запросом
+     * На один код может прийти несколько товаров - сопоставляет вызывающий код
+     * Запрос POST: до 500 кодов не помещаются в URL
+     */
+    async getProductsByCodes(codes, cityId = null) {
+        if (!codes.length) return { success: true, data: [] };
+
+        const endpoint = `${this.baseUrl}/products/batch`;
+        const uniqueCodes = [...new Set(codes.map(code => String(code).trim()).filter(Boolean))];
+
+        try {
+            const response = await this.request(endpoint, {
+                codes: uniqueCodes.join(','),
+                city_id: cityId || this.getCurrentCityId()
+            }, null, null, 'POST');
+
+            // Ошибка сервера или сети - иначе все строки окажутся «не найдены»
+            if (response.success === false) {
+                return this.errorResponse(response.error);
+            }
+
+            return {
+                success: true,
+                data: response.data || []
+            };
+
+        } catch (error) {
+            return this.errorResponse(error.message);
+        }
+    }
+
     /**
      * Получить один товар
      */
@@ -282,7 +376,19 @@ export class ProductService {
             });
         }
         
-        if (searchData.total < 5 && query.length > 3) {
+        // Запрос набран не в той раскладке или транслитом - предлагаем исправленный
+        if (query && searchData.total === 0) {
+            const corrected = getCorrectedQuery(query);
+            if (corrected) {
+                suggestions.push({
+                    type: 'layout',
+                    text: `Возможно, вы имели в виду: "${corrected}"`,
+                    query: corrected
+                });
+            }
+        }
+        
+        if (query && searchData.total < 5 && query.length > 3) {
             // Предлагаем более короткий запрос
             const words = query.split(' ');
             if (words.length > 1) {
@@ -297,60 +403,35 @@ export class ProductService {
     }
     
     /**
-     * История поиска
+     * История поиска (хранение и синхронизация - SearchHistoryService)
      */
     saveToSearchHistory(query) {
         if (!query || query.length < 2) return;
-        
-        // Удаляем дубликаты
-        this.searchHistory = this.searchHistory.filter(q => q !== query);
-        
-        // Добавляем в начало
-        this.searchHistory.unshift(query);
-        
-        // Ограничиваем размер
-        if (this.searchHistory.length > 20) {
-            this.searchHistory = this.searchHistory.slice(0, 20);
-        }
-        
-        // Сохраняем в localStorage
-        try {
-            localStorage.setItem('searchHistory', JSON.stringify(this.searchHistory));
-        } catch (e) {
-            console.warn('Failed to save search history');
-        }
-    }
-    
-    loadSearchHistory() {
-        try {
-            const saved = localStorage.getItem('searchHistory');
-            return saved ? JSON.parse(saved) : [];
-        } catch (e) {
-            return [];
-        }
+        searchHistoryService.add(query);
     }
     
     getSearchHistorySuggestions(limit) {
-        return this.searchHistory
+        return searchHistoryService.getEntries()
             .slice(0, limit)
-            .map(text => ({
-                text,
+            .map(entry => ({
+                text: entry.query,
                 type: 'history',
+                pinned: entry.pinned,
                 score: 50
             }));
     }
     
     clearSearchHistory() {
-        this.searchHistory = [];
-        try {
-            localStorage.removeItem('searchHistory');
-        } catch (e) {}
+        searchHistoryService.clear();
     }
     
     /**
      * Универсальный метод запроса с улучшенной обработкой ошибок
+     * signal - внешний AbortSignal: при отмене запрос прерывается и бросает AbortError
+     * (в отличие от таймаута, для которого срабатывают fallback-стратегии)
+     * method - 'POST' передает параметры в теле запроса (длинные списки не помещаются в URL)
      */
-    async request(url, params = {}, timeout = null) {
+    async request(url, params = {}, timeout = null, signal = null, method = 'GET') {
         const controller = new AbortController();
         const requestId = this.generateRequestId();
         
@@ -359,21 +440,29 @@ export class ProductService {
             timeout || this.requestTimeout
         );
         
+        const abortFromCaller = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', abortFromCaller, { once: true });
+        }
+        
         try {
             // Санитизация параметров
             const cleanParams = this.sanitizeParams(params);
             const queryString = new URLSearchParams(cleanParams).toString();
-            const fullUrl = queryString ? `${url}?${queryString}` : url;
+            const isPost = method === 'POST';
+            const fullUrl = queryString && !isPost ? `${url}?${queryString}` : url;
             
-            console.log(`🔍 [${requestId}] Request: ${fullUrl}`);
+            console.log(`🔍 [${requestId}] Request: ${method} ${fullUrl}`);
             
             const response = await fetch(fullUrl, {
-                method: 'GET',
+                method,
                 headers: {
                     'Accept': 'application/json',
                     'X-Requested-With': 'XMLHttpRequest',
                     'X-Request-ID': requestId
                 },
+                body: isPost ? new URLSearchParams(cleanParams) : undefined,
                 credentials: 'same-origin',
                 signal: controller.signal
             });
@@ -391,15 +480,33 @@ export class ProductService {
                 throw new Error('INVALID_RESPONSE_FORMAT');
             }
             
+            // Ответ отдан service worker'ом из сохраненных данных (нет сети)
+            const cachedAt = response.headers.get('X-SW-Cached-At');
+            if (cachedAt) {
+                data.offline = { cached_at: Number(cachedAt) };
+            }
+            
             console.log(`✅ [${requestId}] Success`);
             return data;
             
         } catch (error) {
             clearTimeout(timeoutId);
-            return await this.handleRequestError(error, url, params, requestId);
+            
+            if (signal?.aborted) {
+                console.log(`⏹️ [${requestId}] Superseded`);
+                throw this.createAbortError();
+            }
+            
+            return await this.handleRequestError(error, url, params, requestId, signal);
+        } finally {
+            signal?.removeEventListener('abort', abortFromCaller);
         }
     }
     
+    createAbortError() {
+        return new DOMException('Request superseded', 'AbortError');
+    }
+    
     /**
      * Обработка HTTP ошибок
      */
@@ -436,18 +543,23 @@ export class ProductService {
     /**
      * Интеллектуальная обработка ошибок запроса
      */
-    async handleRequestError(error, url, params, requestId) {
+    async handleRequestError(error, url, params, requestId, signal = null) {
         console.error(`❌ [${requestId}] Error:`, error.message);
         
         // Специальная обработка для 503
         if (error.message === 'SERVICE_TEMPORARILY_UNAVAILABLE') {
-            return await this.handle503Error(url, params, requestId);
+            return await this.handle503Error(url, params, requestId, signal);
         }
         
         if (error.name === 'AbortError') {
             return await this.handleTimeoutError(url, params, requestId);
         }
         
+        // Запрос не дошел до сервера, и service worker не нашел сохраненного ответа
+        if (error instanceof TypeError || !navigator.onLine) {
+            return this.handleOfflineError(url, params, requestId);
+        }
+        
         // Общая fallback стратегия
         return this.getFallbackResponse(error, params);
     }
@@ -455,12 +567,12 @@ export class ProductService {
     /**
      * Специальная обработка 503 ошибок
      */
-    async handle503Error(url, params, requestId) {
+    async handle503Error(url, params, requestId, signal = null) {
         console.warn(`⚠️ [${requestId}] Service unavailable, trying fallback strategies`);
         
-        // Стратегия 1: Проверяем кеш
+        // Стратегия 1: Проверяем кеш (подойдут и устаревшие данные)
         const cacheKey = this.getCacheKey('search', params);
-        const cached = this.getFromCache(cacheKey);
+        const cached = this.getFromCache(cacheKey, { allowStale: true });
         
         if (cached) {
             console.log(`💾 [${requestId}] Using cache`);
@@ -484,8 +596,9 @@ export class ProductService {
                 
                 // Даем еще одну попытку с упрощенными параметрами
                 await new Promise(resolve => setTimeout(resolve, 1000)); // Пауза 1 сек
+                if (signal?.aborted) throw this.createAbortError();
                 
-                const result = await this.makeSimpleRequest(url, simplifiedParams);
+                const result = await this.makeSimpleRequest(url, simplifiedParams, signal);
                 return {
                     ...result,
                     warning: 'Показаны результаты упрощенного поиска',
@@ -493,6 +606,7 @@ export class ProductService {
                 };
                 
             } catch (e) {
+                if (signal?.aborted) throw this.createAbortError();
                 console.warn(`⚠️ [${requestId}] Simplified request also failed`);
             }
         }
@@ -501,12 +615,50 @@ export class ProductService {
         return this.getFallbackResponse(new Error('Service temporarily unavailable'), params);
     }
     
+    /**
+     * Обработка таймаута: отдаем кеш, если он есть
+     */
+    async handleTimeoutError(url, params, requestId) {
+        console.warn(`⏱️ [${requestId}] Request timed out`);
+        
+        const cached = this.getFromCache(this.getCacheKey('search', params), { allowStale: true });
+        if (cached) {
+            return {
+                ...cached,
+                warning: 'Показаны результаты из кеша - сервис поиска отвечает слишком долго',
+                fallback_used: 'cache'
+            };
+        }
+        
+        return this.getFallbackResponse(new Error('Request timeout'), params);
+    }
+    
+    /**
+     * Нет сети: отдаем клиентский кеш, чтобы таблица не очищалась
+     */
+    handleOfflineError(url, params, requestId) {
+        console.warn(`📴 [${requestId}] Network unavailable`);
+        
+        const cached = this.getFromCache(this.getCacheKey('search', params), { allowStale: true });
+        if (cached) {
+            return {
+                ...cached,
+                warning: 'Нет соединения - показаны сохраненные результаты',
+                fallback_used: 'cache',
+                offline: { cached_at: null }
+            };
+        }
+        
+        return this.getFallbackResponse(new Error('Network unavailable'), params);
+    }
+    
     /**
      * Упрощенный запрос
      */
-    async makeSimpleRequest(url, params) {
+    async makeSimpleRequest(url, params, signal = null) {
         const controller = new AbortController();
         setTimeout(() => controller.abort(), 5000); // Короткий timeout
+        signal?.addEventListener('abort', () => controller.abort(), { once: true });
         
         const queryString = new URLSearchParams(params).toString();
         const fullUrl = `${url}?${queryString}`;
@@ -571,6 +723,70 @@ export class ProductService {
         return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
     }
     
+    /**
+     * Работа с кешем
+     */
+    getCurrentCityId() {
+        return document.getElementById('citySelect')?.value
+            || localStorage.getItem('selectedCityId')
+            || '1';
+    }
+    
+    /**
+     * Ключ кеша: город + тип запроса + параметры в стабильном порядке
+     */
+    getCacheKey(type, params = {}) {
+        const cityId = params.city_id || params.cityId || this.getCurrentCityId();
+        const normalized = Object.keys(params)
+            .filter(key => !['city_id', 'cityId'].includes(key))
+            .filter(key => params[key] !== null && params[key] !== undefined && params[key] !== '')
+            .sort()
+            .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+            .join('&');
+        
+        // Цены персональные: у каждого пользователя (и у гостя) свои записи
+        return `city:${cityId}|user:${window.USER_ID || 'guest'}|${type}|${normalized}`;
+    }
+    
+    getFromCache(key, { allowStale = false } = {}) {
+        const cached = this.cache.get(key);
+        if (!cached || (cached.stale && !allowStale)) return null;
+        return cached.value;
+    }
+    
+    saveToCache(key, value) {
+        this.cache.set(key, value);
+    }
+    
+    /**
+     * Очистка кеша: целиком или только для одного города
+     */
+    clearCache(cityId = null) {
+        this.cache.clear(cityId ? `city:${cityId}|` : '');
+    }
+    
+    /**
+     * Удалить весь кеш, включая сохраненный в IndexedDB (выход или смена пользователя)
+     */
+    async clearUserCache() {
+        await this.cache.ready;
+        this.cache.clear();
+    }
+    
+    getCacheStats() {
+        return this.cache.getStats();
+    }
+    
+    /**
+     * Ответ, когда все стратегии восстановления не помогли
+     */
+    getFallbackResponse(error, params = {}) {
+        return {
+            ...this.errorResponse(error?.message || 'Request failed'),
+            fallback_used: 'none'
+        };
+    }
+    
     /**
      * Генерация ответа при ошибке
      */
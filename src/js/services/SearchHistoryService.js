@@ -0,0 +1,267 @@
+import { matchesQuery } from '../keyboardLayout.js';
+
+/**
+ * История поисковых запросов: закрепление, удаление, очистка
+ * Хранится в localStorage, для авторизованных пользователей синхронизируется с сервером
+ * Формат записи совпадает с серверным: { query, pinned, used_at, changed_at[, removed] }
+ * changed_at - время последнего изменения записи (поиск, закрепление, удаление): при объединении
+ * копий с разных устройств побеждает более позднее. Удаленные записи остаются отметками removed,
+ * чтобы удаление не отменила копия с другого устройства
+ */
+
+const STORAGE_KEY = 'searchHistory';
+const SYNCED_AT_KEY = 'searchHistorySyncedAt';
+const MAX_ENTRIES = 20;
+const MAX_PINNED = 10;
+const MAX_REMOVED = 50;
+// Уточнение запроса при наборе ("каб" -> "кабель") в пределах окна заменяет предыдущую запись
+const REFINE_WINDOW = 10000;
+const SAVE_DELAY = 1000;
+
+export class SearchHistoryService {
+    constructor() {
+        this.endpoint = '/api/search-history';
+        this.entries = this.load();
+        this.listeners = new Set();
+        this.saveTimer = null;
+    }
+
+    /**
+     * Синхронизация доступна только авторизованным пользователям
+     */
+    isSyncEnabled() {
+        return window.USER_LOGGED_IN === true;
+    }
+
+    /**
+     * Записи: сначала закрепленные, затем по времени использования
+     */
+    getEntries() {
+        return this.entries.filter(entry => !entry.removed);
+    }
+
+    /**
+     * Записи, подходящие под запрос (с учетом раскладки и транслита)
+     */
+    find(query) {
+        return this.getEntries().filter(entry => matchesQuery(entry.query, query));
+    }
+
+    add(query) {
+        query = String(query ?? '').trim();
+        if (query.length < 2) return;
+
+        const now = Date.now();
+        const key = query.toLowerCase();
+        const existing = this.getEntries().find(entry => entry.query.toLowerCase() === key);
+
+        const latest = this.getEntries().find(entry => !entry.pinned);
+        const isRefinement = latest
+            && latest !== existing
+            && now - latest.used_at < REFINE_WINDOW
+            && (key.startsWith(latest.query.toLowerCase()) || latest.query.toLowerCase().startsWith(key));
+
+        this.entries = this.entries
+            .filter(entry => entry.query.toLowerCase() !== key)
+            .map(entry => isRefinement && entry === latest ? markRemoved(entry, now) : entry);
+        this.entries.unshift({ query, pinned: existing?.pinned || false, used_at: now, changed_at: now });
+        this.commit();
+    }
+
+    remove(query) {
+        const now = Date.now();
+        this.entries = this.entries.map(entry => entry.query === query ? markRemoved(entry, now) : entry);
+        this.commit();
+    }
+
+    /**
+     * Закрепить/открепить запрос; возвращает новое состояние
+     */
+    togglePin(query) {
+        const entry = this.getEntries().find(e => e.query === query);
+        if (!entry) return false;
+
+        if (!entry.pinned && this.getEntries().filter(e => e.pinned).length >= MAX_PINNED) {
+            throw new Error(`Можно закрепить не более ${MAX_PINNED} запросов`);
+        }
+
+        entry.pinned = !entry.pinned;
+        entry.changed_at = Date.now();
+        this.commit();
+        return entry.pinned;
+    }
+
+    clear() {
+        const now = Date.now();
+        this.entries = this.entries.map(entry => markRemoved(entry, now));
+        this.commit();
+    }
+
+    /**
+     * Забыть историю только в этом браузере (выход пользователя): на сервере она остается
+     */
+    reset() {
+        clearTimeout(this.saveTimer);
+        this.entries = [];
+        localStorage.removeItem(STORAGE_KEY);
+        localStorage.removeItem(SYNCED_AT_KEY);
+        this.notify();
+    }
+
+    /**
+     * Подписка на изменения истории; возвращает функцию отписки
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Загрузить историю с сервера и объединить с локальными изменениями,
+     * сделанными после прошлой синхронизации (например, до входа в систему)
+     */
+    async sync() {
+        if (!this.isSyncEnabled()) return;
+
+        try {
+            const response = await fetch(this.endpoint, {
+                credentials: 'same-origin',
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const result = await response.json();
+            if (!result.success) throw new Error(result.message || 'Sync failed');
+
+            const syncedAt = parseInt(localStorage.getItem(SYNCED_AT_KEY) || '0', 10);
+            const localChanges = this.entries.filter(entry => entry.changed_at > syncedAt);
+            const serverEntries = result.data?.entries || [];
+
+            // Из двух копий записи остается более поздняя - локальные изменения не теряются,
+            // а удаления и открепления с других устройств не откатываются
+            this.entries = normalize([...serverEntries, ...localChanges]);
+            this.persist();
+            this.notify();
+
+            if (localChanges.length) {
+                await this.pushToServer();
+            } else {
+                localStorage.setItem(SYNCED_AT_KEY, String(Date.now()));
+            }
+        } catch (error) {
+            console.warn('Search history sync error:', error);
+        }
+    }
+
+    commit() {
+        this.entries = normalize(this.entries);
+        this.persist();
+        this.notify();
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (!this.isSyncEnabled()) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.pushToServer(), SAVE_DELAY);
+    }
+
+    async pushToServer() {
+        const formData = new FormData();
+        formData.append('entries', JSON.stringify(this.entries));
+        formData.append('csrf_token', window.CSRF_TOKEN || '');
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                body: formData,
+                credentials: 'same-origin'
+            });
+            const result = await response.json();
+            if (!result.success) throw new Error(result.message || 'Save failed');
+
+            localStorage.setItem(SYNCED_AT_KEY, String(Date.now()));
+        } catch (error) {
+            // Локальная история остается, изменения уйдут при следующей синхронизации
+            console.warn('Search history save error:', error);
+        }
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            const now = Date.now();
+            // Старый формат - массив строк, новые запросы в начале
+            return normalize(saved.map((item, index) => typeof item === 'string'
+                ? { query: item, pinned: false, used_at: now - index, changed_at: now - index }
+                : item));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (e) {
+            console.warn('Failed to save search history');
+        }
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.getEntries()));
+    }
+}
+
+/**
+ * Отметка об удалении записи (не показывается, но участвует в объединении копий)
+ */
+function markRemoved(entry, changedAt) {
+    return { query: entry.query, pinned: false, used_at: entry.used_at, changed_at: changedAt, removed: true };
+}
+
+/**
+ * Убрать дубликаты, отсортировать и применить лимиты (как SearchHistoryService::normalize на сервере)
+ * Из дубликатов остается запись с более поздним changed_at, used_at - наибольший
+ */
+function normalize(entries) {
+    const unique = new Map();
+
+    entries.forEach(entry => {
+        const query = String(entry?.query ?? '').trim();
+        if (!query) return;
+
+        const usedAt = Number(entry.used_at) || 0;
+        const current = {
+            query,
+            pinned: !entry.removed && Boolean(entry.pinned),
+            used_at: usedAt,
+            // Записи старого формата без changed_at
+            changed_at: Number(entry.changed_at) || usedAt
+        };
+        if (entry.removed) current.removed = true;
+
+        const key = query.toLowerCase();
+        const previous = unique.get(key);
+        if (!previous) {
+            unique.set(key, current);
+            return;
+        }
+
+        const newer = current.changed_at >= previous.changed_at ? current : previous;
+        unique.set(key, { ...newer, used_at: Math.max(current.used_at, previous.used_at) });
+    });
+
+    const byUsage = (a, b) => b.used_at - a.used_at;
+    const all = Array.from(unique.values());
+    const active = all.filter(e => !e.removed);
+
+    return [
+        ...active.filter(e => e.pinned).sort(byUsage).slice(0, MAX_PINNED),
+        ...active.filter(e => !e.pinned).sort(byUsage).slice(0, MAX_ENTRIES),
+        ...all.filter(e => e.removed).sort((a, b) => b.changed_at - a.changed_at).slice(0, MAX_REMOVED)
+    ];
+}
+
+export const searchHistoryService = new SearchHistoryService();
@@ -0,0 +1,47 @@
+import { productService } from "./services/ProductService.js";
+import { searchHistoryService } from "./services/SearchHistoryService.js";
+import { clearOfflineQueue } from "./offline.js";
+
+/**
+ * Данные пользователя, сохраненные в браузере (кеш каталога с персональными ценами,
+ * отложенные изменения корзины, история поиска), удаляются при выходе и при смене пользователя -
+ * чтобы они не достались следующему. Выход по ссылке обрабатываем сразу; истекшую сессию
+ * или вход под другим пользователем замечаем при загрузке страницы по сохраненному id пользователя
+ */
+
+const USER_KEY = 'sessionUserId';
+
+export function initSession() {
+    const current = getCurrentUser();
+    const previous = localStorage.getItem(USER_KEY);
+
+    if (previous !== null && previous !== current) {
+        clearUserData(previous);
+    }
+    localStorage.setItem(USER_KEY, current);
+
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('a[href="/logout"]')) {
+            clearUserData(current);
+        }
+    });
+}
+
+function getCurrentUser() {
+    return window.USER_ID ? String(window.USER_ID) : 'guest';
+}
+
+/**
+ * user - чьи данные удаляем. История поиска гостя при входе остается: она объединяется с серверной.
+ * Отложенные изменения гостя после входа не отправляются (см. replayOfflineQueue)
+ */
+function clearUserData(user) {
+    productService.clearUserCache().catch(error => {
+        console.warn('Не удалось очистить кеш каталога:', error);
+    });
+
+    if (user !== 'guest') {
+        clearOfflineQueue();
+        searchHistoryService.reset();
+    }
+}
\ No newline at end of file
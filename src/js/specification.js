@@ -1,34 +1,390 @@
 import { showToast } from "./utils.js";
 import { fetchCart } from "./cart.js";
+import { cartStore } from "./services/CartStore.js";
+import { productService } from "./services/ProductService.js";
+import { Modal } from "./components/Modal.js";
+
+/**
+ * Мастер создания спецификации из корзины
+ * Шаг 1 - состав: строки корзины с ценой и наличием; шаг 2 - реквизиты проекта.
+ * Поля проверяются до отправки, ошибки сервера (422, errors по полям) показываются у полей
+ */
+
+// Те же поля и ограничения, что в SpecificationController::META_FIELDS
+const FIELDS = [
+    { name: 'project_name', label: 'Название проекта', required: true, maxLength: 200 },
+    { name: 'customer', label: 'Заказчик', maxLength: 200 },
+    { name: 'delivery_address', label: 'Адрес доставки', maxLength: 500, multiline: true },
+    { name: 'delivery_date', label: 'Желаемая дата поставки', type: 'date' },
+    { name: 'comment', label: 'Комментарий', maxLength: 2000, multiline: true }
+];
+
+const STEPS = ['Состав', 'Реквизиты'];
+
+let wizard = null;
 
 export async function createSpecification() {
+    if (wizard) return;
+
+    if (!cartStore.loaded) await fetchCart();
+    const items = Object.values(cartStore.get());
+    if (!items.length) {
+        showToast('Корзина пуста', true);
+        return;
+    }
+
+    wizard = createWizard();
+    wizard.modal.open(wizard.buttons.next);
+    showStep(0);
+    await loadPreview(items);
+}
+
+function createWizard() {
+    const body = document.createElement('div');
+    body.className = 'spec-wizard';
+
+    const steps = document.createElement('ol');
+    steps.className = 'spec-wizard-steps';
+    STEPS.forEach((title, index) => {
+        const li = document.createElement('li');
+        li.textContent = `${index + 1}. ${title}`;
+        steps.appendChild(li);
+    });
+
+    const preview = document.createElement('div');
+    preview.className = 'spec-wizard-preview';
+    preview.setAttribute('aria-live', 'polite');
+
+    const form = createForm();
+
+    body.appendChild(steps);
+    body.appendChild(preview);
+    body.appendChild(form);
+
+    const footer = document.createElement('div');
+    footer.className = 'spec-wizard-footer';
+    const buttons = {
+        back: createButton('Назад', 'btn-secondary'),
+        next: createButton('Далее', 'btn-primary'),
+        submit: createButton('Создать спецификацию', 'btn-primary')
+    };
+    Object.values(buttons).forEach(button => footer.appendChild(button));
+
+    buttons.back.addEventListener('click', () => showStep(0));
+    buttons.next.addEventListener('click', () => showStep(1));
+    buttons.submit.addEventListener('click', () => form.requestSubmit());
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submit();
+    });
+
+    const modal = new Modal({
+        title: 'Новая спецификация',
+        body,
+        footer,
+        className: 'spec-wizard-modal',
+        onClose: () => { wizard = null; }
+    });
+
+    return { modal, steps, preview, form, buttons, step: 0, submitting: false };
+}
+
+function createButton(text, variant) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn ${variant}`;
+    button.textContent = text;
+    return button;
+}
+
+function createForm() {
+    const form = document.createElement('form');
+    form.className = 'spec-wizard-form';
+    form.noValidate = true;
+
+    const formError = document.createElement('div');
+    formError.className = 'spec-wizard-error';
+    formError.setAttribute('role', 'alert');
+    formError.hidden = true;
+    form.appendChild(formError);
+
+    FIELDS.forEach(field => {
+        const id = `spec-${field.name}`;
+
+        const group = document.createElement('div');
+        group.className = 'spec-field';
+
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = field.required ? `${field.label} *` : field.label;
+
+        const input = document.createElement(field.multiline ? 'textarea' : 'input');
+        input.id = id;
+        input.name = field.name;
+        input.className = 'form-control';
+        if (field.multiline) {
+            input.rows = 2;
+        } else {
+            input.type = field.type || 'text';
+        }
+        if (field.maxLength) input.maxLength = field.maxLength;
+        if (field.required) input.required = true;
+        if (field.type === 'date') input.min = today();
+
+        const error = document.createElement('div');
+        error.className = 'spec-field-error';
+        error.id = `${id}-error`;
+        error.hidden = true;
+
+        input.addEventListener('input', () => setFieldError(field.name, null));
+
+        group.appendChild(label);
+        group.appendChild(input);
+        group.appendChild(error);
+        form.appendChild(group);
+    });
+
+    return form;
+}
+
+function showStep(step) {
+    if (!wizard) return;
+    wizard.step = step;
+
+    Array.from(wizard.steps.children).forEach((li, index) => {
+        li.classList.toggle('active', index === step);
+        if (index === step) {
+            li.setAttribute('aria-current', 'step');
+        } else {
+            li.removeAttribute('aria-current');
+        }
+    });
+
+    wizard.preview.hidden = step !== 0;
+    wizard.form.hidden = step !== 1;
+    wizard.buttons.back.hidden = step === 0;
+    wizard.buttons.next.hidden = step !== 0;
+    wizard.buttons.submit.hidden = step !== 1;
+
+    // Фокус на видимый элемент шага: скрытая кнопка, на которой он был, его теряет
+    if (step === 1) {
+        wizard.form.querySelector('input, textarea')?.focus();
+    } else {
+        wizard.buttons.next.focus();
+    }
+}
+
+/* ---------- Шаг 1: состав ---------- */
+
+async function loadPreview(items) {
+    const { preview } = wizard;
+    preview.textContent = 'Загрузка цен и наличия...';
+
+    const result = await productService.getProductsByIds(items.map(item => String(item.product_id)));
+    // Мастер могли закрыть, пока шел запрос
+    if (!wizard || wizard.preview !== preview) return;
+
+    if (!result.success || !Array.isArray(result.data)) {
+        preview.textContent = 'Не удалось загрузить цены и наличие. Спецификацию можно создать, цены будут взяты из прайса.';
+        return;
+    }
+
+    const products = new Map(result.data.map(product => [String(product.product_id), product]));
+    renderPreview(items, products);
+}
+
+function renderPreview(items, products) {
+    const { preview } = wizard;
+    preview.innerHTML = '';
+
+    const table = document.createElement('table');
+    table.className = 'spec-wizard-table';
+    table.createTHead().innerHTML = '<tr><th>Код</th><th>Товар</th><th>Кол-во</th><th>Цена</th><th>Сумма</th><th>Наличие</th></tr>';
+
+    const tbody = table.createTBody();
+    let total = 0;
+    let outOfStock = 0;
+
+    items.forEach(item => {
+        const product = products.get(String(item.product_id));
+        // В спецификацию попадает базовая цена (см. SpecificationController::createAction)
+        const price = Number(product?.base_price);
+        const quantity = parseInt(item.quantity, 10) || 0;
+        const availability = product?.availability;
+
+        const row = tbody.insertRow();
+        row.insertCell().textContent = product?.external_id || '—';
+        row.insertCell().textContent = product?.name || `Товар #${item.product_id}`;
+        row.insertCell().textContent = product?.unit ? `${quantity} ${product.unit}` : quantity;
+        row.insertCell().textContent = price > 0 ? `${price.toFixed(2)} руб.` : '—';
+        row.insertCell().textContent = price > 0 ? `${(price * quantity).toFixed(2)} руб.` : '—';
+
+        const stockCell = row.insertCell();
+        if (availability) {
+            stockCell.className = availability.in_stock ? 'in-stock' : 'out-of-stock';
+            stockCell.textContent = [availability.availability_text, availability.delivery_text].filter(Boolean).join(', ');
+            if (!availability.in_stock) outOfStock++;
+        } else {
+            stockCell.textContent = '—';
+        }
+
+        if (price > 0) total += price * quantity;
+    });
+
+    const footer = table.createTFoot().insertRow();
+    const label = footer.insertCell();
+    label.colSpan = 4;
+    label.textContent = 'Итого:';
+    const totalCell = footer.insertCell();
+    totalCell.colSpan = 2;
+    totalCell.className = 'spec-wizard-total';
+    totalCell.textContent = `${total.toFixed(2)} руб.`;
+
+    preview.appendChild(table);
+
+    if (outOfStock) {
+        const warning = document.createElement('p');
+        warning.className = 'spec-wizard-warning';
+        warning.textContent = `Нет в наличии: ${outOfStock} из ${items.length}. Сроки поставки уточнит менеджер.`;
+        preview.appendChild(warning);
+    }
+}
+
+/* ---------- Шаг 2: реквизиты и отправка ---------- */
+
+function validate(values) {
+    const errors = {};
+
+    FIELDS.forEach(field => {
+        const value = values[field.name];
+        if (field.required && !value) {
+            errors[field.name] = field.name === 'project_name' ? 'Укажите название проекта' : `Заполните поле «${field.label}»`;
+        } else if (field.maxLength && value.length > field.maxLength) {
+            errors[field.name] = `Не более ${field.maxLength} символов`;
+        }
+    });
+
+    if (values.delivery_date && !errors.delivery_date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(values.delivery_date)) {
+            errors.delivery_date = 'Некорректная дата';
+        } else if (values.delivery_date < today()) {
+            errors.delivery_date = 'Дата поставки не может быть в прошлом';
+        }
+    }
+
+    return errors;
+}
+
+async function submit() {
+    if (!wizard || wizard.submitting) return;
+
+    const values = Object.fromEntries(FIELDS.map(field => [
+        field.name,
+        String(wizard.form.elements[field.name].value || '').trim()
+    ]));
+
+    setFormError(null);
+    FIELDS.forEach(field => setFieldError(field.name, null));
+
+    const errors = validate(values);
+    if (Object.keys(errors).length) {
+        showErrors(errors);
+        return;
+    }
+
     const formData = new FormData();
-    formData.append('csrf_token', window.CSRF_TOKEN);
+    Object.entries(values).forEach(([name, value]) => formData.append(name, value));
+    formData.append('csrf_token', window.CSRF_TOKEN || '');
 
+    wizard.submitting = true;
+    wizard.buttons.submit.disabled = true;
     try {
         const res = await fetch('/specification/create', {
             method: 'POST',
             body: formData
         });
-        const text = await res.text();
+
         let data;
         try {
-            data = JSON.parse(text);
+            data = await res.json();
         } catch (e) {
-            showToast('Ошибка сервера: неверный ответ. Попробуйте позже.', true);
+            setFormError('Ошибка сервера: неверный ответ. Попробуйте позже.');
             return;
         }
+
         if (data.success) {
             showToast('Спецификация создана');
-            window.cart = {};
             fetchCart();
-            setTimeout(() => {
-                window.location.href = `/specification/${data.specification_id}`;
-            }, 1000);
+            window.location.href = `/specification/${data.specification_id}`;
+            return;
+        }
+
+        if (data.errors && Object.keys(data.errors).length) {
+            showErrors(data.errors);
         } else {
-            showToast(data.message || 'Ошибка создания спецификации', true);
+            setFormError(data.message || 'Ошибка создания спецификации');
         }
     } catch (err) {
-        showToast('Ошибка соединения с сервером', true);
+        setFormError('Ошибка соединения с сервером');
+    } finally {
+        if (wizard) {
+            wizard.submitting = false;
+            wizard.buttons.submit.disabled = false;
+        }
     }
+}
+
+/**
+ * errors - { поле: сообщение | [сообщения] }; ошибки неизвестных полей - общим сообщением над формой
+ */
+function showErrors(errors) {
+    const known = new Set(FIELDS.map(field => field.name));
+    const other = [];
+
+    Object.entries(errors).forEach(([name, messages]) => {
+        const message = Array.isArray(messages) ? messages.join('. ') : messages;
+        if (known.has(name)) {
+            setFieldError(name, message);
+        } else {
+            other.push(message);
+        }
+    });
+
+    if (other.length) setFormError(other.join('. '));
+
+    showStep(1);
+    const firstInvalid = wizard.form.querySelector('[aria-invalid="true"]');
+    firstInvalid?.focus();
+}
+
+function setFieldError(name, message) {
+    if (!wizard) return;
+    const input = wizard.form.elements[name];
+    const error = wizard.form.querySelector(`#spec-${name}-error`);
+    if (!input || !error) return;
+
+    error.textContent = message || '';
+    error.hidden = !message;
+    if (message) {
+        input.setAttribute('aria-invalid', 'true');
+        input.setAttribute('aria-describedby', error.id);
+    } else {
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('aria-describedby');
+    }
+}
+
+function setFormError(message) {
+    const element = wizard?.form.querySelector('.spec-wizard-error');
+    if (!element) return;
+    element.textContent = message || '';
+    element.hidden = !message;
+}
+
+/**
+ * Сегодняшняя дата по местному времени в формате YYYY-MM-DD
+ */
+function today() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
 }
\ No newline at end of file
@@ -0,0 +1,369 @@
+import { showToast } from "./utils.js";
+import { productService } from "./services/ProductService.js";
+import { buildXlsx, downloadBlob } from "./spreadsheet.js";
+import { buildPdfFromCanvases } from "./pdf.js";
+
+/**
+ * Выгрузка спецификации в PDF и XLSX (файлы формируются в браузере)
+ * Шапка с реквизитами компании, строки с наличием и сроком поставки, итоги с НДС.
+ * Кнопки - любые элементы с data-spec-export="pdf|xlsx" и data-spec-id
+ * (страница спецификации и список /specifications)
+ */
+
+// Страница A4 при 150 dpi
+const PAGE = { width: 1240, height: 1754, margin: 70 };
+const FONT = '"Inter", Arial, sans-serif';
+const LINE_HEIGHT = 22;
+const CELL_PADDING = 8;
+const FOOTER_HEIGHT = 40;
+
+const COLUMNS = [
+    { title: '№', width: 50, align: 'right', value: line => String(line.index) },
+    { title: 'Код', width: 140, value: line => line.code },
+    { title: 'Наименование', width: 360, value: line => line.name },
+    { title: 'Кол-во', width: 100, align: 'right', value: line => formatQuantity(line) },
+    { title: 'Цена, руб.', width: 120, align: 'right', value: line => formatMoney(line.price) },
+    { title: 'Сумма, руб.', width: 130, align: 'right', value: line => formatMoney(line.sum) },
+    { title: 'Наличие / поставка', width: 200, value: line => line.note || '—' }
+];
+
+const META_LABELS = {
+    project_name: 'Проект',
+    customer: 'Заказчик',
+    delivery_address: 'Адрес доставки',
+    delivery_date: 'Желаемая дата поставки',
+    comment: 'Комментарий'
+};
+
+export function initSpecificationExport() {
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-spec-export]');
+        if (!button) return;
+
+        e.preventDefault();
+        exportSpecification(button.dataset.specId, button.dataset.specExport, button);
+    });
+}
+
+export async function exportSpecification(id, format = 'pdf', button = null) {
+    if (!id || button?.disabled) return;
+
+    if (button) button.disabled = true;
+    try {
+        const doc = await loadDocument(id);
+        const filename = `specification-${String(id).startsWith('guest_') ? 'guest' : id}`;
+
+        if (format === 'xlsx') {
+            downloadBlob(buildXlsx(createSheetRows(doc), 'Спецификация'), `${filename}.xlsx`);
+        } else {
+            downloadBlob(await buildPdfFromCanvases(await renderPages(doc), { title: doc.title }), `${filename}.pdf`);
+        }
+    } catch (error) {
+        showToast(error.message || 'Не удалось выгрузить спецификацию', true);
+    } finally {
+        if (button) button.disabled = false;
+    }
+}
+
+/* ---------- Данные ---------- */
+
+/**
+ * Спецификация с реквизитами и строками (GET /specification/{id}/export)
+ * Используется и для повтора спецификации в корзину (specificationReorder.js)
+ */
+export async function fetchSpecificationData(id) {
+    const res = await fetch(`/specification/${encodeURIComponent(id)}/export`, { credentials: 'same-origin' });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.success) {
+        throw new Error(data.message || 'Не удалось загрузить спецификацию');
+    }
+    return data;
+}
+
+async function loadDocument(id) {
+    const data = await fetchSpecificationData(id);
+
+    // Наличие и сроки - на текущий момент для выбранного города; без них файл все равно формируется
+    const availability = new Map();
+    const ids = data.items.map(item => String(item.product_id));
+    const result = await productService.getProductsByIds(ids);
+    if (result.success && Array.isArray(result.data)) {
+        result.data.forEach(product => availability.set(String(product.product_id), product.availability));
+    }
+
+    const lines = data.items.map((item, index) => {
+        const stock = availability.get(String(item.product_id));
+        return {
+            index: index + 1,
+            code: item.external_id || '',
+            sku: item.sku || '',
+            name: [item.name || `Товар #${item.product_id}`, item.brand_name ? `(${item.brand_name})` : ''].filter(Boolean).join(' '),
+            unit: item.unit || '',
+            quantity: item.quantity,
+            price: item.price,
+            sum: roundMoney(item.price * item.quantity),
+            note: stock ? [stock.availability_text, stock.delivery_text].filter(Boolean).join(', ') : '',
+            inStock: stock ? Boolean(stock.in_stock) : null
+        };
+    });
+
+    const spec = data.specification;
+    const date = formatDate(spec.created_at);
+    const title = String(spec.specification_id).startsWith('guest_')
+        ? `Спецификация от ${date}`
+        : `Спецификация № ${spec.specification_id} от ${date}`;
+
+    return {
+        title,
+        company: data.company,
+        meta: Object.entries(META_LABELS)
+            .filter(([field]) => spec[field])
+            .map(([field, label]) => [label, field === 'delivery_date' ? formatDate(spec[field]) : spec[field]]),
+        lines,
+        totals: calculateTotals(lines, data.vat)
+    };
+}
+
+/**
+ * Итоги с НДС: цены прайса либо уже включают НДС (vat.included), либо НДС начисляется сверху
+ */
+function calculateTotals(lines, vat) {
+    const rate = Number(vat?.rate) || 0;
+    const total = roundMoney(lines.reduce((sum, line) => sum + line.sum, 0));
+
+    if (vat?.included) {
+        const vatAmount = roundMoney(total * rate / (100 + rate));
+        return { rate, net: roundMoney(total - vatAmount), vat: vatAmount, gross: total };
+    }
+
+    const vatAmount = roundMoney(total * rate / 100);
+    return { rate, net: total, vat: vatAmount, gross: roundMoney(total + vatAmount) };
+}
+
+function getTotalRows(totals) {
+    return [
+        ['Сумма без НДС', totals.net],
+        [`НДС ${totals.rate}%`, totals.vat],
+        ['Итого с НДС', totals.gross]
+    ];
+}
+
+function getCompanyLines(company) {
+    return [
+        company.inn ? `ИНН ${company.inn}${company.kpp ? ` / КПП ${company.kpp}` : ''}` : '',
+        company.address,
+        [company.phone, company.email, company.site].filter(Boolean).join(' · ')
+    ].filter(Boolean);
+}
+
+/* ---------- XLSX ---------- */
+
+function createSheetRows(doc) {
+    const rows = [
+        [doc.company.legal_name || doc.company.name],
+        ...getCompanyLines(doc.company).map(line => [line]),
+        [],
+        [doc.title],
+        ...doc.meta,
+        [],
+        ['№', 'Код', 'Артикул', 'Наименование', 'Ед.', 'Кол-во', 'Цена, руб.', 'Сумма, руб.', 'Наличие / поставка']
+    ];
+
+    doc.lines.forEach(line => rows.push([
+        line.index, line.code, line.sku, line.name, line.unit, line.quantity, line.price, line.sum, line.note
+    ]));
+
+    rows.push([]);
+    // Итоги - под колонками «Цена» и «Сумма»
+    getTotalRows(doc.totals).forEach(([label, value]) => rows.push(['', '', '', '', '', '', label, value]));
+
+    return rows;
+}
+
+/* ---------- PDF ---------- */
+
+async function renderPages(doc) {
+    // Шрифт страницы (Inter) может догружаться - дожидаемся, иначе canvas возьмет запасной
+    await document.fonts?.ready;
+
+    const primary = getComputedStyle(document.documentElement).getPropertyValue('--primary').trim() || '#2563eb';
+    const contentWidth = PAGE.width - PAGE.margin * 2;
+    const bottom = PAGE.height - PAGE.margin - FOOTER_HEIGHT;
+    const pages = [];
+    let ctx = null;
+    let y = 0;
+
+    const newPage = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = PAGE.width;
+        canvas.height = PAGE.height;
+        ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, PAGE.width, PAGE.height);
+        ctx.textBaseline = 'top';
+        pages.push(canvas);
+        y = PAGE.margin;
+    };
+
+    const text = (value, x, size, { weight = 400, color = '#1f2937', align = 'left' } = {}) => {
+        ctx.font = `${weight} ${size}px ${FONT}`;
+        ctx.fillStyle = color;
+        ctx.textAlign = align;
+        ctx.fillText(value, x, y);
+    };
+
+    const paragraph = (value, size, options = {}) => {
+        ctx.font = `${options.weight || 400} ${size}px ${FONT}`;
+        wrapText(ctx, value, contentWidth).forEach(line => {
+            if (y + size > bottom) newPage();
+            text(line, PAGE.margin, size, options);
+            y += Math.round(size * 1.4);
+        });
+    };
+
+    const tableHeader = () => {
+        ctx.fillStyle = '#f3f4f6';
+        ctx.fillRect(PAGE.margin, y, contentWidth, LINE_HEIGHT + CELL_PADDING * 2);
+        let x = PAGE.margin;
+        COLUMNS.forEach(column => {
+            ctx.font = `600 15px ${FONT}`;
+            ctx.fillStyle = '#374151';
+            ctx.textAlign = column.align === 'right' ? 'right' : 'left';
+            ctx.fillText(column.title, column.align === 'right' ? x + column.width - CELL_PADDING : x + CELL_PADDING, y + CELL_PADDING + 2);
+            x += column.width;
+        });
+        y += LINE_HEIGHT + CELL_PADDING * 2;
+    };
+
+    newPage();
+
+    // Шапка: компания и полоса фирменного цвета
+    text(doc.company.legal_name || doc.company.name, PAGE.margin, 30, { weight: 700, color: primary });
+    y += 42;
+    getCompanyLines(doc.company).forEach(line => {
+        text(line, PAGE.margin, 15, { color: '#4b5563' });
+        y += 21;
+    });
+    y += 8;
+    ctx.fillStyle = primary;
+    ctx.fillRect(PAGE.margin, y, contentWidth, 3);
+    y += 28;
+
+    paragraph(doc.title, 26, { weight: 700 });
+    y += 6;
+    doc.meta.forEach(([label, value]) => paragraph(`${label}: ${value}`, 16, { color: '#374151' }));
+    y += 16;
+
+    tableHeader();
+
+    doc.lines.forEach(line => {
+        const cells = COLUMNS.map(column => {
+            ctx.font = `400 15px ${FONT}`;
+            return wrapText(ctx, column.value(line), column.width - CELL_PADDING * 2);
+        });
+        const height = Math.max(...cells.map(lines => lines.length)) * LINE_HEIGHT + CELL_PADDING * 2;
+
+        if (y + height > bottom) {
+            newPage();
+            tableHeader();
+        }
+
+        let x = PAGE.margin;
+        COLUMNS.forEach((column, index) => {
+            ctx.font = `400 15px ${FONT}`;
+            // Позиции не в наличии - срок поставки выделяем цветом
+            ctx.fillStyle = index === COLUMNS.length - 1 && line.inStock === false ? '#b45309' : '#1f2937';
+            ctx.textAlign = column.align === 'right' ? 'right' : 'left';
+            cells[index].forEach((cellLine, lineIndex) => {
+                ctx.fillText(
+                    cellLine,
+                    column.align === 'right' ? x + column.width - CELL_PADDING : x + CELL_PADDING,
+                    y + CELL_PADDING + lineIndex * LINE_HEIGHT
+                );
+            });
+            x += column.width;
+        });
+
+        y += height;
+        ctx.fillStyle = '#e5e7eb';
+        ctx.fillRect(PAGE.margin, y - 1, contentWidth, 1);
+    });
+
+    // Итоги справа под таблицей
+    const totalRows = getTotalRows(doc.totals);
+    if (y + totalRows.length * 30 + 20 > bottom) newPage();
+    y += 20;
+    totalRows.forEach(([label, value], index) => {
+        const last = index === totalRows.length - 1;
+        const size = last ? 18 : 16;
+        text(`${label}:`, PAGE.width - PAGE.margin - 200, size, { weight: last ? 700 : 400, align: 'right' });
+        text(`${formatMoney(value)} руб.`, PAGE.width - PAGE.margin, size, { weight: last ? 700 : 400, align: 'right' });
+        y += 30;
+    });
+
+    // Нижний колонтитул: номер страницы известен, когда нарисованы все страницы
+    pages.forEach((canvas, index) => {
+        const pageCtx = canvas.getContext('2d');
+        pageCtx.font = `400 13px ${FONT}`;
+        pageCtx.fillStyle = '#6b7280';
+        pageCtx.textBaseline = 'top';
+        pageCtx.textAlign = 'left';
+        pageCtx.fillText(doc.title, PAGE.margin, PAGE.height - PAGE.margin);
+        pageCtx.textAlign = 'right';
+        pageCtx.fillText(`Стр. ${index + 1} из ${pages.length}`, PAGE.width - PAGE.margin, PAGE.height - PAGE.margin);
+    });
+
+    return pages;
+}
+
+/**
+ * Перенос по словам; слово длиннее строки режется по символам
+ */
+function wrapText(ctx, value, maxWidth) {
+    const lines = [];
+
+    String(value ?? '').split(/\r?\n/).forEach(paragraph => {
+        let current = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = current ? `${current} ${word}` : word;
+            if (ctx.measureText(candidate).width <= maxWidth) {
+                current = candidate;
+                return;
+            }
+
+            if (current) lines.push(current);
+            current = '';
+            for (const char of word) {
+                if (ctx.measureText(current + char).width > maxWidth && current) {
+                    lines.push(current);
+                    current = '';
+                }
+                current += char;
+            }
+        });
+        lines.push(current);
+    });
+
+    return lines.length ? lines : [''];
+}
+
+/* ---------- Форматирование ---------- */
+
+function formatQuantity(line) {
+    return line.unit ? `${line.quantity} ${line.unit}` : String(line.quantity);
+}
+
+function formatMoney(value) {
+    return Number(value || 0).toLocaleString('ru-RU', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDate(value) {
+    // Дата без времени - полночь по местному времени, а не UTC
+    const text = String(value ?? '');
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00` : text.replace(' ', 'T'));
+    return Number.isNaN(date.getTime()) ? text : date.toLocaleDateString('ru-RU');
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
\ No newline at end of file
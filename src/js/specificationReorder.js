@@ -0,0 +1,299 @@
+import { showToast } from "./utils.js";
+import { cartStore } from "./services/CartStore.js";
+import { productService } from "./services/ProductService.js";
+import { Modal } from "./components/Modal.js";
+import { fetchSpecificationData } from "./specificationExport.js";
+import { getSaleStep, isValidQuantity, normalizeQuantity, describeSaleStep, applyQuantityRules } from "./quantityRules.js";
+
+/**
+ * Повтор спецификации в корзину
+ * Каждая строка сверяется с текущей ценой и наличием в выбранном городе;
+ * пользователь видит изменения и отмечает, какие строки добавить.
+ * Кнопки - элементы с data-spec-reorder и data-spec-id
+ */
+
+const FLAG_TEXT = {
+    price_up: 'цена выросла',
+    price_down: 'цена снизилась',
+    out_of_stock: 'нет в наличии',
+    step: 'количество исправлено'
+};
+
+let modal = null;
+let lines = [];
+
+export function initSpecificationReorder() {
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-spec-reorder]');
+        if (!button) return;
+
+        e.preventDefault();
+        openReorder(button.dataset.specId, button);
+    });
+}
+
+async function openReorder(id, button) {
+    if (!id || modal || button.disabled) return;
+
+    button.disabled = true;
+    try {
+        lines = await checkLines(await fetchSpecificationData(id));
+    } catch (error) {
+        showToast(error.message || 'Не удалось проверить спецификацию', true);
+        return;
+    } finally {
+        button.disabled = false;
+    }
+
+    if (!lines.length) {
+        showToast('В спецификации нет товаров', true);
+        return;
+    }
+
+    showReorderModal();
+}
+
+/**
+ * Сверить строки спецификации с каталогом
+ * status: 'ok' | 'changed' (цена, наличие, кратность) | 'discontinued' (товара нет или он без цены)
+ */
+async function checkLines(data) {
+    const result = await productService.getProductsByIds(data.items.map(item => String(item.product_id)));
+    if (!result.success) {
+        throw new Error(result.error || 'Не удалось получить текущие цены');
+    }
+
+    const products = new Map((result.data || []).map(product => [String(product.product_id), product]));
+
+    return data.items.map(item => {
+        const product = products.get(String(item.product_id));
+        const currentPrice = getPrice(product);
+        const line = {
+            productId: item.product_id,
+            name: product?.name || item.name || `Товар #${item.product_id}`,
+            code: product?.external_id || item.external_id || '',
+            product,
+            quantity: item.quantity,
+            oldPrice: Number(item.price) || 0,
+            currentPrice,
+            availability: product?.availability || null,
+            flags: [],
+            note: null
+        };
+
+        if (!product || !currentPrice) {
+            line.status = 'discontinued';
+            line.selected = false;
+            return line;
+        }
+
+        if (line.oldPrice && Math.abs(currentPrice - line.oldPrice) >= 0.01) {
+            line.flags.push(currentPrice > line.oldPrice ? 'price_up' : 'price_down');
+        }
+        if (line.availability && !line.availability.in_stock) {
+            line.flags.push('out_of_stock');
+        }
+
+        // Кратность могла измениться с момента создания спецификации
+        const step = getSaleStep(product);
+        if (!isValidQuantity(line.quantity, step)) {
+            const quantity = normalizeQuantity(line.quantity, step);
+            line.note = `${line.quantity} → ${quantity} (${describeSaleStep(step, product.unit)})`;
+            line.quantity = quantity;
+            line.flags.push('step');
+        }
+
+        line.status = line.flags.length ? 'changed' : 'ok';
+        line.selected = true;
+        return line;
+    });
+}
+
+function getPrice(product) {
+    const price = Number(product?.availability?.price || product?.base_price);
+    return price > 0 ? price : 0;
+}
+
+/* ---------- Окно ---------- */
+
+function showReorderModal() {
+    const body = document.createElement('div');
+    body.className = 'spec-reorder';
+
+    const summary = document.createElement('p');
+    summary.className = 'spec-reorder-summary';
+    summary.setAttribute('aria-live', 'polite');
+
+    const table = document.createElement('table');
+    table.className = 'spec-reorder-table';
+    table.createTHead().innerHTML = '<tr><th><span class="visually-hidden">Добавить</span></th><th>Товар</th>'
+        + '<th>Кол-во</th><th>Цена в спецификации</th><th>Цена сейчас</th><th>Изменения</th></tr>';
+    const tbody = table.createTBody();
+
+    body.appendChild(summary);
+    body.appendChild(table);
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'btn btn-primary';
+
+    const update = () => updateSummary(summary, addButton);
+    lines.forEach(line => tbody.appendChild(createRow(line, update)));
+
+    modal = new Modal({
+        title: 'Повторить в корзину',
+        body,
+        footer: addButton,
+        className: 'spec-reorder-modal',
+        onClose: () => {
+            modal = null;
+            lines = [];
+        }
+    });
+
+    addButton.addEventListener('click', () => addSelected(addButton, tbody, update));
+
+    update();
+    modal.open(addButton);
+}
+
+function createRow(line, onChange) {
+    const row = document.createElement('tr');
+    row.className = `spec-reorder-${line.status}`;
+
+    const checkCell = row.insertCell();
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = line.selected;
+    checkbox.disabled = line.status === 'discontinued';
+    checkbox.setAttribute('aria-label', `Добавить ${line.name}`);
+    checkbox.addEventListener('change', () => {
+        line.selected = checkbox.checked;
+        onChange();
+    });
+    checkCell.appendChild(checkbox);
+
+    const nameCell = row.insertCell();
+    nameCell.textContent = line.code ? `${line.name} (${line.code})` : line.name;
+
+    const quantityCell = row.insertCell();
+    if (line.status === 'discontinued') {
+        quantityCell.textContent = line.quantity;
+    } else {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'form-control quantity-input';
+        input.setAttribute('aria-label', `Количество: ${line.name}`);
+        // Шаг и исправление ввода - по кратности товара (см. correctQuantityInput)
+        applyQuantityRules(input, line.product, line.quantity);
+        input.addEventListener('change', () => {
+            line.quantity = parseInt(input.value, 10) || 0;
+            onChange();
+        });
+        quantityCell.appendChild(input);
+    }
+
+    row.insertCell().textContent = line.oldPrice ? `${line.oldPrice.toFixed(2)} руб.` : '—';
+
+    const priceCell = row.insertCell();
+    priceCell.textContent = line.currentPrice ? `${line.currentPrice.toFixed(2)} руб.` : '—';
+    if (line.flags.includes('price_up')) priceCell.className = 'spec-reorder-price-up';
+    if (line.flags.includes('price_down')) priceCell.className = 'spec-reorder-price-down';
+
+    const statusCell = row.insertCell();
+    statusCell.className = 'spec-reorder-status';
+    statusCell.textContent = getStatusText(line);
+
+    line.row = row;
+    line.statusCell = statusCell;
+    return row;
+}
+
+function getStatusText(line) {
+    if (line.error) return line.error;
+    if (line.status === 'discontinued') {
+        return line.product ? 'Нет цены, товар недоступен для заказа' : 'Снят с продажи';
+    }
+    if (line.status === 'ok') return 'Без изменений';
+
+    return line.flags.map(flag => {
+        if (flag === 'step') return `${FLAG_TEXT.step}: ${line.note}`;
+        if (flag === 'out_of_stock' && line.availability?.delivery_text) {
+            return `${FLAG_TEXT.out_of_stock} (${line.availability.delivery_text})`;
+        }
+        return FLAG_TEXT[flag];
+    }).join('; ');
+}
+
+function updateSummary(summary, addButton) {
+    const count = (predicate) => lines.filter(predicate).length;
+    const selected = lines.filter(line => line.selected && line.quantity > 0);
+    const total = selected.reduce((sum, line) => sum + line.currentPrice * line.quantity, 0);
+
+    summary.textContent = [
+        `Позиций: ${lines.length}`,
+        `изменилась цена: ${count(line => line.flags.some(flag => flag.startsWith('price_')))}`,
+        `нет в наличии: ${count(line => line.flags.includes('out_of_stock'))}`,
+        `снято с продажи: ${count(line => line.status === 'discontinued')}`
+    ].join(' · ');
+
+    addButton.disabled = selected.length === 0;
+    addButton.textContent = selected.length
+        ? `Добавить выбранные (${selected.length}) на ${total.toFixed(2)} руб.`
+        : 'Добавить в корзину';
+}
+
+async function addSelected(button, tbody, update) {
+    const selected = lines.filter(line => line.selected && line.quantity > 0);
+    if (!selected.length) return;
+
+    button.disabled = true;
+    try {
+        const result = await cartStore.addMany(selected.map(line => ({
+            product_id: line.productId,
+            quantity: line.quantity
+        })));
+
+        if (result.queued) {
+            showToast('Нет связи: товары будут добавлены в корзину при подключении');
+            modal?.close();
+            return;
+        }
+
+        showToast(`Добавлено в корзину: ${result.added?.length || 0}`);
+        if (!result.failed?.length) {
+            modal?.close();
+            return;
+        }
+        markFailed(selected, result.failed, tbody);
+    } catch (error) {
+        if (error.details?.failed?.length) {
+            markFailed(selected, error.details.failed, tbody);
+        } else {
+            showToast(error.message || 'Ошибка при добавлении в корзину', true);
+        }
+    } finally {
+        if (modal) update();
+    }
+}
+
+/**
+ * Добавленные строки убираем из списка, в оставшихся показываем причину отказа
+ */
+function markFailed(selected, failed, tbody) {
+    const messages = new Map(failed.map(item => [String(item.product_id), item.message]));
+
+    selected.forEach(line => {
+        const message = messages.get(String(line.productId));
+        if (message) {
+            line.error = message;
+            line.statusCell.textContent = getStatusText(line);
+            line.row.classList.add('spec-reorder-failed');
+        } else {
+            line.row.remove();
+        }
+    });
+    lines = lines.filter(line => tbody.contains(line.row));
+
+    showToast(`Не добавлено товаров: ${failed.length}`, true);
+}
\ No newline at end of file
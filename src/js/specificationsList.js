@@ -0,0 +1,382 @@
+import { showToast, pluralize, createSupersedingRequest } from "./utils.js";
+
+/**
+ * Список спецификаций (/specifications)
+ * Поиск по проекту и заказчику, фильтр по статусу и датам, сортировка по дате или сумме, пагинация.
+ * Данные - /specifications/data (см. SpecificationService::search), состояние хранится в адресе страницы,
+ * статус меняется прямо в строке списка
+ */
+
+const DATA_URL = '/specifications/data';
+const SEARCH_DELAY = 300;
+const PER_PAGE = 20;
+const DEFAULT_STATE = { q: '', status: '', date_from: '', date_to: '', sort: 'date', dir: 'desc', page: 1 };
+
+let root = null;
+let statuses = {};
+let state = { ...DEFAULT_STATE };
+let searchTimer = null;
+const listRequest = createSupersedingRequest();
+
+export function initSpecificationsList() {
+    root = document.querySelector('.specifications-list');
+    if (!root) return;
+
+    try {
+        statuses = JSON.parse(root.dataset.statuses || '{}');
+    } catch (e) {
+        statuses = {};
+    }
+
+    state = readState();
+    const form = root.querySelector('.specifications-toolbar');
+    fillForm(form);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        applyFilters(form);
+    });
+    form.addEventListener('input', (e) => {
+        // Поиск - с задержкой после ввода, остальные фильтры - сразу
+        clearTimeout(searchTimer);
+        if (e.target.name === 'q') {
+            searchTimer = setTimeout(() => applyFilters(form), SEARCH_DELAY);
+        }
+    });
+    form.addEventListener('change', (e) => {
+        if (e.target.name !== 'q') applyFilters(form);
+    });
+    form.addEventListener('reset', () => {
+        clearTimeout(searchTimer);
+        // Поля формы очищаются после события reset
+        setTimeout(() => {
+            state = { ...DEFAULT_STATE };
+            load();
+        });
+    });
+
+    root.querySelectorAll('.spec-sort').forEach(button => {
+        button.addEventListener('click', () => toggleSort(button.dataset.sort));
+    });
+
+    root.querySelector('.specifications-table tbody').addEventListener('change', (e) => {
+        const select = e.target.closest('.spec-status-select');
+        if (select) changeStatus(select);
+    });
+
+    root.querySelector('.specifications-pagination').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-page]');
+        if (!button || button.disabled) return;
+        state.page = Number(button.dataset.page);
+        load();
+    });
+
+    load();
+}
+
+/* ---------- Состояние и адрес страницы ---------- */
+
+function readState() {
+    const params = new URLSearchParams(window.location.search);
+    const result = { ...DEFAULT_STATE };
+
+    Object.keys(DEFAULT_STATE).forEach(key => {
+        if (params.has(key)) result[key] = params.get(key);
+    });
+    result.page = Math.max(1, parseInt(result.page, 10) || 1);
+    if (!['date', 'total'].includes(result.sort)) result.sort = DEFAULT_STATE.sort;
+    if (!['asc', 'desc'].includes(result.dir)) result.dir = DEFAULT_STATE.dir;
+
+    return result;
+}
+
+function writeState() {
+    const params = new URLSearchParams();
+    Object.entries(state).forEach(([key, value]) => {
+        if (value !== '' && String(value) !== String(DEFAULT_STATE[key])) params.set(key, value);
+    });
+
+    const query = params.toString();
+    history.replaceState(history.state, '', query ? `${window.location.pathname}?${query}` : window.location.pathname);
+}
+
+function fillForm(form) {
+    ['q', 'status', 'date_from', 'date_to'].forEach(name => {
+        if (form.elements[name]) form.elements[name].value = state[name];
+    });
+}
+
+function applyFilters(form) {
+    clearTimeout(searchTimer);
+
+    const next = {};
+    ['q', 'status', 'date_from', 'date_to'].forEach(name => {
+        next[name] = String(form.elements[name]?.value || '').trim();
+    });
+
+    if (next.date_from && next.date_to && next.date_from > next.date_to) {
+        showToast('Начальная дата позже конечной', true);
+        return;
+    }
+
+    const changed = Object.keys(next).some(name => next[name] !== state[name]);
+    if (!changed) return;
+
+    Object.assign(state, next, { page: 1 });
+    load();
+}
+
+function toggleSort(sort) {
+    if (state.sort === sort) {
+        state.dir = state.dir === 'asc' ? 'desc' : 'asc';
+    } else {
+        state.sort = sort;
+        state.dir = 'desc';
+    }
+    state.page = 1;
+    load();
+}
+
+/* ---------- Загрузка ---------- */
+
+async function load() {
+    writeState();
+    updateSortHeaders();
+
+    const signal = listRequest.start();
+    root.classList.add('is-loading');
+    root.setAttribute('aria-busy', 'true');
+
+    const params = new URLSearchParams({ ...state, per_page: PER_PAGE });
+
+    try {
+        const res = await fetch(`${DATA_URL}?${params}`, { credentials: 'same-origin', signal });
+        const data = await res.json().catch(() => ({}));
+        if (!listRequest.isLatest(signal)) return;
+
+        if (!res.ok || !data.success) {
+            throw new Error(data.message || 'Не удалось загрузить спецификации');
+        }
+
+        // Сервер мог поправить номер страницы (например, после сужения фильтров)
+        state.page = data.page;
+        writeState();
+        render(data);
+    } catch (error) {
+        if (error.name === 'AbortError' || !listRequest.isLatest(signal)) return;
+        renderMessage(error.message || 'Ошибка соединения с сервером');
+    } finally {
+        if (listRequest.isLatest(signal)) {
+            root.classList.remove('is-loading');
+            root.removeAttribute('aria-busy');
+        }
+    }
+}
+
+/* ---------- Отрисовка ---------- */
+
+function render(data) {
+    const tbody = root.querySelector('.specifications-table tbody');
+    tbody.innerHTML = '';
+
+    const summary = root.querySelector('.specifications-summary');
+    const filtered = ['q', 'status', 'date_from', 'date_to'].some(name => state[name] !== '');
+
+    if (!data.items.length) {
+        renderMessage(filtered ? 'Ничего не найдено. Измените условия поиска.' : 'Вы ещё не создавали спецификаций.');
+        summary.textContent = '';
+        renderPagination(data);
+        return;
+    }
+
+    data.items.forEach(spec => tbody.appendChild(createRow(spec)));
+    summary.textContent = filtered
+        ? `Найдено: ${data.total} ${pluralize(data.total, ['спецификация', 'спецификации', 'спецификаций'])}`
+        : `Всего: ${data.total} ${pluralize(data.total, ['спецификация', 'спецификации', 'спецификаций'])}`;
+    renderPagination(data);
+}
+
+function renderMessage(message) {
+    const tbody = root.querySelector('.specifications-table tbody');
+    tbody.innerHTML = '';
+
+    const cell = tbody.insertRow().insertCell();
+    cell.colSpan = 7;
+    cell.className = 'specifications-empty';
+    cell.textContent = message;
+}
+
+function createRow(spec) {
+    const row = document.createElement('tr');
+    row.dataset.specId = spec.id;
+
+    row.insertCell().textContent = spec.id;
+
+    const projectCell = row.insertCell();
+    const link = document.createElement('a');
+    link.href = `/specification/${spec.id}`;
+    link.textContent = spec.project_name || `Спецификация №${spec.id}`;
+    projectCell.appendChild(link);
+    if (spec.customer) {
+        const customer = document.createElement('div');
+        customer.className = 'specification-customer';
+        customer.textContent = spec.customer;
+        projectCell.appendChild(customer);
+    }
+
+    row.insertCell().textContent = formatDate(spec.created_at);
+    row.insertCell().textContent = spec.items_count;
+    row.insertCell().textContent = `${Number(spec.total).toFixed(2)} руб.`;
+
+    const statusCell = row.insertCell();
+    statusCell.appendChild(createStatusSelect(spec));
+
+    const actions = row.insertCell();
+    actions.className = 'specification-actions';
+    actions.appendChild(createAction('a', 'Открыть', 'btn-primary', { href: `/specification/${spec.id}` }));
+    actions.appendChild(createAction('button', 'PDF', 'btn-secondary', { 'data-spec-export': 'pdf', 'data-spec-id': spec.id, 'aria-label': `Скачать спецификацию №${spec.id} в PDF` }));
+    actions.appendChild(createAction('button', 'Excel', 'btn-secondary', { 'data-spec-export': 'xlsx', 'data-spec-id': spec.id, 'aria-label': `Скачать спецификацию №${spec.id} в Excel` }));
+    actions.appendChild(createAction('button', 'Повторить', 'btn-secondary', { 'data-spec-reorder': '', 'data-spec-id': spec.id, 'aria-label': `Повторить спецификацию №${spec.id} в корзину` }));
+
+    return row;
+}
+
+function createStatusSelect(spec) {
+    const select = document.createElement('select');
+    select.className = `form-control spec-status-select spec-status-${spec.status}`;
+    select.dataset.specId = spec.id;
+    select.dataset.value = spec.status;
+    select.setAttribute('aria-label', `Статус спецификации №${spec.id}`);
+
+    Object.entries(statuses).forEach(([code, label]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = spec.status;
+
+    return select;
+}
+
+function createAction(tag, text, variant, attributes) {
+    const element = document.createElement(tag);
+    element.className = `btn btn-sm ${variant}`;
+    element.textContent = text;
+    if (tag === 'button') element.type = 'button';
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+function renderPagination(data) {
+    const nav = root.querySelector('.specifications-pagination');
+    nav.innerHTML = '';
+    if (data.total_pages <= 1) return;
+
+    const controls = document.createElement('div');
+    controls.className = 'pagination-controls';
+
+    const addButton = (page, text, label, active = false) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'pagination-btn';
+        button.dataset.page = page;
+        button.textContent = text;
+        button.setAttribute('aria-label', label);
+        if (active) {
+            button.classList.add('active');
+            button.setAttribute('aria-current', 'page');
+        }
+        button.disabled = active || page < 1 || page > data.total_pages;
+        controls.appendChild(button);
+    };
+
+    addButton(data.page - 1, '‹', 'Предыдущая страница');
+    getPageNumbers(data.page, data.total_pages).forEach(page => {
+        if (page === null) {
+            const gap = document.createElement('span');
+            gap.className = 'pagination-gap';
+            gap.textContent = '…';
+            controls.appendChild(gap);
+        } else {
+            addButton(page, String(page), `Страница ${page}`, page === data.page);
+        }
+    });
+    addButton(data.page + 1, '›', 'Следующая страница');
+
+    nav.appendChild(controls);
+}
+
+/**
+ * Номера страниц: первая, последняя и соседние с текущей; null - пропуск
+ */
+function getPageNumbers(current, total) {
+    const pages = [];
+    for (let page = 1; page <= total; page++) {
+        if (page === 1 || page === total || Math.abs(page - current) <= 2) {
+            if (pages.length && page - pages[pages.length - 1] > 1) pages.push(null);
+            pages.push(page);
+        }
+    }
+    return pages;
+}
+
+function updateSortHeaders() {
+    root.querySelectorAll('.spec-sort').forEach(button => {
+        const active = button.dataset.sort === state.sort;
+        button.closest('th').setAttribute('aria-sort', active ? (state.dir === 'asc' ? 'ascending' : 'descending') : 'none');
+    });
+}
+
+/* ---------- Статус ---------- */
+
+/**
+ * Статус показываем сразу, при ошибке возвращаем прежний
+ */
+async function changeStatus(select) {
+    const previous = select.dataset.value;
+    const status = select.value;
+    if (status === previous) return;
+
+    setStatusClass(select, status);
+    select.disabled = true;
+
+    const formData = new FormData();
+    formData.append('status', status);
+    formData.append('csrf_token', window.CSRF_TOKEN || '');
+
+    try {
+        const res = await fetch(`/specification/${select.dataset.specId}/status`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            body: formData
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || !data.success) {
+            throw new Error(data.message || 'Не удалось изменить статус');
+        }
+
+        select.dataset.value = status;
+        showToast(`Статус спецификации №${select.dataset.specId}: ${statuses[status] || status}`);
+
+        // Строка больше не подходит под фильтр по статусу
+        if (state.status && state.status !== status) load();
+    } catch (error) {
+        select.value = previous;
+        setStatusClass(select, previous);
+        showToast(error.message || 'Не удалось изменить статус', true);
+    } finally {
+        select.disabled = false;
+    }
+}
+
+function setStatusClass(select, status) {
+    Object.keys(statuses).forEach(code => select.classList.remove(`spec-status-${code}`));
+    select.classList.add(`spec-status-${status}`);
+}
+
+function formatDate(value) {
+    const date = new Date(String(value).replace(' ', 'T'));
+    if (Number.isNaN(date.getTime())) return value;
+    return date.toLocaleString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
\ No newline at end of file
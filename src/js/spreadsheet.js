@@ -0,0 +1,368 @@
+/**
+ * Таблицы в браузере без сторонних библиотек: CSV и XLSX (чтение и запись)
+ * rows - массив строк, строка - массив ячеек (строки или числа)
+ *
+ * XLSX - zip-архив с XML. При записи файлы кладутся без сжатия (метод STORE),
+ * при чтении сжатые записи распаковываются через DecompressionStream('deflate-raw').
+ */
+
+const CSV_DELIMITER = ';';
+
+/* ---------- CSV ---------- */
+
+/**
+ * CSV для Excel с русской локалью: разделитель «;», UTF-8 с BOM
+ */
+export function buildCsv(rows) {
+    const lines = rows.map(row => row.map(escapeCsvCell).join(CSV_DELIMITER));
+    return new Blob(['﻿' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+}
+
+/**
+ * Разобрать CSV; разделитель (; , или табуляция) определяется по первой строке
+ */
+export function parseCsv(text) {
+    text = String(text ?? '').replace(/^﻿/, '');
+    const delimiter = detectDelimiter(text.split(/\r?\n/, 1)[0]);
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function detectDelimiter(line = '') {
+    const counts = [';', '\t', ','].map(d => [d, line.split(d).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : CSV_DELIMITER;
+}
+
+function escapeCsvCell(value) {
+    // Дробная часть через запятую - иначе русский Excel прочитает число как дату или текст
+    const text = typeof value === 'number'
+        ? String(value).replace('.', ',')
+        : (value === null || value === undefined ? '' : String(value));
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/* ---------- XLSX: запись ---------- */
+
+export function buildXlsx(rows, sheetName = 'Лист1') {
+    const sheetRows = rows.map((row, rowIndex) => {
+        const cells = row.map((value, colIndex) => {
+            const ref = columnName(colIndex) + (rowIndex + 1);
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+            if (value === null || value === undefined || value === '') return '';
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    const files = {
+        '[Content_Types].xml':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '</Types>',
+        '_rels/.rels':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        'xl/workbook.xml':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+            + '</workbook>',
+        'xl/_rels/workbook.xml.rels':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '</Relationships>',
+        'xl/worksheets/sheet1.xml':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + `<sheetData>${sheetRows}</sheetData>`
+            + '</worksheet>'
+    };
+
+    return new Blob([createZip(files)], {
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Управляющие символы недопустимы в XML
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/* ---------- XLSX: чтение ---------- */
+
+/**
+ * Строки первого листа книги
+ */
+export async function readXlsx(buffer) {
+    const entries = readZipEntries(buffer);
+    const readText = async (name) => {
+        const entry = entries.get(name);
+        return entry ? new TextDecoder().decode(await inflateEntry(buffer, entry)) : null;
+    };
+
+    const sheetPath = await findFirstSheetPath(readText) || 'xl/worksheets/sheet1.xml';
+    const sheetXml = await readText(sheetPath);
+    if (!sheetXml) throw new Error('В файле нет листов');
+
+    const sharedXml = await readText('xl/sharedStrings.xml');
+    const parser = new DOMParser();
+    const sharedStrings = sharedXml
+        ? Array.from(parser.parseFromString(sharedXml, 'application/xml').getElementsByTagName('si'), si => collectText(si))
+        : [];
+
+    const sheet = parser.parseFromString(sheetXml, 'application/xml');
+    const rows = [];
+
+    Array.from(sheet.getElementsByTagName('row')).forEach(rowElement => {
+        const row = [];
+        Array.from(rowElement.getElementsByTagName('c')).forEach(cell => {
+            const ref = cell.getAttribute('r') || '';
+            const index = ref ? columnIndex(ref) : row.length;
+            const type = cell.getAttribute('t');
+            const raw = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+
+            let value = raw;
+            if (type === 's') value = sharedStrings[parseInt(raw, 10)] ?? '';
+            else if (type === 'inlineStr') value = collectText(cell.getElementsByTagName('is')[0]);
+
+            row[index] = value;
+        });
+        // Пропуски между ячейками - пустые строки
+        rows.push(Array.from(row, value => value ?? ''));
+    });
+
+    return rows.filter(r => r.some(value => String(value).trim() !== ''));
+}
+
+async function findFirstSheetPath(readText) {
+    const workbookXml = await readText('xl/workbook.xml');
+    const relsXml = await readText('xl/_rels/workbook.xml.rels');
+    if (!workbookXml || !relsXml) return null;
+
+    const parser = new DOMParser();
+    const sheet = parser.parseFromString(workbookXml, 'application/xml').getElementsByTagName('sheet')[0];
+    const relId = sheet?.getAttribute('r:id');
+    if (!relId) return null;
+
+    const relation = Array.from(parser.parseFromString(relsXml, 'application/xml').getElementsByTagName('Relationship'))
+        .find(rel => rel.getAttribute('Id') === relId);
+    const target = relation?.getAttribute('Target');
+    if (!target) return null;
+
+    return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+function collectText(element) {
+    if (!element) return '';
+    // Форматированный текст (<r>) состоит из нескольких <t>; фонетические подсказки (<rPh>) пропускаем
+    return Array.from(element.getElementsByTagName('t'))
+        .filter(t => t.parentNode?.nodeName !== 'rPh')
+        .map(t => t.textContent)
+        .join('');
+}
+
+function columnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/i)?.[0].toUpperCase() || 'A';
+    return letters.split('').reduce((n, char) => n * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+/* ---------- ZIP ---------- */
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, content]) => {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true);     // имена в UTF-8
+        local.setUint16(8, 0, true);          // STORE
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const count = Object.keys(files).length;
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, count, true);
+    end.setUint16(10, count, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+function readZipEntries(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // Конец центрального каталога - с конца файла (после него может быть комментарий)
+    let endOffset = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) throw new Error('Файл не является книгой Excel (.xlsx)');
+
+    const count = view.getUint16(endOffset + 10, true);
+    let pointer = view.getUint32(endOffset + 16, true);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(pointer, true) !== 0x02014b50) break;
+
+        const nameLength = view.getUint16(pointer + 28, true);
+        const extraLength = view.getUint16(pointer + 30, true);
+        const commentLength = view.getUint16(pointer + 32, true);
+        const name = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+
+        entries.set(name, {
+            method: view.getUint16(pointer + 10, true),
+            compressedSize: view.getUint32(pointer + 20, true),
+            localOffset: view.getUint32(pointer + 42, true)
+        });
+
+        pointer += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+async function inflateEntry(buffer, entry) {
+    const view = new DataView(buffer);
+    const nameLength = view.getUint16(entry.localOffset + 26, true);
+    const extraLength = view.getUint16(entry.localOffset + 28, true);
+    const start = entry.localOffset + 30 + nameLength + extraLength;
+    const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method !== 8) throw new Error('Неподдерживаемый формат сжатия');
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Браузер не поддерживает чтение .xlsx, сохраните файл как CSV');
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Скачать сформированный файл
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Ссылку освобождаем после того, как браузер начал загрузку
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
\ No newline at end of file
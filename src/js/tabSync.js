@@ -0,0 +1,92 @@
+import { cartStore } from "./services/CartStore.js";
+
+/**
+ * Синхронизация открытых вкладок: корзина, выбранный город и CSRF-токен
+ * Канал - BroadcastChannel, в браузерах без него - событие storage (сообщение через localStorage)
+ */
+
+const CHANNEL_NAME = 'vdestor-sync';
+const STORAGE_KEY = 'tabSyncMessage';
+
+let channel = null;
+let applyingRemote = false;
+
+export function initTabSync() {
+    if ('BroadcastChannel' in window) {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener('message', (event) => handleMessage(event.data));
+    } else {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== STORAGE_KEY || !event.newValue) return;
+            try {
+                handleMessage(JSON.parse(event.newValue));
+            } catch (e) {
+                // Чужое или поврежденное значение - пропускаем
+            }
+        });
+    }
+
+    // Другим вкладкам отправляем только подтвержденное сервером состояние корзины
+    cartStore.subscribe((items, source) => {
+        if (source === 'server') broadcast('cart', { items });
+    });
+
+    const citySelect = document.getElementById('citySelect');
+    citySelect?.addEventListener('change', () => {
+        if (!applyingRemote) broadcast('city', { cityId: citySelect.value });
+    });
+
+    // Токен только что выдан сервером - он актуальнее, чем в давно открытых вкладках (например, после входа)
+    if (window.CSRF_TOKEN) {
+        broadcast('csrf', { token: window.CSRF_TOKEN });
+    }
+}
+
+function broadcast(type, payload) {
+    const message = { type, ...payload, sent_at: Date.now() };
+
+    if (channel) {
+        channel.postMessage(message);
+        return;
+    }
+
+    try {
+        // Случайная добавка - чтобы одинаковые сообщения подряд тоже вызывали storage
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...message, nonce: Math.random() }));
+    } catch (e) {
+        console.warn('Tab sync message was not sent');
+    }
+}
+
+function handleMessage(message) {
+    switch (message?.type) {
+        case 'cart':
+            cartStore.applySnapshot(message.items);
+            break;
+
+        case 'city':
+            applyCity(message.cityId);
+            break;
+
+        case 'csrf':
+            if (message.token) window.CSRF_TOKEN = message.token;
+            break;
+    }
+}
+
+/**
+ * Выбрать город, как если бы его сменили в этой вкладке:
+ * обработчики change обновят наличие, цены и мини-корзину
+ */
+function applyCity(cityId) {
+    const citySelect = document.getElementById('citySelect');
+    if (!citySelect || !cityId || citySelect.value === String(cityId)) return;
+
+    citySelect.value = cityId;
+    applyingRemote = true;
+    try {
+        citySelect.dispatchEvent(new Event('change', { bubbles: true }));
+    } finally {
+        applyingRemote = false;
+    }
+}
\ No newline at end of file
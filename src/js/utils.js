@@ -1,4 +1,8 @@
 import { productService } from './services/ProductService.js';
+import { renderFacets } from './facets.js';
+import { syncCatalogUrl } from './catalogState.js';
+import { showOfflineBanner, hideOfflineBanner } from './offline.js';
+import { isInfiniteMode } from './infiniteScroll.js';
 
 export function showToast(message, isError = false) {
     const toast = document.createElement('div');
@@ -15,8 +19,59 @@ export function showToast(message, isError = false) {
     setTimeout(() => toast.remove(), 3000);
 }
 
-export async function fetchProducts() {
+/**
+ * Форма слова для числа: pluralize(5, ['позиция', 'позиции', 'позиций']) -> 'позиций'
+ */
+export function pluralize(count, forms) {
+    const mod10 = count % 10;
+    const mod100 = count % 100;
+    if (mod10 === 1 && mod100 !== 11) return forms[0];
+    if (mod10 >= 2 && mod10 <= 4 && (mod100 < 10 || mod100 >= 20)) return forms[1];
+    return forms[2];
+}
+
+/**
+ * Запросы с семантикой замены: запуск нового отменяет предыдущий через AbortController,
+ * а isLatest() позволяет отбросить ответ, который успел прийти после более нового запроса
+ */
+export function createSupersedingRequest() {
+    let controller = null;
+
+    return {
+        start() {
+            controller?.abort();
+            controller = new AbortController();
+            return controller.signal;
+        },
+        cancel() {
+            controller?.abort();
+            controller = null;
+        },
+        isLatest(signal) {
+            return Boolean(controller) && controller.signal === signal && !signal.aborted;
+        }
+    };
+}
+
+const productsRequest = createSupersedingRequest();
+
+/**
+ * Загрузить товары по текущему состоянию каталога
+ * options.append - догрузить следующую страницу в конец ленты (режим бесконечной прокрутки)
+ * options.keepPage - в режиме ленты начать с текущей страницы (переход из пагинации)
+ * Возвращает true, если результат отрисован
+ */
+export async function fetchProducts(options = {}) {
+    const append = Boolean(options.append);
+    
+    // Лента после смены фильтров, сортировки или города начинается с первой страницы
+    if (isInfiniteMode() && !append && !options.keepPage) {
+        window.currentPage = 1;
+    }
+    
+    syncCatalogUrl();
     showLoadingIndicator();
+    const signal = productsRequest.start();
     
     try {
         // Собираем параметры для поиска
@@ -28,41 +83,107 @@ export async function fetchProducts() {
             city_id: document.getElementById('citySelect')?.value || '1'
         };
         
-        // Добавляем остальные фильтры
+        // Добавляем остальные фильтры (значения фасетов с множественным выбором передаем через запятую)
         Object.entries(window.appliedFilters).forEach(([key, value]) => {
-            if (key !== 'search' && value) {
+            if (key === 'search') return;
+            if (Array.isArray(value)) {
+                if (value.length) params[key] = value.join(',');
+            } else if (value) {
                 params[key] = value;
             }
         });
         
-        // Используем productService для поиска
-        const result = await productService.search(params);
+        // Используем productService для поиска.
+        // Если из кеша пришли устаревшие данные, перерисуем таблицу после фонового обновления
+        const result = await productService.search(params, {
+            signal,
+            onRevalidate: fresh => {
+                // Догруженную страницу не перерисовываем - иначе она добавится в ленту повторно
+                if (!append && productsRequest.isLatest(signal)) renderSearchResult(fresh);
+            }
+        });
+        
+        // Рисуем только ответ на последний запрос
+        if (!productsRequest.isLatest(signal)) return false;
         
         if (result.success) {
-            window.productsData = result.data.products;
-            window.totalProducts = result.data.total;
-            window.renderProductsTable();
-            updatePaginationInfo();
-            
-            // Загружаем данные о наличии для отображенных товаров
-            if (window.productsData.length > 0) {
-                const ids = window.productsData.map(p => p.product_id);
-                window.loadAvailability(ids);
-            }
+            renderSearchResult(result, { append });
+            return true;
         } else {
             throw new Error(result.error || 'Ошибка загрузки');
         }
     } catch (error) {
+        if (error.name === 'AbortError' || !productsRequest.isLatest(signal)) return false;
         console.error('Fetch error:', error);
         showToast('Ошибка загрузки товаров', true);
+        // Ошибка догрузки не должна очищать уже показанную ленту
+        if (append) return false;
         window.productsData = [];
         window.totalProducts = 0;
         window.renderProductsTable();
+        return false;
     } finally {
-        hideLoadingIndicator();
+        if (productsRequest.isLatest(signal)) hideLoadingIndicator();
     }
 }
 
+function renderSearchResult(result, { append = false } = {}) {
+    const products = result.data.products || [];
+    window.productsData = append ? [...window.productsData, ...products] : products;
+    window.totalProducts = result.data.total;
+    window.searchAggregations = result.data.aggregations || {};
+    window.renderProductsTable({ append });
+    renderFacets(window.searchAggregations);
+    renderQuerySuggestions(result.data.suggestions);
+    updatePaginationInfo();
+    
+    if (result.offline) {
+        showOfflineBanner(result.offline.cached_at);
+    } else if (navigator.onLine) {
+        hideOfflineBanner();
+    }
+    
+    // Загружаем данные о наличии для отображенных (в ленте - только для догруженных) товаров
+    if (products.length > 0) {
+        const ids = products.map(p => p.product_id);
+        window.loadAvailability(ids);
+    }
+}
+
+/**
+ * Подсказка «Возможно, вы имели в виду» при пустой выдаче
+ * Один клик повторяет поиск с исправленной раскладкой
+ */
+function renderQuerySuggestions(suggestions = []) {
+    const container = document.getElementById('searchSuggestions');
+    if (!container) return;
+
+    container.innerHTML = '';
+    const correction = suggestions.find(s => s.type === 'layout');
+    if (!correction) {
+        container.hidden = true;
+        return;
+    }
+
+    const link = document.createElement('button');
+    link.type = 'button';
+    link.className = 'search-correction';
+    link.textContent = correction.query;
+    link.addEventListener('click', () => {
+        window.appliedFilters.search = correction.query;
+        sessionStorage.setItem('search', correction.query);
+        window.currentPage = 1;
+
+        const input = document.getElementById('searchInput');
+        if (input) input.value = correction.query;
+
+        fetchProducts();
+    });
+
+    container.append('Возможно, вы имели в виду ', link, '?');
+    container.hidden = false;
+}
+
 // Преобразование формата сортировки для API
 function convertSortToApiFormat(column, direction) {
     // Специальные случаи для сортировки по цене
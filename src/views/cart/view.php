@@ -1,12 +1,25 @@
 <?php
 use App\Services\AuthService;
 ?>
-<div class="container mt-5">
+<div class="container mt-5 cart-container">
   <h1>Корзина</h1>
+  <div class="cart-transfer">
+    <button type="button" class="btn btn-sm btn-secondary" data-cart-export="csv">
+      <i class="fas fa-file-csv"></i> Скачать CSV
+    </button>
+    <button type="button" class="btn btn-sm btn-secondary" data-cart-export="xlsx">
+      <i class="fas fa-file-excel"></i> Скачать Excel
+    </button>
+    <button type="button" class="btn btn-sm btn-secondary cart-import-button">
+      <i class="fas fa-file-import"></i> Загрузить из файла
+    </button>
+    <input type="file" class="cart-import-input" hidden
+           accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet">
+  </div>
   <?php if (empty($cartRows)): ?>
     <p>Корзина пуста</p>
   <?php else: ?>
-    <table class="table table-striped">
+    <table class="table table-striped cart-table">
       <thead>
         <tr>
           <th>Код товара</th>
@@ -31,13 +44,17 @@ use App\Services\AuthService;
           
           // Получаем external_id из products массива
           $external_id = $products[$pid]['external_id'] ?? '';
+          // Кратность продажи - шаг поля количества
+          $saleStep = max(1, (int)ceil((float)($products[$pid]['min_sale'] ?? 1)));
         ?>
-        <tr data-product-id="<?= $pid ?>">
+        <tr data-product-id="<?= $pid ?>" data-price="<?= is_numeric($price) ? (float)$price : '' ?>">
           <td><?= htmlspecialchars($external_id) ?></td>
           <td><?= htmlspecialchars($row['name'], ENT_QUOTES) ?></td>
           <td>
             <input type="number" class="form-control quantity-input"
-                   value="<?= $qty ?>" min="1" data-product-id="<?= $pid ?>">
+                   value="<?= $qty ?>" min="<?= $saleStep ?>" step="<?= $saleStep ?>"
+                   data-step="<?= $saleStep ?>" data-unit="<?= htmlspecialchars($products[$pid]['unit'] ?? '') ?>"
+                   data-product-id="<?= $pid ?>">
           </td>
           <td>
             <?= is_numeric($price) ? number_format($price, 2) . ' руб.' : '—' ?>
@@ -59,20 +76,31 @@ use App\Services\AuthService;
       <tfoot>
         <tr>
           <td colspan="4"><strong>Итого:</strong></td>
-          <td colspan="4"><strong><?= number_format($total, 2) ?> руб.</strong></td>
+          <td colspan="4"><strong class="cart-total"><?= number_format($total, 2) ?> руб.</strong></td>
         </tr>
       </tfoot>
     </table>
     
     <div class="cart-actions mt-3">
-        <form method="post" action="/specification/create" style="display: inline;">
-            <input type="hidden" name="csrf_token" value="<?= \App\Core\CSRF::token() ?>">
-            <button type="submit" class="btn btn-primary">Создать спецификацию</button>
-        </form>
+        <!-- Мастер создания спецификации (specification.js) -->
+        <button type="button" class="btn btn-primary create-specification-btn">Создать спецификацию</button>
         
         <button id="clearCartBtn" class="btn btn-warning">Очистить корзину</button>
     </div>
   <?php endif; ?>
+
+  <?php if (AuthService::check()): ?>
+    <section class="saved-carts mt-4" aria-labelledby="savedCartsTitle">
+      <h2 id="savedCartsTitle" class="saved-carts-title">Сохраненные корзины</h2>
+      <form class="saved-carts-form">
+        <input type="text" class="form-control saved-carts-name" maxlength="100"
+               placeholder="Название, например: Объект на Ленина" aria-label="Название корзины">
+        <button type="submit" class="btn btn-primary" data-target="new">Сохранить как новую</button>
+        <button type="submit" class="btn btn-secondary" data-target="active" hidden></button>
+      </form>
+      <ul class="saved-carts-list" aria-live="polite"></ul>
+    </section>
+  <?php endif; ?>
 </div>
 
 <script>
@@ -93,29 +121,7 @@ window.loadAvailability = function(ids) {
         });
 }
 
-// Обработка изменения количества
-document.addEventListener('change', function(e) {
-    if (e.target.classList.contains('quantity-input')) {
-        const productId = e.target.dataset.productId;
-        const quantity = e.target.value;
-        
-        // Здесь должен быть AJAX запрос для обновления количества
-        fetch('/cart/update', {
-            method: 'POST',
-            body: new URLSearchParams({
-                productId: productId,
-                quantity: quantity,
-                csrf_token: window.CSRF_TOKEN
-            })
-        })
-        .then(res => res.json())
-        .then(data => {
-            if (data.success) {
-                location.reload(); // Обновляем страницу для пересчета
-            }
-        });
-    }
-});
+// Изменение количества обрабатывает cart.js (cartStore), итоги пересчитываются без перезагрузки
 
 // Загрузка наличия товаров
 document.addEventListener('DOMContentLoaded', function() {
@@ -1,7 +1,11 @@
 <div class="main-content">
         <div class="product-container" id="productContainer">
             <?php include __DIR__ . '/search_form.html'; ?>
-            <div id="filters" class="applied-filters"></div>
+            <div id="filters" class="catalog-filters">
+                <div class="search-suggestions" id="searchSuggestions" role="status" hidden></div>
+                <div class="applied-filters"></div>
+                <div class="facets-panel" id="facetsPanel" style="display: none;"></div>
+            </div>
             <table class="product-table" id="productTable">
                 <thead>
                     <tr class="controls-row">
@@ -17,6 +21,17 @@
                                     <span id="totalProductsText">Найдено товаров: 0</span>
                                 </div>
                                 <div class="controls-right">
+                                    <button type="button" id="quickOrderButton" class="toolbar-button">
+                                        <i class="fas fa-paste"></i> Быстрый заказ
+                                    </button>
+                                    <button type="button" id="columnsButton" class="toolbar-button">
+                                        <i class="fas fa-columns"></i> Колонки
+                                    </button>
+                                    <label for="viewModeSelect">Показ:</label>
+                                    <select id="viewModeSelect">
+                                        <option value="pages">По страницам</option>
+                                        <option value="infinite">Лентой</option>
+                                    </select>
                                     <label for="itemsPerPageSelect">Товаров на странице:</label>
                                     <select id="itemsPerPageSelect">
                                         <option value="20">20</option>
@@ -29,21 +44,21 @@
                         </th>
                     </tr>
                     <tr>
-                        <th class="col-select"><input type="checkbox" id="selectAll"></th>
-                        <th class="col-code sortable" data-column="external_id">Код</th>
-                        <th class="col-image">Фото</th>
-                        <th class="col-name sortable" data-column="name">Название</th>
-                        <th class="col-sku sortable" data-column="sku">SKU</th>
-                        <th class="col-brand-series" data-column="brand_series">Бренд/Серия</th>
-                        <th class="col-status" data-column="status">Статус</th>
-                        <th class="col-min-sale-unit" data-column="min_sale_unit">Кратность/ед. изм</th>
-                        <th class="col-availability sortable" data-column="availability">Наличие</th>
-                        <th class="col-delivery-date sortable" data-column="delivery_date">Дата доставки</th>
-                        <th class="col-price sortable" data-column="price">Цена</th>
-                        <th class="col-retail-price sortable" data-column="retail_price">Розничная</th>
-                        <th class="col-cart">Корзина</th>
-                        <th class="col-additional">Доп.</th>
-                        <th class="col-orders-count sortable" data-column="orders_count">Куплено</th>
+                        <th data-col="select" class="col-select"><input type="checkbox" id="selectAll"></th>
+                        <th data-col="code" class="col-code sortable" data-column="external_id">Код</th>
+                        <th data-col="image" class="col-image">Фото</th>
+                        <th data-col="name" class="col-name sortable" data-column="name">Название</th>
+                        <th data-col="sku" class="col-sku sortable" data-column="sku">SKU</th>
+                        <th data-col="brand_series" class="col-brand-series" data-column="brand_series">Бренд/Серия</th>
+                        <th data-col="status" class="col-status" data-column="status">Статус</th>
+                        <th data-col="min_sale_unit" class="col-min-sale-unit" data-column="min_sale_unit">Кратность/ед. изм</th>
+                        <th data-col="availability" class="col-availability sortable" data-column="availability">Наличие</th>
+                        <th data-col="delivery_date" class="col-delivery-date sortable" data-column="delivery_date">Дата доставки</th>
+                        <th data-col="price" class="col-price sortable" data-column="price">Цена</th>
+                        <th data-col="retail_price" class="col-retail-price sortable" data-column="retail_price">Розничная</th>
+                        <th data-col="cart" class="col-cart">Корзина</th>
+                        <th data-col="additional" class="col-additional">Доп.</th>
+                        <th data-col="orders_count" class="col-orders-count sortable" data-column="orders_count">Куплено</th>
                     </tr>
                 </thead>
                 <tbody>
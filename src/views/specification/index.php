@@ -1,42 +1,58 @@
 <?php
-use App\Services\AuthService;
+/** @var array $statuses код => название, см. SpecificationService::STATUSES */
 ?>
 <div class="container mt-5">
     <h1>Мои спецификации</h1>
 
-    <?php if (empty($specs)): ?>
-        <p>Вы ещё не создавали спецификаций.</p>
-    <?php else: ?>
-        <table class="table table-striped">
+    <div class="specifications-list"
+         data-statuses="<?= htmlspecialchars(json_encode($statuses, JSON_UNESCAPED_UNICODE)) ?>">
+        <form class="specifications-toolbar" role="search">
+            <div class="spec-filter spec-filter-search">
+                <label for="spec-filter-q">Поиск</label>
+                <input type="search" id="spec-filter-q" name="q" class="form-control"
+                       placeholder="Проект, заказчик или номер" autocomplete="off">
+            </div>
+            <div class="spec-filter">
+                <label for="spec-filter-status">Статус</label>
+                <select id="spec-filter-status" name="status" class="form-control">
+                    <option value="">Все</option>
+                    <?php foreach ($statuses as $code => $label): ?>
+                        <option value="<?= htmlspecialchars($code) ?>"><?= htmlspecialchars($label) ?></option>
+                    <?php endforeach; ?>
+                </select>
+            </div>
+            <div class="spec-filter">
+                <label for="spec-filter-from">Создана с</label>
+                <input type="date" id="spec-filter-from" name="date_from" class="form-control">
+            </div>
+            <div class="spec-filter">
+                <label for="spec-filter-to">по</label>
+                <input type="date" id="spec-filter-to" name="date_to" class="form-control">
+            </div>
+            <button type="reset" class="btn btn-secondary">Сбросить</button>
+        </form>
+
+        <p class="specifications-summary" aria-live="polite"></p>
+
+        <table class="table table-striped specifications-table">
             <thead>
                 <tr>
-                    <th>№</th>
-                    <th>Дата создания</th>
-                    <th>Позиций</th>
-                    <th>Сумма</th>
-                    <th>Действие</th>
+                    <th scope="col">№</th>
+                    <th scope="col">Проект</th>
+                    <th scope="col" aria-sort="descending">
+                        <button type="button" class="spec-sort" data-sort="date">Дата создания</button>
+                    </th>
+                    <th scope="col">Позиций</th>
+                    <th scope="col" aria-sort="none">
+                        <button type="button" class="spec-sort" data-sort="total">Сумма</button>
+                    </th>
+                    <th scope="col">Статус</th>
+                    <th scope="col">Действие</th>
                 </tr>
             </thead>
-            <tbody>
-                <?php foreach ($specs as $spec): 
-                    $id    = $spec['specification_id'];
-                    $date  = date('d.m.Y H:i', strtotime($spec['created_at']));
-                    $total = number_format($summaries[$id], 2);
-                    $count = $itemsCount[$id] ?? 0;
-                ?>
-                <tr>
-                    <td><?= $id ?></td>
-                    <td><?= $date ?></td>
-                    <td><?= $count ?></td>
-                    <td><?= $total ?> руб.</td>
-                    <td>
-                        <a href="/specification/<?= $id ?>" class="btn btn-sm btn-primary">
-                            Открыть
-                        </a>
-                    </td>
-                </tr>
-                <?php endforeach; ?>
-            </tbody>
+            <tbody></tbody>
         </table>
-    <?php endif; ?>
+
+        <nav class="specifications-pagination" aria-label="Страницы списка спецификаций"></nav>
+    </div>
 </div>
\ No newline at end of file
@@ -16,6 +16,23 @@
         <div>
             <b>Дата создания:</b> <?= htmlspecialchars($specification['created_at']) ?>
         </div>
+        <?php
+        $metaLabels = [
+            'project_name' => 'Проект',
+            'customer' => 'Заказчик',
+            'delivery_address' => 'Адрес доставки',
+            'delivery_date' => 'Желаемая дата поставки',
+            'comment' => 'Комментарий',
+        ];
+        foreach ($metaLabels as $field => $label):
+            $value = $specification[$field] ?? null;
+            if ($value === null || $value === '') continue;
+            if ($field === 'delivery_date') $value = date('d.m.Y', strtotime($value));
+        ?>
+        <div>
+            <b><?= $label ?>:</b> <?= nl2br(htmlspecialchars($value)) ?>
+        </div>
+        <?php endforeach; ?>
         <table class="table table-bordered mt-3">
             <thead>
                 <tr>
@@ -52,6 +69,21 @@
             <?php endif; ?>
             </tbody>
         </table>
-        <a href="/cart" class="btn btn-secondary">Вернуться в корзину</a>
+        <div class="spec-export-actions">
+            <!-- Повтор в корзину - specificationReorder.js, файлы - specificationExport.js -->
+            <button type="button" class="btn btn-primary" data-spec-reorder
+                    data-spec-id="<?= htmlspecialchars($specification['specification_id']) ?>">
+                <i class="fas fa-redo"></i> Повторить в корзину
+            </button>
+            <button type="button" class="btn btn-secondary" data-spec-export="pdf"
+                    data-spec-id="<?= htmlspecialchars($specification['specification_id']) ?>">
+                <i class="fas fa-file-pdf"></i> Скачать PDF
+            </button>
+            <button type="button" class="btn btn-secondary" data-spec-export="xlsx"
+                    data-spec-id="<?= htmlspecialchars($specification['specification_id']) ?>">
+                <i class="fas fa-file-excel"></i> Скачать Excel
+            </button>
+            <a href="/cart" class="btn btn-secondary">Вернуться в корзину</a>
+        </div>
     <?php endif; ?>
 </div>
\ No newline at end of file